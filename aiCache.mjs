@@ -0,0 +1,103 @@
+// aiCache.mjs
+// Two-tier cache for generated text: NodeCache in memory (per instance) in
+// front of a Firestore collection that survives cold starts and is shared by
+// every instance. Entries are keyed on everything that shapes the output:
+//
+//   { feature, passage, translation, promptVersion, lang, tone?, level?, … }
+//
+// `passage` is an OSIS range ("John.3.16-John.3.18"), so "Jn 3:16-18" and
+// "Johannes 3:16-18" share an entry. Firestore documents keep those fields
+// next to the text (strings lowercased, as in the key), so entries can be
+// purged by any of them; `expiresAt` can also back a Firestore TTL policy.
+import crypto from 'crypto';
+
+// OSIS range id for a normalized passage
+export function passageId(bookId, sC, sV, eC, eV) {
+  return `${bookId}.${sC}.${sV}-${bookId}.${eC}.${eV}`;
+}
+
+// A field value as keys and stored entries hold it
+const normalizeValue = v => (typeof v === 'string' ? v.toLowerCase() : v);
+
+// The fields that take part in the key (unset ones — undefined, null, '' —
+// dropped; Firestore rejects undefined), normalized for storage
+function entryFields(fields) {
+  return Object.fromEntries(Object.entries(fields)
+    .filter(([, v]) => v != null && v !== '')
+    .map(([k, v]) => [k, normalizeValue(v)]));
+}
+
+// Stable document id: same fields in any order → same id
+export function cacheKey(fields) {
+  const canonical = Object.keys(fields)
+    .filter(k => fields[k] != null && fields[k] !== '')
+    .sort()
+    .map(k => `${k}=${String(fields[k]).toLowerCase()}`)
+    .join('|');
+  return crypto.createHash('sha256').update(canonical).digest('hex');
+}
+
+/**
+ * memory: a NodeCache; db: Firestore or null (memory only).
+ * Returns { get(fields), set(fields, text), purge(filter) }.
+ */
+export function createAiCache({ memory, db, collection = 'aiCache', ttlDays = 30 }) {
+  const ttlMs = ttlDays * 86400000;
+  const memKey = id => `ai:${id}`; // the NodeCache may hold other things too
+
+  async function get(fields) {
+    const id = cacheKey(fields);
+    const hit = memory.get(memKey(id));
+    if (hit) return hit;
+    if (!db) return null;
+    try {
+      const snap = await db.collection(collection).doc(id).get();
+      if (!snap.exists) return null;
+      const entry = snap.data();
+      if (entry.expiresAt?.toMillis?.() < Date.now()) return null;
+      memory.set(memKey(id), entry);
+      return entry;
+    } catch (e) {
+      console.warn('aiCache read failed:', e.message);
+      return null;
+    }
+  }
+
+  async function set(fields, text) {
+    const id = cacheKey(fields);
+    const entry = { ...entryFields(fields), text, createdAt: new Date(), expiresAt: new Date(Date.now() + ttlMs) };
+    memory.set(memKey(id), entry);
+    if (db) await db.collection(collection).doc(id).set(entry);
+  }
+
+  /**
+   * Deletes entries whose stored fields match every key of `filter`
+   * (e.g. { book: 'John' }, { feature: 'prayer', lang: 'af' }), compared
+   * case-insensitively like the key; an empty filter clears everything.
+   * Returns { memory, firestore } counts.
+   */
+  async function purge(filter = {}) {
+    filter = Object.fromEntries(Object.entries(filter).map(([k, v]) => [k, normalizeValue(v)]));
+    const matches = entry => Object.entries(filter).every(([k, v]) => normalizeValue(entry?.[k]) === v);
+
+    const ids = memory.keys().filter(k => k.startsWith('ai:') && matches(memory.get(k)));
+    memory.del(ids);
+
+    let firestore = 0;
+    if (db) {
+      let query = db.collection(collection);
+      for (const [k, v] of Object.entries(filter)) query = query.where(k, '==', v);
+      while (true) {
+        const snap = await query.limit(400).get();
+        if (snap.empty) break;
+        const batch = db.batch();
+        snap.docs.forEach(doc => batch.delete(doc.ref));
+        await batch.commit();
+        firestore += snap.size;
+      }
+    }
+    return { memory: ids.length, firestore };
+  }
+
+  return { get, set, purge };
+}
@@ -0,0 +1,109 @@
+// aiStream.mjs
+// Server-Sent Events plumbing for streamed AI output. Everything here works on
+// async iterables of text deltas, so steps compose:
+//
+//   textDeltas(openaiStream)               → "In", " the", " beginning", …
+//   filterLines(deltas, keep)              → same, with unwanted lines removed
+//   proofreadPipeline(paragraphs(deltas), proofread)
+//                                          → proofread text, paragraph by paragraph
+//
+// Event protocol (consumed by readEventStream in public/script.js):
+//   event: delta  data: { "text": "…" }
+//   event: done   data: { "<field>": "full text" }
+//   event: error  data: { "error": "…" }
+
+// Starts an SSE response; returns send(event, data)
+export function openEventStream(res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'   // no proxy buffering (nginx)
+  });
+  res.flushHeaders();
+  return (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// OpenAI chat completion stream → text deltas
+export async function* textDeltas(stream) {
+  for await (const chunk of stream) {
+    const text = chunk.choices?.[0]?.delta?.content;
+    if (text) yield text;
+  }
+}
+
+// Holds text back until each line is complete and drops lines failing `keep`.
+// Leading blank lines left behind by dropped ones are skipped too.
+export async function* filterLines(deltas, keep) {
+  let buf = '';
+  let started = false;
+  for await (const text of deltas) {
+    buf += text;
+    let i;
+    while ((i = buf.indexOf('\n')) !== -1) {
+      const line = buf.slice(0, i);
+      buf = buf.slice(i + 1);
+      if (!keep(line) || (!started && !line.trim())) continue;
+      started = true;
+      yield line + '\n';
+    }
+  }
+  if (buf && keep(buf)) yield buf;
+}
+
+// Text deltas → complete paragraphs (blank-line separated), each yielded as
+// soon as the next one starts
+export async function* paragraphs(deltas) {
+  let buf = '';
+  for await (const text of deltas) {
+    buf += text;
+    let i;
+    while ((i = buf.indexOf('\n\n')) !== -1) {
+      const p = buf.slice(0, i).trim();
+      buf = buf.slice(i + 2);
+      if (p) yield p;
+    }
+  }
+  if (buf.trim()) yield buf.trim();
+}
+
+/**
+ * Streams each paragraph through `proofread(paragraph)` (itself an async
+ * iterable of deltas), in order. Generation keeps running in the background
+ * while earlier paragraphs are being proofread, so the two calls overlap
+ * instead of adding up.
+ */
+export async function* proofreadPipeline(paragraphSource, proofread) {
+  const queue = [];
+  let finished = false;
+  let failure = null;
+  let wake = null;
+
+  (async () => {
+    try {
+      for await (const p of paragraphSource) {
+        queue.push(p);
+        wake?.();
+      }
+    } catch (e) {
+      failure = e;
+    } finally {
+      finished = true;
+      wake?.();
+    }
+  })();
+
+  let first = true;
+  while (true) {
+    if (queue.length) {
+      if (!first) yield '\n\n';
+      first = false;
+      yield* proofread(queue.shift());
+      continue;
+    }
+    if (failure) throw failure;
+    if (finished) return;
+    await new Promise(resolve => { wake = resolve; });
+    wake = null;
+  }
+}
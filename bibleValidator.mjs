@@ -0,0 +1,115 @@
+// bibleValidator.mjs
+// Integrity checks for loaded translations (see translationRegistry.mjs), shared
+// by `tools/validate-bible.js` and the server's BIBLE_STRICT boot check.
+//
+// errors:   unmapped/duplicate books, missing books/chapters/verses, duplicate
+//           verses, empty verse text — anything that makes lookups fail or lie
+// warnings: versification differences against the reference translation
+import { BOOKS } from './bookRegistry.mjs';
+import { findBook } from './translationRegistry.mjs';
+
+export function validateTranslation(t, reference = null) {
+  const issues = [];
+  const error = (type, message) => issues.push({ severity: 'error', type, message });
+  const warn  = (type, message) => issues.push({ severity: 'warning', type, message });
+
+  for (const name of t.unmappedBooks || []) {
+    error('unmapped-book', `Book "${name}" matches no registry name or alias`);
+  }
+
+  const seenBooks = new Set();
+  for (const b of t.books) {
+    if (seenBooks.has(b.id)) error('duplicate-book', `${b.id} appears more than once ("${b.name}")`);
+    seenBooks.add(b.id);
+  }
+
+  for (const book of BOOKS) {
+    const bookObj = findBook(t, book.id);
+    if (!bookObj) {
+      error('missing-book', `${book.en} is missing`);
+      continue;
+    }
+    const refBook = reference && reference !== t ? findBook(reference, book.id) : null;
+
+    const chapters = new Set();
+    for (const c of bookObj.chapters) {
+      const where = `${book.en} ${c.chapter}`;
+      if (chapters.has(c.chapter)) error('duplicate-chapter', `${where} appears more than once`);
+      chapters.add(c.chapter);
+      if (c.chapter < 1 || c.chapter > book.chapters) {
+        error('extra-chapter', `${where} is outside 1–${book.chapters}`);
+      }
+
+      const verses = new Set();
+      let max = 0;
+      for (const v of c.verses) {
+        if (verses.has(v.verse)) error('duplicate-verse', `${where}:${v.verse} appears more than once`);
+        verses.add(v.verse);
+        max = Math.max(max, v.verse);
+        if (!String(v.text ?? '').trim()) error('empty-text', `${where}:${v.verse} has no text`);
+      }
+      for (let n = 1; n <= max; n++) {
+        if (!verses.has(n)) error('missing-verse', `${where}:${n} is missing`);
+      }
+
+      const refChap = refBook?.chapters.find(rc => rc.chapter === c.chapter);
+      if (refChap && refChap.verses.length !== c.verses.length) {
+        warn('versification', `${where} has ${c.verses.length} verses, ${reference.id} has ${refChap.verses.length}`);
+      }
+    }
+    for (let n = 1; n <= book.chapters; n++) {
+      if (!chapters.has(n)) error('missing-chapter', `${book.en} ${n} is missing`);
+    }
+  }
+  return issues;
+}
+
+/**
+ * Validates every translation; versification is compared against `referenceId`.
+ * Returns [{ id, name, errors, warnings, issues }].
+ */
+export function validateTranslations(translations, referenceId) {
+  const reference = translations.get(referenceId) || null;
+  return [...translations.values()].map(t => {
+    const issues = validateTranslation(t, reference);
+    return {
+      id: t.id,
+      name: t.name,
+      errors: issues.filter(i => i.severity === 'error').length,
+      warnings: issues.filter(i => i.severity === 'warning').length,
+      issues
+    };
+  });
+}
+
+// Report entries, in validateTranslations' shape, for manifests that failed to
+// load (loadTranslations' `failures`): one error each
+export function loadFailureResults(failures) {
+  return failures.map(({ file, message }) => ({
+    id: file,
+    name: 'not loaded',
+    errors: 1,
+    warnings: 0,
+    issues: [{ severity: 'error', type: 'load-failed', message }]
+  }));
+}
+
+// Human-readable report, grouped by issue type with at most `perType` examples each
+export function formatReport(results, { perType = 10 } = {}) {
+  const lines = [];
+  for (const r of results) {
+    const mark = r.errors ? '❌' : r.warnings ? '⚠️ ' : '✅';
+    lines.push(`${mark} ${r.id} (${r.name}): ${r.errors} errors, ${r.warnings} warnings`);
+    const byType = new Map();
+    for (const i of r.issues) {
+      if (!byType.has(i.type)) byType.set(i.type, []);
+      byType.get(i.type).push(i);
+    }
+    for (const [type, list] of byType) {
+      lines.push(`   ${list[0].severity} · ${type} (${list.length})`);
+      list.slice(0, perType).forEach(i => lines.push(`      - ${i.message}`));
+      if (list.length > perType) lines.push(`      … and ${list.length - perType} more`);
+    }
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,99 @@
+// bookRegistry.mjs
+// The one list of Bible books. Everything else (dropdowns, reference parsing,
+// translation files, display names) derives from it, keyed by OSIS code.
+//
+// aliases: extra spellings and abbreviations that are not simple prefixes of
+// the English/Afrikaans names (prefixes such as "Gen" or "Kor" match anyway).
+// Roman numerals ("II Kings") are normalized by the reference parser.
+
+const b = (id, chapters, en, af, aliases = []) => ({ id, chapters, en, af, aliases });
+
+const OT = [
+  b('Gen',    50, 'Genesis',         'Genesis',        ['gn']),
+  b('Exod',   40, 'Exodus',          'Eksodus',        ['ex']),
+  b('Lev',    27, 'Leviticus',       'Levitikus',      ['lv']),
+  b('Num',    36, 'Numbers',         'Numeri',         ['nm']),
+  b('Deut',   34, 'Deuteronomy',     'Deuteronomium',  ['dt']),
+  b('Josh',   24, 'Joshua',          'Josua',          ['jos']),
+  b('Judg',   21, 'Judges',          'Rigters',        ['jdg']),
+  b('Ruth',    4, 'Ruth',            'Rut',            ['rth']),
+  b('1Sam',   31, '1 Samuel',        '1 Samuel',       ['1sm']),
+  b('2Sam',   24, '2 Samuel',        '2 Samuel',       ['2sm']),
+  b('1Kgs',   22, '1 Kings',         '1 Konings',      ['1kgs']),
+  b('2Kgs',   25, '2 Kings',         '2 Konings',      ['2kgs']),
+  b('1Chr',   29, '1 Chronicles',    '1 Kronieke'),
+  b('2Chr',   36, '2 Chronicles',    '2 Kronieke'),
+  b('Ezra',   10, 'Ezra',            'Esra'),
+  b('Neh',    13, 'Nehemiah',        'Nehemia'),
+  b('Esth',   10, 'Esther',          'Ester'),
+  b('Job',    42, 'Job',             'Job',            ['jb']),
+  b('Ps',    150, 'Psalms',          'Psalms',         ['psa', 'pss', 'psalm']),
+  b('Prov',   31, 'Proverbs',        'Spreuke',        ['pr', 'prv', 'Spreuke van Salomo']),
+  b('Eccl',   12, 'Ecclesiastes',    'Prediker',       ['qoh']),
+  b('Song',    8, 'Song of Solomon', 'Hooglied',       ['ss', 'sos', 'hgl', 'Song of Songs', 'Canticles', 'Hooglied van Salomo']),
+  b('Isa',    66, 'Isaiah',          'Jesaja'),
+  b('Jer',    52, 'Jeremiah',        'Jeremia'),
+  b('Lam',     5, 'Lamentations',    'Klaagliedere',   ['Klaagliedere van Jeremia']),
+  b('Ezek',   48, 'Ezekiel',         'Esegiël',        ['ezk']),
+  b('Dan',    12, 'Daniel',          'Daniël',         ['dn']),
+  b('Hos',    14, 'Hosea',           'Hosea'),
+  b('Joel',    3, 'Joel',            'Joël',           ['jl']),
+  b('Amos',    9, 'Amos',            'Amos'),
+  b('Obad',    1, 'Obadiah',         'Obadja'),
+  b('Jonah',   4, 'Jonah',           'Jona',           ['jnh']),
+  b('Mic',     7, 'Micah',           'Miga'),
+  b('Nah',     3, 'Nahum',           'Nahum'),
+  b('Hab',     3, 'Habakkuk',        'Habakuk'),
+  b('Zeph',    3, 'Zephaniah',       'Sefanja'),
+  b('Hag',     2, 'Haggai',          'Haggai'),
+  b('Zech',   14, 'Zechariah',       'Sagaria'),
+  b('Mal',     4, 'Malachi',         'Maleagi'),
+];
+
+const NT = [
+  b('Matt',   28, 'Matthew',         'Matteus',        ['mt']),
+  b('Mark',   16, 'Mark',            'Markus',         ['mk', 'mrk']),
+  b('Luke',   24, 'Luke',            'Lukas',          ['lk']),
+  b('John',   21, 'John',            'Johannes',       ['jn', 'jhn']),
+  b('Acts',   28, 'Acts',            'Handelinge',     ['Acts of the Apostles', 'Die handelinge van die apostels']),
+  b('Rom',    16, 'Romans',          'Romeine',        ['rm']),
+  b('1Cor',   16, '1 Corinthians',   '1 Korintiërs'),
+  b('2Cor',   13, '2 Corinthians',   '2 Korintiërs'),
+  b('Gal',     6, 'Galatians',       'Galasiërs'),
+  b('Eph',     6, 'Ephesians',       'Efesiërs',       ['Effesiërs']),
+  b('Phil',    4, 'Philippians',     'Filippense',     ['php', 'fil']),
+  b('Col',     4, 'Colossians',      'Kolossense'),
+  b('1Thess',  5, '1 Thessalonians', '1 Tessalonisense'),
+  b('2Thess',  3, '2 Thessalonians', '2 Tessalonisense'),
+  b('1Tim',    6, '1 Timothy',       '1 Timoteus'),
+  b('2Tim',    4, '2 Timothy',       '2 Timoteus'),
+  b('Titus',   3, 'Titus',           'Titus'),
+  b('Phlm',    1, 'Philemon',        'Filemon',        ['phm', 'flm']),
+  b('Heb',    13, 'Hebrews',         'Hebreërs'),
+  b('Jas',     5, 'James',           'Jakobus',        ['jm']),
+  b('1Pet',    5, '1 Peter',         '1 Petrus',       ['1pt']),
+  b('2Pet',    3, '2 Peter',         '2 Petrus',       ['2pt']),
+  b('1John',   5, '1 John',          '1 Johannes',     ['1jn', '1jhn']),
+  b('2John',   1, '2 John',          '2 Johannes',     ['2jn', '2jhn']),
+  b('3John',   1, '3 John',          '3 Johannes',     ['3jn', '3jhn']),
+  b('Jude',    1, 'Jude',            'Judas',          ['jud']),
+  b('Rev',    22, 'Revelation',      'Openbaring',     ['rv', 'Revelation of John', 'Apocalypse', 'Die openbaring']),
+];
+
+export const BOOKS = [
+  ...OT.map(x => ({ ...x, testament: 'ot' })),
+  ...NT.map(x => ({ ...x, testament: 'nt' })),
+].map((x, i) => Object.freeze({ ...x, order: i + 1, aliases: Object.freeze(x.aliases) }));
+
+const byId = new Map(BOOKS.map(x => [x.id, x]));
+
+export function getBook(id) {
+  return byId.get(id) || null;
+}
+
+// Display name of a book in a naming scheme ("en" | "af"); falls back to English
+export function bookName(id, scheme = 'en') {
+  const book = byId.get(id);
+  if (!book) return id;
+  return book[scheme] || book.en;
+}
@@ -0,0 +1,185 @@
+// citationChecker.mjs
+// Finds scripture references in generated text ("John 3:16", "1 Kor. 13:4-7",
+// "Romeine 8", "(3:16)" within the passage being discussed) and checks them
+// against the loaded translations:
+//
+//   not-found   the chapter or verse does not exist (in any translation that has the book)
+//   misquoted   a quotation next to the reference does not match its text
+//   unverified  no loaded translation has the book, so only the chapter count was checked
+//
+// Book names go through the same alias index as /api/passage, so English and
+// Afrikaans names and abbreviations are recognized alike.
+import { normalizeBookKey, resolveBook, formatReference } from './passageParser.mjs';
+import { BOOKS, getBook, bookName } from './bookRegistry.mjs';
+import { findBook, selectVerses } from './translationRegistry.mjs';
+
+// Book names of more than one word ("Song of Solomon", "Spreuke van Salomo");
+// everything else is matched as one word with an optional number in front.
+const MULTIWORD = BOOKS
+  .flatMap(b => [b.en, b.af, ...b.aliases])
+  .filter(name => /^\D+\s\D+$/.test(name))
+  .sort((a, b) => b.length - a.length)
+  .map(name => name.replace(/\s+/g, '\\s+'));
+
+// "3:16", "3:16-18", "3:16-4:2", or a bare number with an optional range ("8", "8-9")
+const NUMBERS = String.raw`(\d{1,3})(?:\s?[:.]\s?(\d{1,3})(?:\s?[-\u2010-\u2015]\s?(\d{1,3})(?:\s?[:.]\s?(\d{1,3}))?)?|\s?[-\u2010-\u2015]\s?(\d{1,3}))?`;
+const REFERENCE_RE = new RegExp(
+  String.raw`(?<![\p{L}\d])((?:${MULTIWORD.join('|')})|(?:(?:[1-3]|I{1,3})\s?)?\p{Lu}[\p{L}\u00ad]+\.?)\s${NUMBERS}(?![\d\p{L}])`,
+  'gu'
+);
+// "(3:16)", "(3:16-17)", "(v. 16)", "(verse 16-18)", "(vers 4)": bare, inside the context passage
+const BARE_RE = /\((?:(?:vv?\.|verses?|vers(?:e)?)\s*)?(?:(\d{1,3})[:.])?(\d{1,3})(?:\s?[-\u2010-\u2015]\s?(\d{1,3}))?\)/giu;
+
+const QUOTE_BEFORE_RE = /[“"‘]([^“”"‘’]{8,500})[”"’]\s*[,.]?\s*\(?\s*$/u;
+const QUOTE_AFTER_RE = /^\s*\)?\s*[:,\u2013\u2014-]?\s*[“"‘]([^“”"‘’]{8,500})[”"’]/u;
+
+const words = text => String(text)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f\u00ad]/g, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+  .split(/\s+/)
+  .filter(Boolean);
+
+/**
+ * References in `text`, in order: [{ text, start, end, bookId, startChapter,
+ * startVerse, endChapter, endVerse, quote }]. Verses are null for whole
+ * chapters. `context` { bookId, chapter } enables bare "(3:16)" / "(v. 16)".
+ * Chapter-only references need the full book name or a listed alias, so
+ * "In 2020" or "Is 5" are not read as references. In single-chapter books
+ * (Obadiah, Jude, …) a bare number is a verse: "Jude 3" is Jude 1:3.
+ */
+export function findCitations(text, { bookIndex, context = null }) {
+  const source = String(text || '');
+  const found = [];
+
+  for (const m of source.matchAll(REFERENCE_RE)) {
+    const [match, name, c1, v1, n2, n3, r] = m;
+    let bookId;
+    try {
+      bookId = resolveBook(bookIndex, name);
+    } catch {
+      continue; // a capitalized word that is not a book
+    }
+    if (v1 == null && !bookIndex.has(normalizeBookKey(name))) continue;
+
+    let startChapter = Number(c1);
+    let startVerse = v1 == null ? null : Number(v1);
+    let endChapter = startChapter;
+    let endVerse = startVerse;
+    if (n3 != null) [endChapter, endVerse] = [Number(n2), Number(n3)];     // "3:16-4:2"
+    else if (n2 != null) endVerse = Number(n2);                             // "3:16-18"
+    else if (v1 == null && getBook(bookId).chapters === 1) {                // "Jude 3", "Jude 3-5"
+      [startChapter, startVerse, endChapter, endVerse] = [1, Number(c1), 1, Number(r ?? c1)];
+    } else if (r != null) endChapter = Number(r);                           // "Romans 8-9"
+    found.push({ text: match, start: m.index, end: m.index + match.length, bookId, startChapter, startVerse, endChapter, endVerse });
+  }
+
+  if (context?.bookId) {
+    for (const m of source.matchAll(BARE_RE)) {
+      const [match, c, v, v2] = m;
+      const start = m.index;
+      if (found.some(f => start < f.end && f.start < start + match.length)) continue;
+      const chapter = c != null ? Number(c) : context.chapter;
+      if (chapter == null) continue;
+      found.push({
+        text: match, start, end: start + match.length, bookId: context.bookId,
+        startChapter: chapter, startVerse: Number(v), endChapter: chapter, endVerse: v2 != null ? Number(v2) : Number(v)
+      });
+    }
+    found.sort((a, b) => a.start - b.start);
+  }
+
+  for (const f of found) {
+    const before = source.slice(Math.max(0, f.start - 520), f.start).match(QUOTE_BEFORE_RE);
+    const after = source.slice(f.end, f.end + 520).match(QUOTE_AFTER_RE);
+    f.quote = (before || after)?.[1].trim() || null;
+  }
+  return found;
+}
+
+// Does a quotation match the verse text? Ellipses split it into parts that must
+// each appear; otherwise most of its words must (other translations, paraphrase).
+function quoteMatches(quote, verseText) {
+  const verse = ` ${words(verseText).join(' ')} `;
+  const parts = quote.split(/\.\.\.|…/).map(p => words(p).join(' ')).filter(Boolean);
+  if (parts.length && parts.every(p => verse.includes(` ${p} `))) return true;
+  const quoteWords = words(quote);
+  const verseWords = new Set(verse.trim().split(' '));
+  return quoteWords.length > 0 && quoteWords.filter(w => verseWords.has(w)).length / quoteWords.length >= 0.75;
+}
+
+/**
+ * Checks every reference in `text` against `translations` (the first is the
+ * one the text was written for and names the books; the rest are fallbacks).
+ * Returns { references: [{ …citation, reference, status, translation }], warnings: [{ type, text, reference, message }] }.
+ */
+export function checkCitations(text, { bookIndex, translations, context = null }) {
+  const [preferred] = translations;
+  const scheme = preferred?.bookNames || 'en';
+  const references = [];
+  const warnings = [];
+
+  for (const c of findCitations(text, { bookIndex, context })) {
+    const book = getBook(c.bookId);
+    const reference = formatReference(bookName(c.bookId, scheme), c.startChapter, c.startVerse, c.endChapter, c.endVerse);
+    const entry = { ...c, reference, status: 'ok', translation: null };
+    const warn = (type, message) => {
+      entry.status = type;
+      warnings.push({ type, text: c.text, reference, message });
+    };
+
+    const backwards = c.endChapter < c.startChapter ||
+      (c.endChapter === c.startChapter && c.endVerse != null && c.endVerse < c.startVerse);
+    const having = translations.filter(t => findBook(t, c.bookId));
+    if (backwards || c.startChapter < 1 || c.endChapter > book.chapters) {
+      warn('not-found', `${reference} does not exist (${bookName(c.bookId, scheme)} has ${book.chapters} chapters)`);
+    } else if (!having.length) {
+      entry.status = 'unverified';
+    } else {
+      // The translation (preferred first) that has the whole range
+      const hit = having.find(t => {
+        const chapters = findBook(t, c.bookId).chapters;
+        return [[c.startChapter, c.startVerse], [c.endChapter, c.endVerse]].every(([ch, v]) => {
+          const chapter = chapters.find(x => x.chapter === ch);
+          return chapter && (v == null || chapter.verses.some(x => x.verse === v));
+        });
+      });
+      if (!hit) {
+        warn('not-found', `${reference} was not found in ${having.map(t => t.name).join(' or ')}`);
+      } else {
+        entry.translation = hit.id;
+        if (c.quote && c.startVerse != null) {
+          const matching = having.some(t => quoteMatches(c.quote,
+            selectVerses(t, c.bookId, c.startChapter, c.startVerse, c.endChapter, c.endVerse).map(v => v.text).join(' ')));
+          if (!matching) warn('misquoted', `The quotation attributed to ${reference} does not match its text`);
+        }
+      }
+    }
+    references.push(entry);
+  }
+  return { references, warnings };
+}
+
+const escapeHtml = s => String(s).replace(/[&<>"']/g, ch => (
+  { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]
+));
+
+/**
+ * HTML for `text` with each reference that resolved wrapped in
+ * <a class="scripture-ref" href="href(reference)">; everything else escaped.
+ */
+export function linkCitations(text, references, href) {
+  let html = '';
+  let pos = 0;
+  for (const r of references) {
+    if (r.start < pos) continue;
+    html += escapeHtml(text.slice(pos, r.start));
+    const inner = escapeHtml(text.slice(r.start, r.end));
+    html += r.status === 'not-found'
+      ? inner
+      : `<a class="scripture-ref" href="${escapeHtml(href(r))}" data-ref="${escapeHtml(r.reference)}">${inner}</a>`;
+    pos = r.end;
+  }
+  return html + escapeHtml(text.slice(pos));
+}
@@ -0,0 +1,56 @@
+// crossRefs.mjs
+// Cross-reference dataset loader. Expects the public OpenBible.info export of
+// the Treasury of Scripture Knowledge (cross_references.txt), one
+// tab-separated line per reference, OSIS ids matching bookRegistry.mjs:
+//
+//   From Verse   To Verse                 Votes
+//   Gen.1.1      Heb.11.3                 52
+//   Gen.1.1      Prov.8.22-Prov.8.30      40
+//
+// Entries are kept as raw strings per source verse (sorted by votes) and only
+// parsed when asked for, which keeps the ~340k-line file cheap to hold.
+// `npm run fetch:crossrefs` downloads the file (tools/fetch-crossrefs.js).
+import fs from 'fs/promises';
+
+/**
+ * Loads the dataset. Returns Map("Book.chapter.verse" → [[toRef, votes], …]).
+ */
+export async function loadCrossRefs(file) {
+  const raw = await fs.readFile(file, 'utf8');
+  const byVerse = new Map();
+  for (const line of raw.split('\n')) {
+    if (!line || line.startsWith('From Verse') || line.startsWith('#')) continue;
+    const [from, to, votes] = line.split('\t');
+    if (!from || !to) continue;
+    if (!byVerse.has(from)) byVerse.set(from, []);
+    byVerse.get(from).push([to.trim(), Number(votes) || 0]);
+  }
+  for (const list of byVerse.values()) list.sort((a, b) => b[1] - a[1]);
+  return byVerse;
+}
+
+// "Prov.8.22-Prov.8.30" → { book:'Prov', startChapter:8, startVerse:22, endChapter:8, endVerse:30 }
+export function parseOsisRef(ref) {
+  const [from, to = from] = ref.split('-');
+  const [book, sC, sV] = from.split('.');
+  const [, eC, eV] = to.split('.');
+  return {
+    book,
+    startChapter: Number(sC),
+    startVerse: Number(sV),
+    endChapter: Number(eC),
+    endVerse: Number(eV)
+  };
+}
+
+/**
+ * Cross-references for one verse, strongest first.
+ * Options: limit (default 5), minVotes (default 1 — drops disputed links).
+ */
+export function crossRefsFor(byVerse, bookId, chapter, verse, { limit = 5, minVotes = 1 } = {}) {
+  const list = byVerse.get(`${bookId}.${chapter}.${verse}`) || [];
+  return list
+    .filter(([, votes]) => votes >= minVotes)
+    .slice(0, limit)
+    .map(([to, votes]) => ({ ...parseOsisRef(to), votes }));
+}
@@ -0,0 +1,69 @@
+// languages.mjs
+// The languages AI output can be generated in, and what each one needs:
+//
+//   label      how prompts name the language ({{language}})
+//   scripture  languages whose translations may supply the scripture, in order
+//              of preference (the default translation first within a language)
+//   proofread  run the "proofread" prompt (variant matching the code) over the output
+//
+// isiZulu, isiXhosa and Sesotho read English scripture until a translation in
+// the language is installed (drop its manifest in TRANSLATIONS_DIR). AI_LANGUAGES
+// (comma-separated codes) limits which languages are offered, e.g. "en,af".
+// Anything else is rejected with UNSUPPORTED_LANGUAGE rather than quietly
+// answered in English.
+
+export const LANGUAGES = [
+  { code: 'en', label: 'English',   scripture: ['en'],       proofread: false },
+  { code: 'af', label: 'Afrikaans', scripture: ['af'],       proofread: true },
+  { code: 'zu', label: 'isiZulu',   scripture: ['zu', 'en'], proofread: false },
+  { code: 'xh', label: 'isiXhosa',  scripture: ['xh', 'en'], proofread: false },
+  { code: 'st', label: 'Sesotho',   scripture: ['st', 'en'], proofread: false }
+];
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export class LanguageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LanguageError';
+    this.status = 400;
+    this.code = 'UNSUPPORTED_LANGUAGE';
+  }
+}
+
+// Enabled languages as Map(code → language); the default is always kept
+export function loadLanguages(raw = process.env.AI_LANGUAGES) {
+  const wanted = raw ? new Set(raw.split(',').map(s => s.trim().toLowerCase()).filter(Boolean)) : null;
+  const unknown = wanted ? [...wanted].filter(c => !LANGUAGES.some(l => l.code === c)) : [];
+  if (unknown.length) console.error(`❌ Ignoring unknown AI_LANGUAGES: ${unknown.join(', ')}`);
+  return new Map(LANGUAGES
+    .filter(l => !wanted || wanted.has(l.code) || l.code === DEFAULT_LANGUAGE)
+    .map(l => [l.code, l]));
+}
+
+/**
+ * Language for a request's `lang` (missing → the default). Throws
+ * LanguageError for codes that are not enabled.
+ */
+export function resolveLanguage(languages, code) {
+  const key = code == null || code === '' ? DEFAULT_LANGUAGE : String(code).trim().toLowerCase();
+  const language = languages.get(key);
+  if (!language) {
+    throw new LanguageError(`Unsupported language "${code}" (supported: ${[...languages.keys()].join(', ')})`);
+  }
+  return language;
+}
+
+/**
+ * Translation supplying scripture for `language`: the first scripture language
+ * with a loaded translation, preferring the default translation within it.
+ * `translations` is Map(id → translation). Null when none is loaded.
+ */
+export function scriptureTranslation(language, translations, defaultId) {
+  const def = translations.get(defaultId);
+  for (const lang of language.scripture) {
+    if (def?.language === lang) return def;
+    for (const t of translations.values()) if (t.language === lang) return t;
+  }
+  return null;
+}
@@ -0,0 +1,184 @@
+// llmProviders.mjs
+// One interface over the chat models we can talk to, picked by configuration:
+//
+//   LLM_PROVIDER          openai | openai-compatible | mock (default: openai,
+//                         which needs OPENAI_KEY; the mock must be chosen explicitly)
+//   LLM_BASE_URL          endpoint for openai-compatible (Ollama, LM Studio, vLLM, …)
+//   LLM_MODEL             model for every feature (default gpt-4o)
+//   LLM_MODEL_<FEATURE>   per-feature override, e.g. LLM_MODEL_PROOFREAD=gpt-4o-mini
+//   LLM_MOCK_FIXTURES     JSON file { "<feature>": "canned text", … } for the mock
+//
+// Requests are provider-neutral: { feature, messages, temperature, max_tokens, json }.
+// The feature ("commentary", "devotion", "prayer", "proofread", …) selects the
+// model; callers never name one.
+//
+// After every call the provider reports token usage to `onUsage({ feature,
+// model, promptTokens, completionTokens, estimated })`; `estimated` is set when
+// the counts were guessed from text length (mock, or a stream cut short).
+// `onCall(request)` runs as each call starts and returns the function to run
+// once it has ended, so callers can tell when calls are still in flight.
+import fs from 'fs';
+import crypto from 'crypto';
+import OpenAI from 'openai';
+import { textDeltas } from './aiStream.mjs';
+import { estimateTokens } from './usageMeter.mjs';
+
+const DEFAULT_MODEL = 'gpt-4o';
+
+function modelResolver(env) {
+  const fallback = env.LLM_MODEL || DEFAULT_MODEL;
+  return feature => env[`LLM_MODEL_${String(feature || '').toUpperCase().replace(/[^A-Z0-9]/g, '_')}`] || fallback;
+}
+
+const promptText = messages => messages.map(m => m.content).join('\n');
+
+// OpenAI and anything speaking its chat completions API
+function openaiProvider({ name, apiKey, baseURL, modelFor, onUsage }) {
+  const client = new OpenAI({ apiKey, baseURL });
+  const report = (request, usage, text) => onUsage({
+    feature: request.feature,
+    model: modelFor(request.feature),
+    promptTokens: usage ? usage.prompt_tokens : estimateTokens(promptText(request.messages)),
+    completionTokens: usage ? usage.completion_tokens : estimateTokens(text),
+    estimated: !usage
+  });
+  const params = ({ feature, messages, temperature, max_tokens, json }) => ({
+    model: modelFor(feature),
+    messages,
+    temperature,
+    max_tokens,
+    ...(json && { response_format: { type: 'json_object' } })
+  });
+
+  return {
+    name,
+    modelFor,
+    async complete(request, { signal } = {}) {
+      const completion = await client.chat.completions.create(params(request), { signal });
+      const text = completion.choices?.[0]?.message?.content || '';
+      report(request, completion.usage, text);
+      return text;
+    },
+    async *stream(request, { signal } = {}) {
+      const stream = await client.chat.completions.create(
+        { ...params(request), stream: true, stream_options: { include_usage: true } },
+        { signal }
+      );
+      // The usage chunk arrives last, with no choices; a stream cut short has none
+      let usage = null;
+      let text = '';
+      const tapped = (async function* () {
+        for await (const chunk of stream) {
+          if (chunk.usage) usage = chunk.usage;
+          text += chunk.choices?.[0]?.delta?.content || '';
+          yield chunk;
+        }
+      })();
+      try {
+        yield* textDeltas(tapped);
+      } finally {
+        report(request, usage, text);
+      }
+    }
+  };
+}
+
+/**
+ * Deterministic offline provider: the same request always gives the same
+ * text, so the app (and anything built on it) runs without a key or network.
+ * "proofread" returns its input unchanged (the text after the prompt's first
+ * blank line); JSON requests return fixture text or the prompt's own ```json
+ * example; other features return fixture text or two short paragraphs naming
+ * the feature and a hash of the request.
+ */
+function mockProvider({ fixtures = {}, onUsage }) {
+  const respond = ({ feature, messages, json }) => {
+    const user = messages.filter(m => m.role === 'user').map(m => m.content).join('\n');
+    if (feature === 'proofread') {
+      const i = user.indexOf('\n\n');
+      return (i < 0 ? user : user.slice(i + 2)).trim();
+    }
+    if (fixtures[feature]) return fixtures[feature];
+    if (json) {
+      const example = messages.map(m => m.content).join('\n').match(/```json\n([\s\S]*?)\n```/);
+      return example ? example[1] : '{}';
+    }
+    const hash = crypto.createHash('sha256').update(JSON.stringify(messages)).digest('hex').slice(0, 8);
+    return `Mock ${feature} (${hash}).\n\nThis text comes from the offline mock provider; set LLM_PROVIDER to use a real model.`;
+  };
+
+  const report = (request, text) => onUsage({
+    feature: request.feature,
+    model: 'mock',
+    promptTokens: estimateTokens(promptText(request.messages)),
+    completionTokens: estimateTokens(text),
+    estimated: true
+  });
+
+  return {
+    name: 'mock',
+    modelFor: () => 'mock',
+    async complete(request) {
+      const text = respond(request);
+      report(request, text);
+      return text;
+    },
+    async *stream(request, { signal } = {}) {
+      let sent = '';
+      try {
+        for (const word of respond(request).split(/(?<=\s)/)) {
+          if (signal?.aborted) return;
+          sent += word;
+          yield word;
+        }
+      } finally {
+        report(request, sent);
+      }
+    }
+  };
+}
+
+// Wraps a provider's calls in onCall(request) … end()
+function bracketCalls(provider, onCall) {
+  return {
+    ...provider,
+    async complete(request, options) {
+      const end = onCall(request);
+      try {
+        return await provider.complete(request, options);
+      } finally {
+        end();
+      }
+    },
+    async *stream(request, options) {
+      const end = onCall(request);
+      try {
+        yield* provider.stream(request, options);
+      } finally {
+        end();
+      }
+    }
+  };
+}
+
+export function createLlm(env = process.env, { onUsage = () => {}, onCall = () => () => {} } = {}) {
+  const apiKey = env.OPENAI_KEY ?? env.OPENAI_API_KEY;
+  const modelFor = modelResolver(env);
+  const provider = (env.LLM_PROVIDER || 'openai').toLowerCase();
+
+  switch (provider) {
+    case 'openai':
+      if (!apiKey) throw new Error('OPENAI_KEY is not set (or set LLM_PROVIDER=mock to run without a model)');
+      return bracketCalls(openaiProvider({ name: 'openai', apiKey, modelFor, onUsage }), onCall);
+    case 'openai-compatible':
+      if (!env.LLM_BASE_URL) throw new Error('LLM_PROVIDER=openai-compatible needs LLM_BASE_URL');
+      // Local servers usually ignore the key, but the client insists on one
+      return bracketCalls(openaiProvider({ name: 'openai-compatible', apiKey: apiKey || 'unused', baseURL: env.LLM_BASE_URL, modelFor, onUsage }), onCall);
+    case 'mock': {
+      const fixtures = env.LLM_MOCK_FIXTURES ? JSON.parse(fs.readFileSync(env.LLM_MOCK_FIXTURES, 'utf8')) : {};
+      return bracketCalls(mockProvider({ fixtures, onUsage }), onCall);
+    }
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${provider}" (openai, openai-compatible, mock)`);
+  }
+}
@@ -0,0 +1,85 @@
+// ministryProfile.mjs
+// A user's ministry profile (users/{uid}.ministryProfile): who they preach to
+// and how, so a Reformed rural congregation and a Pentecostal youth service
+// don't get the same text. Every field is optional:
+//
+//   tradition    denomination or tradition, e.g. "Reformed", "Pentecostal"
+//   translation  preferred Bible translation id (one of the loaded translations)
+//   contexts     congregation context, any of CONGREGATION_CONTEXTS
+//   style        preaching style, e.g. "expository, with stories from farm life"
+//   avoid        things to leave out, e.g. "altar calls, Greek word studies"
+//
+// profileInstructions() turns a profile into the {{ministry}} block that the
+// commentary, devotion and prayer templates append to their system prompt.
+import crypto from 'crypto';
+
+export const CONGREGATION_CONTEXTS = ['rural', 'township', 'youth', 'academic'];
+
+const CONTEXT_DESCRIPTIONS = {
+  rural:    'a rural congregation',
+  township: 'a township congregation',
+  youth:    'young people',
+  academic: 'an academically trained audience'
+};
+
+const TEXT_LIMITS = { tradition: 80, style: 300, avoid: 300 }; // characters
+
+export class ProfileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProfileError';
+    this.status = 400;
+    this.code = 'INVALID_PROFILE';
+  }
+}
+
+/**
+ * Validated, trimmed profile from request input:
+ * { tradition, translation, contexts, style, avoid } ('' / [] when unset).
+ * `translationIds` are the ids a preferred translation may name.
+ */
+export function parseProfile(input, { translationIds }) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new ProfileError('The profile must be an object');
+  }
+  const profile = {};
+  for (const [field, max] of Object.entries(TEXT_LIMITS)) {
+    const value = input[field] == null ? '' : String(input[field]).replace(/\s+/g, ' ').trim();
+    if (value.length > max) throw new ProfileError(`${field} is limited to ${max} characters`);
+    profile[field] = value;
+  }
+
+  const translation = input.translation ? String(input.translation).trim().toLowerCase() : '';
+  if (translation && !translationIds.includes(translation)) {
+    throw new ProfileError(`Unknown translation "${input.translation}" (available: ${translationIds.join(', ')})`);
+  }
+  profile.translation = translation;
+
+  const contexts = input.contexts == null ? [] : [].concat(input.contexts).map(c => String(c).toLowerCase());
+  const unknown = contexts.filter(c => !CONGREGATION_CONTEXTS.includes(c));
+  if (unknown.length) {
+    throw new ProfileError(`contexts must be among: ${CONGREGATION_CONTEXTS.join(', ')}`);
+  }
+  profile.contexts = CONGREGATION_CONTEXTS.filter(c => contexts.includes(c));
+  return profile;
+}
+
+// System prompt text for a profile, '' when it says nothing the model can use
+export function profileInstructions(profile) {
+  if (!profile) return '';
+  const lines = [];
+  if (profile.tradition) lines.push(`- Tradition: ${profile.tradition}. Stay within its theology and vocabulary.`);
+  if (profile.contexts?.length) {
+    lines.push(`- Congregation: ${profile.contexts.map(c => CONTEXT_DESCRIPTIONS[c]).filter(Boolean).join('; ')}.`);
+  }
+  if (profile.style) lines.push(`- Preaching style: ${profile.style}`);
+  if (profile.avoid) lines.push(`- Avoid: ${profile.avoid}`);
+  if (!lines.length) return '';
+  return `\n\nWrite for this pastor's ministry:\n${lines.join('\n')}`;
+}
+
+// Short stable id of what a profile adds to prompts (for cache keys), or null
+export function profileKey(profile) {
+  const text = profileInstructions(profile);
+  return text ? crypto.createHash('sha256').update(text).digest('hex').slice(0, 16) : null;
+}
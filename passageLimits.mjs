@@ -0,0 +1,34 @@
+// passageLimits.mjs
+// Maximum passage length (in verses) per endpoint scope and subscription plan.
+//
+// Scopes:  "verses" → plain text routes (/api/verses, /api/v2/verses, /api/passage, …)
+//          "ai"     → OpenAI-backed routes (/api/commentary, /api/devotion, /api/prayer)
+// Plans:   "anonymous", "free" (signed in, not subscribed), "subscriber", or any
+//          custom `plan` stored on users/{uid}. "default" covers plans not listed.
+//
+// Override with PASSAGE_LIMITS (JSON, merged per scope), e.g.
+//   PASSAGE_LIMITS='{"ai":{"subscriber":60,"church":100},"verses":{"anonymous":100}}'
+
+const DEFAULT_LIMITS = {
+  verses: { default: 250 },
+  ai:     { default: 50 }
+};
+
+export function loadPassageLimits(raw = process.env.PASSAGE_LIMITS) {
+  const limits = structuredClone(DEFAULT_LIMITS);
+  if (!raw) return limits;
+  try {
+    const parsed = JSON.parse(raw);
+    for (const [scope, plans] of Object.entries(parsed)) {
+      limits[scope] = { ...(limits[scope] || {}), ...plans };
+    }
+  } catch (e) {
+    console.error('❌ Ignoring invalid PASSAGE_LIMITS:', e.message);
+  }
+  return limits;
+}
+
+export function limitFor(limits, scope, plan) {
+  const perPlan = limits[scope] || {};
+  return perPlan[plan] ?? perPlan.default ?? Infinity;
+}
@@ -0,0 +1,164 @@
+// passageParser.mjs
+// Turns free-text scripture references ("Jn 3:16-18", "1 Kor 13:4–7; Ps 23")
+// into structured segments. Book lookup is alias/prefix based so English and
+// Afrikaans names, abbreviations and Roman numerals all resolve to the same
+// OSIS book id from bookRegistry.mjs.
+
+export class PassageError extends Error {
+  constructor(message, { status = 400, code = 'INVALID_REFERENCE', segment = null } = {}) {
+    super(message);
+    this.name = 'PassageError';
+    this.status = status;
+    this.code = code;
+    this.segment = segment;
+  }
+}
+
+const ROMAN_PREFIX = { i: '1', ii: '2', iii: '3' };
+
+// "I Corinthians" / "1 Kor." / "Efe­siërs" → "1corinthians" / "1kor" / "efesiers"
+export function normalizeBookKey(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f\u00ad]/g, '')
+    .toLowerCase()
+    .trim()
+    .replace(/^(iii|ii|i)(?=[\s.])/, m => ROMAN_PREFIX[m])
+    .replace(/[\s.]+/g, '');
+}
+
+/**
+ * Builds a lookup index from registry books ({ id, en, af, aliases }).
+ */
+export function buildBookIndex(books) {
+  const keys = new Map(); // normalized alias -> Set(book id)
+  const add = (alias, id) => {
+    const k = normalizeBookKey(alias);
+    if (!k) return;
+    if (!keys.has(k)) keys.set(k, new Set());
+    keys.get(k).add(id);
+  };
+
+  for (const book of books) {
+    [book.id, book.en, book.af, ...book.aliases].forEach(alias => add(alias, book.id));
+  }
+  return keys;
+}
+
+/**
+ * Resolves a user-typed book name (or OSIS id) to its OSIS id.
+ * Exact alias match wins; otherwise a unique prefix match is accepted.
+ */
+export function resolveBook(index, query) {
+  const k = normalizeBookKey(query);
+  if (!k) throw new PassageError('Missing book name', { code: 'UNKNOWN_BOOK', status: 404 });
+
+  const exact = index.get(k);
+  if (exact && exact.size === 1) return [...exact][0];
+
+  const candidates = new Set(exact || []);
+  if (!candidates.size) {
+    for (const [alias, names] of index) {
+      if (alias.startsWith(k)) names.forEach(n => candidates.add(n));
+    }
+  }
+  if (candidates.size === 1) return [...candidates][0];
+  if (candidates.size > 1) {
+    throw new PassageError(`Ambiguous book "${query}" (could be: ${[...candidates].join(', ')})`, {
+      code: 'AMBIGUOUS_BOOK', status: 404
+    });
+  }
+  throw new PassageError(`Unknown book "${query}"`, { code: 'UNKNOWN_BOOK', status: 404 });
+}
+
+// Numeric tail of a segment: "3:16-18", "8", "13:4-7, 9", "3:16-4:2"
+const NUMBERS_RE = /(\d+(?:\s*:\s*\d+)?(?:\s*[-,]\s*\d+(?:\s*:\s*\d+)?)*)\s*$/;
+
+function toPoint(p) {
+  const [chapter, verse] = p.split(':').map(Number);
+  return { chapter, verse };
+}
+
+function parseNumbers(str, segment) {
+  const items = str.split(',').map(s => s.trim()).filter(Boolean);
+  const ranges = [];
+  let lastChapter = null;
+  let verseMode = false;
+
+  for (const item of items) {
+    const parts = item.split('-').map(s => s.trim());
+    if (parts.length > 2 || parts.some(p => !p)) {
+      throw new PassageError(`Could not understand "${item}"`, { segment });
+    }
+    const [from, to] = parts;
+
+    // After a comma, bare numbers continue in verse mode ("3:16, 18")
+    let start;
+    if (from.includes(':')) start = toPoint(from);
+    else if (verseMode) start = { chapter: lastChapter, verse: Number(from) };
+    else start = { chapter: Number(from), verse: null };
+
+    let end = start;
+    if (to) {
+      if (to.includes(':')) end = toPoint(to);
+      else if (start.verse != null) end = { chapter: start.chapter, verse: Number(to) };
+      else end = { chapter: Number(to), verse: null };
+    }
+
+    if ((start.verse == null) !== (end.verse == null)) {
+      throw new PassageError(`Could not understand "${item}"`, { segment });
+    }
+    ranges.push({
+      startChapter: start.chapter,
+      startVerse: start.verse,
+      endChapter: end.chapter,
+      endVerse: end.verse
+    });
+    lastChapter = end.chapter;
+    verseMode = end.verse != null;
+  }
+  return ranges;
+}
+
+/**
+ * Parses a free-text reference into raw segments:
+ *   [{ bookQuery, startChapter, startVerse, endChapter, endVerse }]
+ * startVerse/endVerse are null for whole-chapter references. Book names are
+ * NOT resolved here (see resolveBook); segments without a book inherit the
+ * previous one ("Ps 23; 24").
+ */
+export function parsePassageRef(ref) {
+  const text = String(ref || '')
+    .replace(/[\u2010-\u2015\u2212]/g, '-')          // en/em dashes → hyphen
+    .replace(/(\d)\s*\.\s*(?=\d)/g, '$1:')          // "3.16" → "3:16"
+    .trim();
+  if (!text) throw new PassageError('Missing reference');
+
+  const out = [];
+  let prevBook = null;
+
+  for (const raw of text.split(';')) {
+    const segment = raw.trim();
+    if (!segment) continue;
+
+    const m = segment.match(NUMBERS_RE);
+    if (!m) throw new PassageError(`Missing chapter in "${segment}"`, { segment });
+
+    const bookQuery = segment.slice(0, m.index).trim() || prevBook;
+    if (!bookQuery) throw new PassageError(`Missing book name in "${segment}"`, { segment });
+    prevBook = bookQuery;
+
+    for (const r of parseNumbers(m[1], segment)) {
+      out.push({ bookQuery, segment, ...r });
+    }
+  }
+  if (!out.length) throw new PassageError('Missing reference');
+  return out;
+}
+
+// "John 3:16-18", "Romans 8", "Psalms 23:1-24:2"
+export function formatReference(book, sC, sV, eC, eV) {
+  if (sV == null) return sC === eC ? `${book} ${sC}` : `${book} ${sC}-${eC}`;
+  if (sC === eC) return sV === eV ? `${book} ${sC}:${sV}` : `${book} ${sC}:${sV}-${eV}`;
+  return `${book} ${sC}:${sV}-${eC}:${eV}`;
+}
@@ -0,0 +1,189 @@
+// promptRegistry.mjs
+// Prompt templates live in prompts/<feature>/ as versioned text files, so the
+// wording can change without touching code:
+//
+//   prompts/commentary/v1.md          base template for version 1
+//   prompts/commentary/v1.af.md       variant (any name after the version)
+//
+// Each file is front matter plus a "# system" and a "# user" section:
+//
+//   ---
+//   version: 1
+//   temperature: 0.7
+//   max_tokens: 2500
+//   format: json        ← optional: ask the provider for a JSON object
+//   lang: af            ← optional match fields: lang, tone, level
+//   ---
+//   # system
+//   You are Preach Point AI…
+//   # user
+//   Write a {{language}} commentary on {{passageRef}}: …
+//
+// The live version of a feature is its highest one unless PROMPT_VERSIONS pins
+// it (JSON, e.g. '{"commentary":1}'). Within a version the variant matching
+// the most of lang/tone/level wins; variants without match fields match
+// everything. Unknown {{variables}} are an error, so typos surface in preview.
+import fs from 'fs/promises';
+import path from 'path';
+
+export const PROMPT_VARIABLES = [
+  'scripture', 'passageRef', 'audience', 'language', 'tone', 'level', 'crossReferences', 'text', 'ministry'
+];
+const MATCH_FIELDS = ['lang', 'tone', 'level'];
+const NUMERIC_FIELDS = ['version', 'temperature', 'max_tokens'];
+
+export class PromptError extends Error {
+  constructor(message, { status = 400, code = 'PROMPT_ERROR' } = {}) {
+    super(message);
+    this.name = 'PromptError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Front matter + "# system" / "# user" sections → template object
+export function parseTemplate(raw, { feature, file }) {
+  const m = raw.replace(/\r\n/g, '\n').match(/^---\n([\s\S]*?)\n---\n([\s\S]*)$/);
+  if (!m) throw new PromptError(`${file}: missing front matter`);
+
+  const meta = {};
+  for (const line of m[1].split('\n')) {
+    const kv = line.match(/^\s*([\w-]+)\s*:\s*(.*?)\s*$/);
+    if (!kv) continue;
+    meta[kv[1]] = NUMERIC_FIELDS.includes(kv[1]) ? Number(kv[2]) : kv[2].toLowerCase();
+  }
+  if (!Number.isInteger(meta.version) || meta.version < 1) {
+    throw new PromptError(`${file}: front matter needs a positive whole "version"`);
+  }
+
+  const sections = {};
+  let current = null;
+  for (const line of m[2].split('\n')) {
+    const heading = line.match(/^#\s+(system|user)\s*$/i);
+    if (heading) {
+      current = heading[1].toLowerCase();
+      sections[current] = [];
+    } else if (current) {
+      sections[current].push(line);
+    }
+  }
+  if (!sections.user) throw new PromptError(`${file}: missing "# user" section`);
+
+  const template = {
+    id: `${feature}/${path.basename(file, '.md')}`,
+    feature,
+    file,
+    version: meta.version,
+    match: Object.fromEntries(MATCH_FIELDS.filter(f => meta[f]).map(f => [f, meta[f]])),
+    temperature: meta.temperature,
+    max_tokens: meta.max_tokens,
+    json: meta.format === 'json',
+    system: sections.system ? sections.system.join('\n').trim() : null,
+    user: sections.user.join('\n').trim()
+  };
+
+  for (const text of [template.system, template.user]) {
+    for (const [, name] of (text || '').matchAll(/\{\{\s*(\w+)\s*\}\}/g)) {
+      if (!PROMPT_VARIABLES.includes(name)) throw new PromptError(`${file}: unknown variable {{${name}}}`);
+    }
+  }
+  return template;
+}
+
+/**
+ * Reads every prompts/<feature>/*.md. Returns { dir, templates, pinned }.
+ * Throws PromptError on malformed files or two templates claiming the same
+ * version and match fields.
+ */
+export async function loadPrompts(dir, pinnedRaw = process.env.PROMPT_VERSIONS) {
+  const templates = [];
+  const features = (await fs.readdir(dir, { withFileTypes: true })).filter(d => d.isDirectory());
+  for (const { name: feature } of features) {
+    for (const file of (await fs.readdir(path.join(dir, feature))).filter(f => f.endsWith('.md')).sort()) {
+      const raw = await fs.readFile(path.join(dir, feature, file), 'utf8');
+      templates.push(parseTemplate(raw, { feature, file: path.join(feature, file) }));
+    }
+  }
+
+  const seen = new Map();
+  for (const t of templates) {
+    const key = `${t.feature} v${t.version} ${JSON.stringify(t.match)}`;
+    if (seen.has(key)) throw new PromptError(`${t.file} and ${seen.get(key)} both define ${key}`);
+    seen.set(key, t.file);
+  }
+
+  let pinned = {};
+  if (pinnedRaw) {
+    try {
+      pinned = JSON.parse(pinnedRaw);
+    } catch (e) {
+      console.error('❌ Ignoring invalid PROMPT_VERSIONS:', e.message);
+    }
+  }
+  return { dir, templates, pinned };
+}
+
+// Live version of a feature: pinned, else the highest available
+export function activeVersion(registry, feature) {
+  if (registry.pinned[feature] != null) return Number(registry.pinned[feature]);
+  const versions = registry.templates.filter(t => t.feature === feature).map(t => t.version);
+  return versions.length ? Math.max(...versions) : null;
+}
+
+/**
+ * Best template for a feature and context { lang, tone, level, version }.
+ * Throws PromptError 404 when the feature/version has no matching template.
+ */
+export function selectPrompt(registry, feature, context = {}) {
+  const version = context.version != null ? Number(context.version) : activeVersion(registry, feature);
+  const want = Object.fromEntries(MATCH_FIELDS.map(f => [f, context[f] ? String(context[f]).toLowerCase() : null]));
+
+  const candidates = registry.templates
+    .filter(t => t.feature === feature && t.version === version)
+    .filter(t => Object.entries(t.match).every(([f, v]) => want[f] === v))
+    .sort((a, b) => Object.keys(b.match).length - Object.keys(a.match).length);
+  if (!candidates.length) {
+    throw new PromptError(`No "${feature}" prompt for version ${version}`, { status: 404, code: 'PROMPT_NOT_FOUND' });
+  }
+  return candidates[0];
+}
+
+// Fills {{variables}}; missing values render as empty text
+export function fillTemplate(text, vars) {
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => (vars[name] == null ? '' : String(vars[name])));
+}
+
+/**
+ * Provider-neutral chat request (see llmProviders.mjs) for a template:
+ * { feature, promptId, promptVersion, messages, temperature, max_tokens, json }.
+ */
+export function renderPrompt(template, vars) {
+  const messages = [];
+  if (template.system) messages.push({ role: 'system', content: fillTemplate(template.system, vars) });
+  messages.push({ role: 'user', content: fillTemplate(template.user, vars) });
+  return {
+    feature: template.feature,
+    promptId: template.id,
+    promptVersion: template.version,
+    messages,
+    temperature: template.temperature,
+    max_tokens: template.max_tokens,
+    json: template.json
+  };
+}
+
+// Listing for the admin endpoint
+export function describePrompts(registry) {
+  return registry.templates.map(t => ({
+    id: t.id,
+    feature: t.feature,
+    version: t.version,
+    match: t.match,
+    active: t.version === activeVersion(registry, t.feature),
+    temperature: t.temperature ?? null,
+    max_tokens: t.max_tokens ?? null,
+    format: t.json ? 'json' : 'text',
+    system: t.system,
+    user: t.user
+  }));
+}
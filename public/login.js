@@ -41,6 +41,11 @@ async function authFetchJson(url, opts = {}) {
   if (!res.ok) throw new Error(`HTTP ${res.status}: ${txt}`);
   return txt ? JSON.parse(txt) : null;
 }
+// The server's { error } message from an authFetchJson failure, else the raw text
+function errorText(e){
+  try { return JSON.parse(String(e.message).replace(/^HTTP \d+: /, '')).error || e.message; }
+  catch { return e.message || String(e); }
+}
 
 // ===== UI refs =====
 const msg     = document.getElementById('msg');
@@ -53,6 +58,9 @@ const gateStatus  = document.getElementById('gateStatus');
 const enterAppBtn = document.getElementById('enterAppBtn');
 const subscribeBtn= document.getElementById('subscribeBtn');
 
+const profileCard = document.getElementById('profileCard');
+const profileForm = document.getElementById('profileForm');
+
 // ===== gate helpers =====
 function showGate({ show, status, canEnter, canSubscribe }){
   gateCard.style.display = show ? 'block' : 'none';
@@ -80,14 +88,77 @@ async function refreshGate(){
   }
 }
 
+// ===== ministry profile (/api/profile) =====
+const contextLabels = { rural:'Rural', township:'Township', youth:'Youth', academic:'Academic' };
+
+function fillProfile({ profile, contexts, translations }){
+  const p = profile || {};
+  document.getElementById('pfTradition').value = p.tradition || '';
+  document.getElementById('pfStyle').value = p.style || '';
+  document.getElementById('pfAvoid').value = p.avoid || '';
+
+  const select = document.getElementById('pfTranslation');
+  select.length = 1; // keep "No preference"
+  translations.forEach(t => select.add(new Option(`${t.name} (${t.language})`, t.id)));
+  select.value = p.translation || '';
+
+  const box = document.getElementById('pfContexts');
+  box.innerHTML = '';
+  contexts.forEach(c => {
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.value = c;
+    input.checked = (p.contexts || []).includes(c);
+    label.append(input, contextLabels[c] || c);
+    box.append(label);
+  });
+}
+async function loadProfile(){
+  try{
+    fillProfile(await authFetchJson('/api/profile'));
+    profileCard.style.display = 'block';
+  }catch(e){
+    profileCard.style.display = 'none'; // e.g. no Firestore on this server
+    console.warn('Ministry profile unavailable:', e);
+  }
+}
+
+profileForm.onsubmit = async (e) => {
+  e.preventDefault();
+  const btn = document.getElementById('pfSave');
+  btn.disabled = true;
+  setText('pfStatus', 'Saving…');
+  try{
+    const saved = await authFetchJson('/api/profile', {
+      method:'PUT',
+      body: JSON.stringify({
+        tradition:   document.getElementById('pfTradition').value,
+        translation: document.getElementById('pfTranslation').value,
+        contexts:    [...document.querySelectorAll('#pfContexts input:checked')].map(i => i.value),
+        style:       document.getElementById('pfStyle').value,
+        avoid:       document.getElementById('pfAvoid').value
+      })
+    });
+    fillProfile(saved);
+    setText('pfStatus', 'Saved ✅');
+  }catch(err){
+    setText('pfStatus', `Could not save: ${errorText(err)}`);
+  }finally{
+    btn.disabled = false;
+  }
+};
+
 // ===== auth state =====
 onAuthStateChanged(auth, async (user) => {
   if (user) {
     setText('msg', `Signed in as ${user.email}`);
     await refreshGate();
+    await loadProfile();
   } else {
     setText('msg', 'Not signed in.');
     showGate({ show:true, status:'Please sign in to continue.', canEnter:false, canSubscribe:false });
+    profileCard.style.display = 'none';
   }
 });
 
@@ -18,6 +18,8 @@
 // ─── safeFetchJson helper ─────────────────────────────────────
 /**
  * Fetches URL and returns parsed JSON, or throws with the raw text on error.
+ * Thrown errors carry `status` and, for JSON error bodies, the parsed `body`
+ * (e.g. { error, code, limit } from the passage-limit checks).
  * If signed-in with Firebase, attaches the ID token as Bearer.
  */
 async function safeFetchJson(url, opts = {}) {
@@ -31,7 +33,10 @@ async function safeFetchJson(url, opts = {}) {
   const txt = await res.text();
   if (!res.ok) {
     console.error('API error response:', txt);
-    throw new Error(`HTTP ${res.status}: ${txt}`);
+    const err = new Error(`HTTP ${res.status}: ${txt}`);
+    err.status = res.status;
+    try { err.body = JSON.parse(txt); } catch { /* not JSON */ }
+    throw err;
   }
   const ctype = res.headers.get('content-type') || '';
   if (!ctype.includes('application/json')) {
@@ -40,6 +45,64 @@ async function safeFetchJson(url, opts = {}) {
   return txt ? JSON.parse(txt) : null;
 }
 
+// ─── postEventStream helper ───────────────────────────────────
+/**
+ * POSTs `payload` to a streaming route (text/event-stream, see aiStream.mjs)
+ * and returns its { event, data } objects as an async iterable. Errors before
+ * the stream starts (401/402/413/429…) are thrown the same way safeFetchJson
+ * throws them; an `error` event is thrown with its data as `body`.
+ */
+async function* postEventStream(url, payload) {
+  const headers = new Headers({ 'Content-Type': 'application/json' });
+  const auth = window.__auth;
+  if (auth?.currentUser) {
+    const t = await auth.currentUser.getIdToken(false);
+    headers.set('Authorization', `Bearer ${t}`);
+  }
+  const res = await fetch(url, { method: 'POST', headers, body: JSON.stringify(payload) });
+  const ctype = res.headers.get('content-type') || '';
+  if (!res.ok || !ctype.includes('text/event-stream')) {
+    const txt = await res.text();
+    console.error('API error response:', txt);
+    const err = new Error(`HTTP ${res.status}: ${txt}`);
+    err.status = res.status;
+    try { err.body = JSON.parse(txt); } catch { /* not JSON */ }
+    throw err;
+  }
+
+  for await (const msg of readEventStream(res.body)) {
+    if (msg.event === 'error') {
+      const err = new Error(msg.data.error);
+      err.body = msg.data;
+      throw err;
+    }
+    yield msg;
+  }
+}
+
+// Parses a text/event-stream body into { event, data } objects (data as JSON)
+async function* readEventStream(body) {
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  let buf = '';
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buf += value.replace(/\r\n/g, '\n');
+    let i;
+    while ((i = buf.indexOf('\n\n')) !== -1) {
+      const frame = buf.slice(0, i);
+      buf = buf.slice(i + 2);
+      let event = 'message';
+      let data = '';
+      for (const line of frame.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      }
+      if (data) yield { event, data: JSON.parse(data) };
+    }
+  }
+}
+
 // ─── Auth gate on app load ─────────────────────────────────────
 (async function guardAccess() {
   const appEl = document.getElementById('app');
@@ -54,6 +117,9 @@ async function safeFetchJson(url, opts = {}) {
     if (r.ok) {
       // Auth OK → reveal app
       if (appEl) appEl.hidden = false;
+      refreshUsage();
+      loadHistory();
+      resumeStudyJob();
       return;
     }
     if (r.status === 401) {
@@ -68,56 +134,118 @@ async function safeFetchJson(url, opts = {}) {
 })();
 
 
-// ─── Localized Afrikaans book names (same order as /api/books) ──
-const afBookNames = [
-  "Genesis","Eksodus","Levitikus","Numeri","Deuteronomium","Josua",
-  "Rigters","Rut","1 Samuel","2 Samuel","1 Konings","2 Konings",
-  "1 Kronieke","2 Kronieke","Esra","Nehemia","Esther","Job","Psalms",
-  "Spreuke","Prediker","Hooglied","Jesaja","Jeremia","Klaagliedere",
-  "Esegiel","Daniël","Hosëa","Joël","Amos","Obadja","Jona","Miga",
-  "Nahum","Habakkuk","Sefanja","Haggai","Sagaria","Maleagi",
-  "Matteus","Markus","Lukas","Johannes","Handelinge","Romeine",
-  "1 Korintiërs","2 Korintiërs","Galasiërs","Efe­siërs","Filippense",
-  "Kolossense","1 Tessalonisense","2 Tessalonisense","1 Timoteus",
-  "2 Timoteus","Titus","Filemon","Hebreërs","Jakobus","1 Petrus",
-  "2 Petrus","1 Johannes","2 Johannes","3 Johannes","Judas","Openbaring"
-];
-
 // ─── Standard UI label data ─────────────────────────────────────
 const toneOptions  = { en: ["Teaching","Encouragement","Evangelism"], af: ["Onderrig","Aanmoediging","Evangelies"] };
 const levelOptions = { en: ["Short","Sermon-Style","Full Commentary"], af: ["Kort","Preek-Styl","Volledige Kommentaar"] };
 const labels = {
-  en: { lang:"Language", book:"Book", chapter:"Start Chapter", verse:"Start Verse", endChapter:"End Chapter", endVerse:"End Verse", tone:"Tone", level:"Explanation Level" },
-  af: { lang:"Taal",    book:"Boek", chapter:"Begin Hoofstuk", verse:"Begin Vers",      endChapter:"Eind Hoofstuk",   endVerse:"Eind Vers",       tone:"Toon",  level:"Uitlegvlak" }
+  en: { lang:"Language", book:"Book", chapter:"Start Chapter", verse:"Start Verse", endChapter:"End Chapter", endVerse:"End Verse", tone:"Tone", level:"Explanation Level", parallel:"Show English and Afrikaans side by side", crossrefs:"Draw on cross-references in the commentary", missing:"— not in this translation —" },
+  af: { lang:"Taal",    book:"Boek", chapter:"Begin Hoofstuk", verse:"Begin Vers",      endChapter:"Eind Hoofstuk",   endVerse:"Eind Vers",       tone:"Toon",  level:"Uitlegvlak",  parallel:"Wys Engels en Afrikaans langs mekaar",     crossrefs:"Gebruik kruisverwysings in die kommentaar",   missing:"— nie in hierdie vertaling nie —" }
 };
 const buttonLabels = {
   en: {
     generate: "Generate Commentary",
     copy:     "Copy to Clipboard",
     reset:    "Reset Fields",
-    pdf:      "Download as PDF"
+    pdf:      "Download as PDF",
+    outline:  "Sermon Outline",
+    guide:    "Study Guide",
+    ask:      "Ask"
   },
   af: {
     generate: "Genereer Kommentaar",
     copy:     "Kopieer na klembord",
     reset:    "Herstel Velde",
-    pdf:      "Laai af as PDF"
+    pdf:      "Laai af as PDF",
+    outline:  "Preekskets",
+    guide:    "Studiegids",
+    ask:      "Vra"
   }
  };
 const headingLabels = {
-  en: { verses: "Bible Text", commentary: "Commentary", devotion: "Devotion",   prayer: "Prayer" },
-  af: { verses: "Bybelteks",  commentary: "Kommentaar", devotion: "Toewyding", prayer: "Gebed" }
+  en: { verses: "Bible Text", commentary: "Commentary", devotion: "Devotion",   prayer: "Prayer", outline: "Sermon Outline", guide: "Study Guide", chat: "Ask about this passage" },
+  af: { verses: "Bybelteks",  commentary: "Kommentaar", devotion: "Toewyding", prayer: "Gebed",  outline: "Preekskets",     guide: "Studiegids",  chat: "Vra oor hierdie gedeelte" }
+};
+const outlineLabels = {
+  en: { bigIdea: "Big idea",    explanation: "Explanation", illustration: "Illustration", application: "Application", callToResponse: "Call to response" },
+  af: { bigIdea: "Kerngedagte", explanation: "Verduideliking", illustration: "Illustrasie", application: "Toepassing", callToResponse: "Oproep tot reaksie" }
+};
+const guideLabels = {
+  en: { icebreaker: "Icebreaker", observation: "Observation", interpretation: "Interpretation", application: "Application",
+        answer: "Suggested answer", leaderNotes: "Leader notes", closingPrayer: "Closing prayer" },
+  af: { icebreaker: "Ysbreker", observation: "Waarneming", interpretation: "Interpretasie", application: "Toepassing",
+        answer: "Voorgestelde antwoord", leaderNotes: "Leiersnotas", closingPrayer: "Slotgebed" }
+};
+
+const historyLabels = {
+  en: { heading: "Saved studies", search: "Search saved studies", more: "Show more", empty: "Studies you generate are saved here.",
+        none: "No saved studies match.", remove: "Delete", confirm: ref => `Delete the saved study of ${ref}?` },
+  af: { heading: "Gestoorde studies", search: "Soek gestoorde studies", more: "Wys meer", empty: "Studies wat jy genereer, word hier gestoor.",
+        none: "Geen gestoorde studies pas nie.", remove: "Skrap", confirm: ref => `Skrap die gestoorde studie van ${ref}?` }
+};
+
+const reviseLabels = {
+  en: { placeholder: "Change it: shorter, for youth, add an illustration…", submit: "Revise", original: "Original",
+        prev: "Previous version", next: "Next version" },
+  af: { placeholder: "Verander dit: korter, vir die jeug, voeg ’n illustrasie by…", submit: "Hersien", original: "Oorspronklik",
+        prev: "Vorige weergawe", next: "Volgende weergawe" }
+};
+
+const usageLabels = {
+  en: (d, m) => `AI use today: ${d}, this month: ${m}`,
+  af: (d, m) => `KI-gebruik vandag: ${d}, hierdie maand: ${m}`
+};
+
+const quotaLabels = {
+  en: { daily: "You have used today's AI allowance on your plan.", monthly: "You have used this month's AI allowance on your plan.",
+        resets: date => `It resets on ${date}.`, busy: "Too many requests; please try again in a moment." },
+  af: { daily: "Jy het vandag se KI-toelae op jou plan opgebruik.", monthly: "Jy het hierdie maand se KI-toelae op jou plan opgebruik.",
+        resets: date => `Dit begin weer op ${date}.`, busy: "Te veel versoeke; probeer asseblief oor ’n oomblik weer." }
 };
 
+// Last passage from /api/v2/verses (null in parallel view); used by the PDF export
+let currentPassage = null;
+// Last /api/sermon-outline result; also exported to the PDF
+let currentOutline = null;
+// Last /api/study-guide result; also exported to the PDF
+let currentGuide = null;
+// /api/passage-chat session for the selected passage; a new selection starts a new one
+let chatSessionId = null;
+// The study pack on screen, for revisions (/api/revise): { studyId, payload, lang,
+// sections: { <section>: { versions: [{ text, citations, instruction }], index } } }.
+// Saved studies are revised by id; otherwise the passage `payload` is sent along.
+let shownStudy = null;
+
 // shorthand for document.getElementById
 function $(id) { return document.getElementById(id); }
 
+// Interface text exists in English and Afrikaans; other AI languages
+// (isiZulu, isiXhosa, Sesotho) get English labels but their own output.
+function uiLocale() {
+  return $('lang').value === 'af' ? 'af' : 'en';
+}
+
+// ─── Offer the languages the server generates in (/api/languages) ──
+async function populateLanguages() {
+  const select = $('lang');
+  try {
+    const js = await safeFetchJson('/api/languages');
+    const current = select.value;
+    select.innerHTML = '';
+    js.languages.forEach(l => select.add(new Option(l.label, l.code)));
+    select.value = js.languages.some(l => l.code === current) ? current : js.default;
+  } catch (err) {
+    console.error('Could not load languages:', err); // keep the built-in options
+  }
+}
+
 // ─── Populate the book <select> from /api/books ─────────────────
+// The server's book registry is the only source of names; option values are
+// OSIS ids ("Gen", "1Cor", …) so they never depend on the display language.
 async function populateBooks() {
-  const loc = $('lang').value;
+  const loc = uiLocale();
   let data;
   try {
-    data = await safeFetchJson('/api/books');
+    data = await safeFetchJson(`/api/books?lang=${loc}`);
   } catch (err) {
     console.error('Could not load books list:', err);
     return;
@@ -129,21 +257,14 @@ async function populateBooks() {
     ? '---Kies n boek---'
     : '— Select a Book —';
   bookSelect.append(new Option(placeholder, ''));
-    if ($('lang').value === 'af') {
-    // show Afrikaans names, but keep the value = English key
-    data.books.forEach((engName, i) => {
-      bookSelect.append(new Option(afBookNames[i], engName));
-    });
-  } else {
-    data.books.forEach(name => {
-      bookSelect.append(new Option(name, name));
-    });
-  }
+  data.books.forEach(b => {
+    bookSelect.append(new Option(b.name, b.id));
+  });
 }
 
 // ─── Populate chapters after a book is chosen ───────────────────
 async function populateChapters() {
-  const loc      = $('lang').value;
+  const loc      = uiLocale();
   const bookName = $('book').value;
   const sel0     = $('chapter');
   const sel1     = $('end-chapter');
@@ -171,7 +292,7 @@ async function populateChapters() {
 
 // ─── Populate verses after a chapter is chosen ──────────────────
 async function populateVerses() {
-  const loc      = $('lang').value;
+  const loc      = uiLocale();
   const bookName = $('book').value;
   const chap     = $('chapter').value;
   const sel0     = $('verse');
@@ -201,7 +322,7 @@ async function populateVerses() {
 }
 // ─── Populate end verses after end-chapter is chosen ──────────────
 async function populateEndVerses() {
-  const loc      = $('lang').value;
+  const loc      = uiLocale();
   const bookName = $('book').value;
   const endChap  = $('end-chapter').value;
   const sel1     = $('end-verse');
@@ -228,13 +349,13 @@ async function populateEndVerses() {
 
 // ─── Populate tone & level selects ──────────────────────────────
 function populateTone() {
-  const loc = $('lang').value;
+  const loc = uiLocale();
   const sel = $('tone');
   sel.innerHTML = '';
   toneOptions[loc].forEach(o => sel.append(new Option(o, o.toLowerCase())));
 }
 function populateLevels() {
-  const loc = $('lang').value;
+  const loc = uiLocale();
   const sel = $('level');
   sel.innerHTML = '';
   levelOptions[loc].forEach(o =>
@@ -253,11 +374,27 @@ function updateButtonsAndHeadings(loc) {
   const devHead = $('devotion-heading');                 // <— add
   if (devHead) devHead.textContent = headingLabels[loc].devotion; // <— add
   $('prayer-heading').textContent = headingLabels[loc].prayer;
+  $('outline-btn').textContent     = buttonLabels[loc].outline;
+  $('outline-heading').textContent = headingLabels[loc].outline;
+  $('guide-btn').textContent       = buttonLabels[loc].guide;
+  $('guide-heading').textContent   = headingLabels[loc].guide;
+  $('chat-heading').textContent    = headingLabels[loc].chat;
+  $('chat-send').textContent       = buttonLabels[loc].ask;
+  $('history-heading').textContent = historyLabels[loc].heading;
+  $('history-search').placeholder  = historyLabels[loc].search;
+  $('history-more').textContent    = historyLabels[loc].more;
+  document.querySelectorAll('.revise').forEach(bar => {
+    bar.querySelector('.revise-input').placeholder = reviseLabels[loc].placeholder;
+    bar.querySelector('.revise-submit').textContent = reviseLabels[loc].submit;
+    bar.querySelector('.revise-prev').title = reviseLabels[loc].prev;
+    bar.querySelector('.revise-next').title = reviseLabels[loc].next;
+    updateReviseBar(bar.dataset.section);
+  });
 }
 
 // ─── Update all labels, then repopulate dropdowns ───────────────
 function updateUI() {
-  const loc = $('lang').value;
+  const loc = uiLocale();
   const L   = labels[loc];
   $('lang-label').textContent        = L.lang;
   $('book-label').textContent        = L.book;
@@ -267,6 +404,8 @@ function updateUI() {
   $('end-verse-label').textContent   = L.endVerse;
   $('tone-label').textContent        = L.tone;
   $('level-label').textContent       = L.level;
+  $('parallel-text').textContent     = L.parallel;
+  $('crossrefs-text').textContent    = L.crossrefs;
   updateButtonsAndHeadings(loc);
 
   populateBooks();
@@ -275,6 +414,17 @@ function updateUI() {
   populateTone();
   populateLevels();
 }
+// The cross-reference option only where the server has the dataset (GET /api/crossrefs)
+async function showCrossRefsOption() {
+  try {
+    const js = await safeFetchJson('/api/crossrefs');
+    $('crossrefs-label').hidden = !js.available;
+  } catch (e) {
+    console.warn('Cross-reference status unavailable:', e);
+  }
+  if ($('crossrefs-label').hidden) $('crossrefs').checked = false;
+}
+
 // ─── Reset all fields ───────────────────────────────
 function onReset() {
   $('lang').value = 'en';
@@ -285,28 +435,53 @@ function onReset() {
   $('end-verse').value = '';
   $('tone').value = '';
   $('level').value = '';
+  $('parallel').checked = false;
+  $('crossrefs').checked = false;
   $('verses').textContent = '';
+  currentPassage = null;
   $('commentary').textContent = '';
   $('devotionOutput').textContent = '';
   $('prayer').textContent = '';
+  currentOutline = null;
+  $('sermonOutline').textContent = '';
+  $('sermonOutline').hidden = true;
+  $('outline-heading').hidden = true;
+  currentGuide = null;
+  $('studyGuide').textContent = '';
+  $('studyGuide').hidden = true;
+  $('guide-heading').hidden = true;
+  shownStudy = null;
+  resetChat();
   updateUI();
 }
 // ─── Wire up event listeners ─────────────────────────────────────
 window.addEventListener('DOMContentLoaded', () => {
-  updateUI();
+  setupReviseBars();
+  showCrossRefsOption();
+  populateLanguages().then(updateUI);
   $('lang').addEventListener('change', updateUI);
+  $('lang').addEventListener('change', refreshUsage);
   $('book').addEventListener('change', populateChapters);
   $('chapter').addEventListener('change', populateVerses);
   $('generate-btn').addEventListener('click', onGenerate);
+  $('outline-btn').addEventListener('click', onOutline);
+  $('guide-btn').addEventListener('click', onStudyGuide);
   $('reset-btn').addEventListener('click', onReset);
   $('download-pdf').addEventListener('click', onDownloadPDF);
   $('end-chapter').addEventListener('change', populateEndVerses);
+  ['lang', 'book', 'chapter', 'verse', 'end-chapter', 'end-verse']
+    .forEach(id => $(id).addEventListener('change', resetChat));
+  $('chat-form').addEventListener('submit', onChatSubmit);
+  $('history-search').addEventListener('input', onHistorySearch);
+  $('history-more').addEventListener('click', () => loadHistory({ more: true }));
+  $('output').addEventListener('click', onScriptureRefClick);
+  $('chat-log').addEventListener('click', onScriptureRefClick);
 });
 
 // ─── Generate & display commentary ───────────────────────────────
 async function onGenerate() {
   const lang     = $('lang').value;
-  let bookName   = $('book').value;
+  const bookName = $('book').value;
   const sCh      = $('chapter').value;
   const sV       = $('verse').value;
   const eCh      = $('end-chapter').value || sCh;
@@ -319,123 +494,677 @@ async function onGenerate() {
     return;
   }
 
-  // Afrikaans display names mapping (English -> Afrikaans)
-  const afBookMap = {
-    'Genesis':'Genesis','Exodus':'Eksodus','Leviticus':'Levitikus','Numbers':'Numeri','Deuteronomy':'Deuteronomium',
-    'Joshua':'Josua','Judges':'Rigters','Ruth':'Rut','1 Samuel':'1 Samuel','I Samuel':'1 Samuel','2 Samuel':'2 Samuel','II Samuel':'2 Samuel',
-    '1 Kings':'1 Konings','I Kings':'1 Konings','2 Kings':'2 Konings','II Kings':'2 Konings','1 Chronicles':'1 Kronieke','I Chronicles':'1 Kronieke',
-    '2 Chronicles':'2 Kronieke','II Chronicles':'2 Kronieke','Ezra':'Esra','Nehemiah':'Nehemia','Esther':'Ester','Job':'Job','Psalms':'Psalms',
-    'Proverbs':'Spreuke van Salomo','Ecclesiastes':'Prediker','Song of Solomon':'Hooglied van Salomo','Isaiah':'Jesaja','Jeremiah':'Jeremia',
-    'Lamentations':'Klaagliedere van Jeremia','Ezekiel':'Esegiël','Daniel':'Daniël','Hosea':'Hosea','Joel':'Joël','Amos':'Amos','Obadiah':'Obadja',
-    'Jonah':'Jona','Micah':'Miga','Nahum':'Nahum','Habakkuk':'Habakuk','Zephaniah':'Sefanja','Haggai':'Haggai','Zechariah':'Sagaria',
-    'Malachi':'Maleagi','Matthew':'Matteus','Mark':'Markus','Luke':'Lukas','John':'Johannes','Acts':'Die handelinge van die apostels',
-    'Romans':'Romeine','1 Corinthians':'1 Korintiërs','I Corinthians':'1 Korintiërs','2 Corinthians':'2 Korintiërs','II Corinthians':'2 Korintiërs',
-    'Galatians':'Galasiërs','Ephesians':'Effesiërs','Philippians':'Filippense','Colossians':'Kolossense','1 Thessalonians':'1 Tessalonisense',
-    'I Thessalonians':'1 Tessalonisense','2 Thessalonians':'2 Tessalonisense','II Thessalonians':'2 Tessalonisense','1 Timothy':'1 Timoteus',
-    'I Timothy':'1 Timoteus','2 Timothy':'2 Timoteus','II Timothy':'2 Timoteus','Titus':'Titus','Philemon':'Filemon','Hebrews':'Hebreërs',
-    'James':'Jakobus','1 Peter':'1 Petrus','I Peter':'1 Petrus','2 Peter':'2 Petrus','II Peter':'2 Petrus','1 John':'1 Johannes','I John':'1 Johannes',
-    '2 John':'2 Johannes','II John':'2 Johannes','3 John':'3 Johannes','III John':'3 Johannes','Jude':'Judas',
-    'Revelation of John':'Die openbaring','Revelation':'Die openbaring'
-  };
-
-  // Normalize book name for display when Afrikaans is selected
-  let displayBook = (lang === 'af') ? (afBookMap[bookName] || bookName) : bookName;
+  // Exact verse count from the server, checked against this user's AI limit
+  // (the server enforces the same limit on every route).
+  let useJob = false;
+  try {
+    const chk = await safeFetchJson('/api/passage/check', {
+      method: 'POST', headers: { 'Content-Type':'application/json' },
+      body: JSON.stringify({ book: bookName, startChapter: sCh, startVerse: sV, endChapter: eCh, endVerse: eV, lang })
+    });
+    if (chk.verses > chk.limits.ai) {
+      alert(`Please limit your selection to ${chk.limits.ai} verses. You selected ${chk.verses}.`);
+      return;
+    }
+    useJob = chk.useJob;
+  } catch (e) {
+    if (e.body?.error) {
+      alert(e.body.error);
+      return;
+    }
+    console.warn('Verse limit check skipped:', e);
+  }
 
   // Show spinners
+  currentPassage = null;
   $('verses').innerHTML        = '<div class="spinner spinner--dual-ring"></div>';
   $('commentary').innerHTML    = '<div class="spinner spinner--dual-ring"></div>';
   $('devotionOutput').innerHTML= '<div class="spinner spinner--dual-ring"></div>';
   $('prayer').innerHTML        = '<div class="spinner spinner--dual-ring"></div>';
 
-  // Optional: enforce maximum of 50 verses across the selection
-  try {
-    const sChapter = parseInt(sCh);
-    const eChapter = parseInt(eCh);
-    const sVerse   = parseInt(sV);
-    const eVerse   = parseInt(eV);
-    let totalVerses = 0;
-
-    if (sChapter === eChapter) {
-      totalVerses = eVerse - sVerse + 1;
-    } else {
-      const startRes   = await safeFetchJson(`/api/versesCount?book=${encodeURIComponent(bookName)}&chapter=${sChapter}`);
-      const endRes     = await safeFetchJson(`/api/versesCount?book=${encodeURIComponent(bookName)}&chapter=${eChapter}`);
-      const startTotal = startRes.verses.length;
-      const endTotal   = endRes.verses.length;
-      totalVerses = (startTotal - sVerse + 1) + eVerse;
-      if (eChapter - sChapter > 1) totalVerses += 999; // rough middle chapters
+  const passage  = { book: bookName, startChapter: sCh, startVerse: sV, endChapter: eCh, endVerse: eV, lang };
+  const parallel = $('parallel').checked;
+
+  // 1) Parallel view is its own (public) request; otherwise the verses come
+  //    with the study pack below
+  if (parallel) {
+    try {
+      const js = await safeFetchJson('/api/parallel', {
+        method: 'POST', headers: { 'Content-Type':'application/json' },
+        body: JSON.stringify({ book: bookName, startChapter: sCh, startVerse: sV, endChapter: eCh, endVerse: eV })
+      });
+      renderParallel(js, uiLocale());
+    } catch (e) {
+      $('verses').textContent = `Error: ${e.body?.error || e.message}`;
+      return; // stop further steps if verses fail
     }
+  }
 
-    const maxLimit = 50;
-    if (totalVerses > maxLimit) {
-      alert(`Please limit your selection to ${maxLimit} verses. You selected ${totalVerses}.`);
+  // 2) Commentary, devotion & prayer (protected): one streamed request,
+  //    generated side by side; each section succeeds or fails on its own.
+  //    Long passages run as a job instead, which outlasts request timeouts.
+  const outputs  = studyOutputs();
+  const texts    = { commentary: '', devotion: '', prayer: '' };
+  const finished = new Set();
+  let gotPassage = parallel;
+  try {
+    const payload = { ...passage, tone, level: lvl, crossRefs: $('crossrefs').checked, links: true };
+    shownStudy = { studyId: null, payload, lang, sections: {} };
+    Object.keys(outputs).forEach(updateReviseBar);
+    if (useJob) {
+      await runStudyJob(payload, { showVerses: !parallel });
+      refreshUsage();
+      loadHistory();
       return;
     }
+    for await (const { event, data } of postEventStream('/api/study', { ...payload, stream: true })) {
+      if (event === 'passage') {
+        gotPassage = true;
+        if (!parallel) renderVerses(data);
+      } else if (event === 'delta') {
+        texts[data.section] += data.text;
+        outputs[data.section].textContent = texts[data.section];
+      } else if (event === 'section') {
+        finished.add(data.section);
+        showSection(data.section, data, lang);
+      } else if (event === 'done' && shownStudy) {
+        shownStudy.studyId = data.studyId;
+      }
+    }
   } catch (e) {
-    console.warn('Verse limit check skipped:', e);
+    const msg = aiErrorText(e);
+    Object.entries(outputs).forEach(([section, el]) => {
+      if (!finished.has(section)) el.textContent = msg;
+    });
+    // Rejected before generating (not subscribed, passage too long…): the verses are still public
+    if (!gotPassage) {
+      try {
+        const js = await safeFetchJson('/api/v2/verses', {
+          method: 'POST', headers: { 'Content-Type':'application/json' }, body: JSON.stringify(passage)
+        });
+        renderVerses(js);
+      } catch (e2) {
+        $('verses').textContent = `Error: ${e2.body?.error || e2.message}`;
+      }
+    }
   }
+  refreshUsage();
+  loadHistory();
+}
+
+function studyOutputs() {
+  return { commentary: $('commentary'), devotion: $('devotionOutput'), prayer: $('prayer') };
+}
+
+// ─── Study pack as a generation job (/api/jobs), for long passages ─
+// The server advances a job one step per poll, so the running job is
+// remembered in localStorage: reloading the page resumes it instead of
+// losing it.
+const STUDY_JOB_KEY = 'preachpoint.studyJob';
+const JOB_POLL_MS   = 3000;
 
-  // 1) Fetch & render verses
+async function runStudyJob(payload, { showVerses }) {
+  const job = await safeFetchJson('/api/jobs', {
+    method: 'POST', headers: { 'Content-Type':'application/json' },
+    body: JSON.stringify({ kind: 'study', ...payload })
+  });
+  const saved = { id: job.id, lang: payload.lang, showVerses, payload };
+  localStorage.setItem(STUDY_JOB_KEY, JSON.stringify(saved));
+  await awaitStudyJob(saved);
+}
+
+// Polls until the job finishes, then fills in the sections (and the verses)
+async function awaitStudyJob({ id, lang, showVerses }) {
+  let job;
   try {
-    const versesUrl = (lang === 'af') ? '/api/translate' : '/api/verses';
-    const payload   = { book: bookName, startChapter: sCh, startVerse: sV, endChapter: eCh, endVerse: eV };
-    const js        = await safeFetchJson(versesUrl, {
-      method: 'POST', headers: { 'Content-Type':'application/json' }, body: JSON.stringify(payload)
-    });
+    do {
+      await new Promise(resolve => setTimeout(resolve, JOB_POLL_MS));
+      job = await safeFetchJson(`/api/jobs/${encodeURIComponent(id)}`);
+    } while (job.status === 'queued' || job.status === 'running');
+  } catch (e) {
+    if (e.status === 404) localStorage.removeItem(STUDY_JOB_KEY);
+    throw e;
+  }
+  localStorage.removeItem(STUDY_JOB_KEY);
+  if (job.status === 'error') {
+    throw Object.assign(new Error(job.error.message), { body: { error: job.error.message } });
+  }
+  const { passage, sections, studyId } = job.result;
+  if (showVerses) renderVerses(passage);
+  if (shownStudy) shownStudy.studyId = studyId;
+  showStudySections(sections, lang);
+}
+
+// Study pack sections ({ commentary: { ok, text, citations } | { ok: false, error }, … })
+function showStudySections(sections, lang) {
+  Object.keys(studyOutputs()).forEach(section => showSection(section, sections[section], lang));
+}
+
+// One finished section; saved studies bring their `versions` and current `version`
+function showSection(section, data, lang) {
+  const box = studyOutputs()[section];
+  if (shownStudy) delete shownStudy.sections[section];
+  if (data.ok) {
+    const versions = data.versions || [{ text: data.text, citations: data.citations, instruction: null }];
+    if (shownStudy) shownStudy.sections[section] = { versions, index: data.version ?? versions.length - 1 };
+    showCitedText(box, section, data, lang);
+  } else {
+    box.textContent = `Error: ${data.error}`;
+  }
+  updateReviseBar(section);
+}
 
-    const verseBlock =
-      (lang === 'af')
-        ? (js.translation || js.scripture || '[Geen teks gevind nie]')
-        : (js.text || '[No text found]');
+// After a reload: wait for a job started before it
+async function resumeStudyJob() {
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(STUDY_JOB_KEY));
+  } catch { /* ignore a damaged entry */ }
+  if (!saved?.id) return;
 
-    $('verses').textContent = `${displayBook} ${sCh}:${sV}–${eCh}:${eV}\n\n${verseBlock}`;
+  shownStudy = { studyId: null, payload: saved.payload || null, lang: saved.lang, sections: {} };
+  const boxes = Object.values(studyOutputs());
+  if (saved.showVerses) boxes.push($('verses'));
+  boxes.forEach(box => { box.innerHTML = '<div class="spinner spinner--dual-ring"></div>'; });
+  try {
+    await awaitStudyJob(saved);
   } catch (e) {
-    $('verses').textContent = `Error: ${e.message}`;
-    return; // stop further steps if verses fail
+    boxes.forEach(box => { box.textContent = aiErrorText(e); });
+  }
+  refreshUsage();
+  loadHistory();
+}
+
+// ─── Revise one section with an instruction (/api/revise) ──────────
+// Each section gets a bar under it: an instruction box, plus ‹ n/m › to move
+// between its versions once it has been revised.
+function setupReviseBars() {
+  Object.entries(studyOutputs()).forEach(([section, box]) => {
+    const bar = el('form', '', 'revise');
+    bar.dataset.section = section;
+    bar.hidden = true;
+    const prev = el('button', '‹', 'revise-prev');
+    const next = el('button', '›', 'revise-next');
+    prev.type = next.type = 'button';
+    prev.addEventListener('click', () => switchVersion(section, -1));
+    next.addEventListener('click', () => switchVersion(section, +1));
+    const input = el('input', '', 'revise-input');
+    input.type = 'text';
+    input.maxLength = 300;
+    input.autocomplete = 'off';
+    const submit = el('button', '', 'revise-submit');
+    submit.type = 'submit';
+    bar.append(prev, el('span', '', 'revise-count'), next, input, submit);
+    bar.addEventListener('submit', onReviseSubmit);
+    box.after(bar);
+  });
+}
+
+function reviseBar(section) {
+  return document.querySelector(`.revise[data-section="${section}"]`);
+}
+
+function updateReviseBar(section) {
+  const bar = reviseBar(section);
+  if (!bar) return;
+  const state = shownStudy?.sections[section];
+  bar.hidden = !state || !(shownStudy.studyId || shownStudy.payload);
+  if (bar.hidden) return;
+  const L = reviseLabels[uiLocale()];
+  const many = state.versions.length > 1;
+  const count = bar.querySelector('.revise-count');
+  count.textContent = many ? `${state.index + 1}/${state.versions.length}` : '';
+  count.title = state.versions[state.index].instruction || L.original;
+  bar.querySelector('.revise-prev').hidden = bar.querySelector('.revise-next').hidden = !many;
+  bar.querySelector('.revise-prev').disabled = state.index === 0;
+  bar.querySelector('.revise-next').disabled = state.index === state.versions.length - 1;
+}
+
+function switchVersion(section, step) {
+  const state = shownStudy?.sections[section];
+  const index = state && state.index + step;
+  if (!state?.versions[index]) return;
+  state.index = index;
+  showCitedText(studyOutputs()[section], section, state.versions[index], shownStudy.lang);
+  updateReviseBar(section);
+  if (shownStudy.studyId) {
+    safeFetchJson(`/api/studies/${encodeURIComponent(shownStudy.studyId)}/sections/${section}`, {
+      method: 'PUT', headers: { 'Content-Type':'application/json' }, body: JSON.stringify({ version: index })
+    }).catch(e => console.warn('Could not save the chosen version:', e));
   }
+}
+
+async function onReviseSubmit(e) {
+  e.preventDefault();
+  const bar = e.currentTarget;
+  const { section } = bar.dataset;
+  const input = bar.querySelector('.revise-input');
+  const instruction = input.value.trim();
+  const study = shownStudy;
+  const state = study?.sections[section];
+  if (!instruction || !state) return;
 
-  // 2) Commentary (protected)
+  const body = study.studyId
+    ? { studyId: study.studyId, section, instruction, links: true }
+    : { ...study.payload, section, instruction, previous: state.versions[state.index].text };
+  const box = studyOutputs()[section];
+  const controls = bar.querySelectorAll('button, input');
+  controls.forEach(c => { c.disabled = true; });
+  box.innerHTML = '<div class="spinner spinner--dual-ring"></div>';
   try {
-    const js2 = await safeFetchJson('/api/commentary', {
-      method: 'POST',
-      headers: { 'Content-Type':'application/json' },
-      body: JSON.stringify({ book: bookName, startChapter: sCh, startVerse: sV, endChapter: eCh, endVerse: eV, tone, level: lvl, lang })
+    const js = await safeFetchJson('/api/revise', {
+      method: 'POST', headers: { 'Content-Type':'application/json' }, body: JSON.stringify(body)
     });
-    let commentaryText = js2.commentary || '';
-    if (lang === 'af') {
-      commentaryText = commentaryText.replace(/^Conclusie\b/, 'Gevolgtrekking');
+    if (js.versions) {
+      state.versions = js.versions;
+      state.index = js.version;
+    } else {
+      state.versions.push({ text: js.text, citations: js.citations, instruction });
+      state.index = state.versions.length - 1;
     }
-    $('commentary').textContent = commentaryText;
+    input.value = '';
+  } catch (err) {
+    alert(aiErrorText(err));
+  } finally {
+    controls.forEach(c => { c.disabled = false; });
+    if (study === shownStudy) {
+      showCitedText(box, section, state.versions[state.index], study.lang);
+      updateReviseBar(section);
+    }
+  }
+  refreshUsage();
+}
+
+// ─── Saved studies sidebar (/api/studies) ──────────────────────────
+// Every generated study pack is saved on the server; this lists them newest
+// first, searches them and opens one back into the page.
+let historyNext = null;   // `before` cursor for the next page
+let historySearchTimer = null;
+
+async function loadHistory({ more = false } = {}) {
+  const list = $('history-list');
+  const L = historyLabels[uiLocale()];
+  const q = $('history-search').value.trim();
+  const params = new URLSearchParams();
+  if (q) params.set('q', q);
+  if (more && historyNext) params.set('before', historyNext);
+  try {
+    const js = await safeFetchJson(`/api/studies?${params}`);
+    if (!more) list.innerHTML = '';
+    js.studies.forEach(s => list.append(historyItem(s)));
+    if (!list.children.length) list.append(el('li', q ? L.none : L.empty, 'history-empty'));
+    historyNext = js.next;
+    $('history-more').hidden = !js.next;
+    $('history').hidden = false;
+  } catch (e) {
+    console.warn('Saved studies unavailable:', e); // e.g. no Firestore locally
+    $('history').hidden = true;
+  }
+}
+
+function onHistorySearch() {
+  clearTimeout(historySearchTimer);
+  historySearchTimer = setTimeout(() => loadHistory(), 300);
+}
+
+function historyItem(s) {
+  const L = historyLabels[uiLocale()];
+  const item = el('li', '', 'history-item');
+  const open = el('button', s.reference, 'history-open');
+  open.type = 'button';
+  open.append(el('small', `${new Date(s.createdAt).toLocaleDateString()} · ${s.lang.toUpperCase()}`));
+  open.addEventListener('click', () => openStudy(s.id));
+  const del = el('button', '×', 'history-delete');
+  del.type = 'button';
+  del.title = L.remove;
+  del.setAttribute('aria-label', `${L.remove}: ${s.reference}`);
+  del.addEventListener('click', () => deleteStudy(s, item));
+  item.append(open, del);
+  return item;
+}
+
+async function openStudy(id) {
+  const boxes = [$('verses'), ...Object.values(studyOutputs())];
+  boxes.forEach(box => { box.innerHTML = '<div class="spinner spinner--dual-ring"></div>'; });
+  try {
+    const js = await safeFetchJson(`/api/studies/${encodeURIComponent(id)}?links=1`);
+    renderVerses(js.passage);
+    shownStudy = { studyId: js.id, payload: null, lang: js.lang, sections: {} };
+    showStudySections(js.sections, js.lang);
   } catch (e) {
-    $('commentary').textContent = `Error: ${e.message}`;
+    boxes.forEach(box => { box.textContent = `Error: ${e.body?.error || e.message}`; });
   }
+}
 
-  // 3) Devotion (protected)
+async function deleteStudy(s, item) {
+  if (!confirm(historyLabels[uiLocale()].confirm(s.reference))) return;
   try {
-    const jsD = await safeFetchJson('/api/devotion', {
-      method: 'POST',
-      headers: { 'Content-Type':'application/json' },
-      body: JSON.stringify({ book: bookName, startChapter: sCh, startVerse: sV, endChapter: eCh, endVerse: eV, lang })
-    });
-    $('devotionOutput').textContent = jsD.devotion || '';
+    await safeFetchJson(`/api/studies/${encodeURIComponent(s.id)}`, { method: 'DELETE' });
+    item.remove();
+    if (!$('history-list').children.length) loadHistory();
   } catch (e) {
-    $('devotionOutput').textContent = `Error: ${e.message}`;
+    alert(e.body?.error || e.message);
+  }
+}
+
+// Final touches on a generated section before it replaces the streamed text
+function finishSection(section, text, lang) {
+  if (section === 'commentary' && lang === 'af') {
+    return text.replace(/^Conclusie\b/, 'Gevolgtrekking');
   }
+  return text;
+}
+
+// Finished section with its scripture references linked (citations.html,
+// already escaped by the server) and any citation warnings listed below it
+function showCitedText(box, section, data, lang) {
+  const { html, warnings = [] } = data.citations || {};
+  if (html) box.innerHTML = finishSection(section, html, lang);
+  else box.textContent = finishSection(section, data.text, lang);
+  appendCitationWarnings(box, warnings);
+}
 
-  // 4) Prayer (protected)
+function appendCitationWarnings(box, warnings = []) {
+  if (!warnings.length) return;
+  const list = el('ul', '', 'citation-warnings');
+  warnings.forEach(w => list.append(el('li', `⚠️ ${w.message}`)));
+  box.append(list);
+}
+
+// Clicking a linked reference shows its text instead of leaving the page
+async function onScriptureRefClick(e) {
+  const link = e.target.closest('a.scripture-ref');
+  if (!link) return;
+  e.preventDefault();
   try {
-    const js3 = await safeFetchJson('/api/prayer', {
-      method: 'POST',
-      headers: { 'Content-Type':'application/json' },
-      body: JSON.stringify({ book: bookName, startChapter: sCh, startVerse: sV, endChapter: eCh, endVerse: eV, lang })
+    const js = await safeFetchJson(link.getAttribute('href'));
+    alert(js.segments.map(s => `${s.reference}\n${s.text}`).join('\n\n'));
+  } catch (err) {
+    alert(`Error: ${err.body?.error || err.message}`);
+  }
+}
+
+// ─── Structured AI results: sermon outline, study guide (protected) ─
+// Posts the selected passage (plus `extra`) to `url`, showing a spinner in
+// `boxId` until render(json, lang) replaces it.
+async function generateInto(url, { boxId, headingId, extra = {}, render }) {
+  const lang     = $('lang').value;
+  const bookName = $('book').value;
+  const sCh      = $('chapter').value;
+  const sV       = $('verse').value;
+  const eCh      = $('end-chapter').value || sCh;
+  const eV       = $('end-verse').value   || sV;
+
+  if (!bookName || !sCh || !sV) {
+    alert('Please select a book, chapter & verse.');
+    return;
+  }
+
+  const box = $(boxId);
+  $(headingId).hidden = false;
+  box.hidden = false;
+  box.innerHTML = '<div class="spinner spinner--dual-ring"></div>';
+  try {
+    const js = await safeFetchJson(url, {
+      method: 'POST', headers: { 'Content-Type':'application/json' },
+      body: JSON.stringify({ book: bookName, startChapter: sCh, startVerse: sV, endChapter: eCh, endVerse: eV, lang, ...extra })
     });
-    $('prayer').textContent = js3.prayer || '';
+    box.innerHTML = '';
+    render(js, lang);
   } catch (e) {
-    $('prayer').textContent = `Error: ${e.message}`;
+    box.textContent = aiErrorText(e);
+  }
+  refreshUsage();
+}
+
+function el(tag, text, className) {
+  const node = document.createElement(tag);
+  if (text) node.textContent = text;
+  if (className) node.className = className;
+  return node;
+}
+
+function labelled(label, text) {
+  const p = el('p');
+  p.append(el('strong', `${label}: `), text);
+  return p;
+}
+
+function onOutline() {
+  currentOutline = null;
+  return generateInto('/api/sermon-outline', {
+    boxId: 'sermonOutline', headingId: 'outline-heading', extra: { tone: $('tone').value }, render: renderOutline
+  });
+}
+
+function renderOutline(js, loc) {
+  currentOutline = js;
+  const L = outlineLabels[loc] || outlineLabels.en;
+  const { outline } = js;
+  const box = $('sermonOutline');
+
+  box.append(el('h3', outline.title), el('p', js.reference, 'passage-ref'), labelled(L.bigIdea, outline.bigIdea));
+  const list = el('ol');
+  outline.points.forEach(pt => {
+    const li = el('li');
+    const head = el('strong', pt.heading);
+    li.append(head, el('span', pt.verses, 'outline-verses'));
+    if (pt.explanation)  li.append(labelled(L.explanation, pt.explanation));
+    if (pt.illustration) li.append(labelled(L.illustration, pt.illustration));
+    if (pt.application)  li.append(labelled(L.application, pt.application));
+    list.append(li);
+  });
+  box.append(list);
+  if (outline.callToResponse) box.append(labelled(L.callToResponse, outline.callToResponse));
+  if (js.warnings?.length) box.append(el('p', js.warnings.join(' · '), 'outline-warnings'));
+  appendCitationWarnings(box, js.citations?.warnings);
+}
+
+// Plain-text lines of the current outline, for the PDF
+function outlineToLines(js, loc) {
+  const L = outlineLabels[loc] || outlineLabels.en;
+  const { outline } = js;
+  const lines = [outline.title, js.reference, '', `${L.bigIdea}: ${outline.bigIdea}`, ''];
+  outline.points.forEach((pt, i) => {
+    lines.push(`${i + 1}. ${pt.heading} (${pt.verses})`);
+    if (pt.explanation)  lines.push(`   ${L.explanation}: ${pt.explanation}`);
+    if (pt.illustration) lines.push(`   ${L.illustration}: ${pt.illustration}`);
+    if (pt.application)  lines.push(`   ${L.application}: ${pt.application}`);
+    lines.push('');
+  });
+  if (outline.callToResponse) lines.push(`${L.callToResponse}: ${outline.callToResponse}`);
+  return lines;
+}
+
+function onStudyGuide() {
+  currentGuide = null;
+  return generateInto('/api/study-guide', { boxId: 'studyGuide', headingId: 'guide-heading', render: renderGuide });
+}
+
+function renderGuide(js, loc) {
+  currentGuide = js;
+  const L = guideLabels[loc] || guideLabels.en;
+  const { guide } = js;
+  const box = $('studyGuide');
+
+  box.append(el('h3', guide.title), el('p', js.reference, 'passage-ref'));
+  if (guide.icebreaker) box.append(labelled(L.icebreaker, guide.icebreaker));
+  ['observation', 'interpretation', 'application'].forEach(set => {
+    box.append(el('h4', L[set]));
+    const list = el('ol');
+    guide[set].forEach(q => {
+      const li = el('li', q.question);
+      if (q.answer) li.append(labelled(L.answer, q.answer));
+      list.append(li);
+    });
+    box.append(list);
+  });
+  if (guide.leaderNotes)   box.append(labelled(L.leaderNotes, guide.leaderNotes));
+  if (guide.closingPrayer) box.append(labelled(L.closingPrayer, guide.closingPrayer));
+  if (js.warnings?.length) box.append(el('p', js.warnings.join(' · '), 'outline-warnings'));
+  appendCitationWarnings(box, js.citations?.warnings);
+}
+
+// Plain-text lines of the current study guide, for the PDF
+function guideToLines(js, loc) {
+  const L = guideLabels[loc] || guideLabels.en;
+  const { guide } = js;
+  const lines = [guide.title, js.reference, ''];
+  if (guide.icebreaker) lines.push(`${L.icebreaker}: ${guide.icebreaker}`, '');
+  ['observation', 'interpretation', 'application'].forEach(set => {
+    lines.push(L[set]);
+    guide[set].forEach((q, i) => {
+      lines.push(`${i + 1}. ${q.question}`);
+      if (q.answer) lines.push(`   ${L.answer}: ${q.answer}`);
+    });
+    lines.push('');
+  });
+  if (guide.leaderNotes)   lines.push(`${L.leaderNotes}: ${guide.leaderNotes}`, '');
+  if (guide.closingPrayer) lines.push(`${L.closingPrayer}: ${guide.closingPrayer}`);
+  return lines;
+}
+
+// ─── AI usage against the plan's quotas (/api/usage) ──────────────
+// Text for a failed AI request: a used-up quota (429 QUOTA_EXCEEDED) gets its
+// own notice in the page's language, other errors the server's message
+function aiErrorText(err) {
+  const body = err.body || {};
+  if (err.status !== 429 && body.code !== 'QUOTA_EXCEEDED') return `Error: ${body.error || err.message}`;
+  const loc = uiLocale();
+  const L = quotaLabels[loc];
+  if (body.code !== 'QUOTA_EXCEEDED') return L.busy;
+  const date = new Date(body.resetsAt).toLocaleDateString(loc === 'af' ? 'af-ZA' : 'en-ZA', { day: 'numeric', month: 'long' });
+  return `${L[body.period] || L.daily} ${L.resets(date)}`;
+}
+
+async function refreshUsage() {
+  const line = $('usage-line');
+  try {
+    const js = await safeFetchJson('/api/usage');
+    const loc = uiLocale();
+    const of = loc === 'af' ? 'van' : 'of';
+    const fmt = p => (p.quota == null ? `${p.requests}` : `${p.requests} ${of} ${p.quota}`);
+    line.textContent = (usageLabels[loc] || usageLabels.en)(fmt(js.daily), fmt(js.monthly));
+    line.hidden = false;
+  } catch {
+    line.hidden = true; // not signed in, or no Firestore on this server
+  }
+}
+
+// ─── Passage chat (protected) ─────────────────────────────────────
+function resetChat() {
+  chatSessionId = null;
+  $('chat-log').textContent = '';
+}
+
+function appendChatMessage(role, text) {
+  const msg = el('div', text, `chat-msg chat-msg--${role}`);
+  $('chat-log').append(msg);
+  msg.scrollIntoView({ block: 'nearest' });
+  return msg;
+}
+
+async function onChatSubmit(e) {
+  e.preventDefault();
+  const input    = $('chat-input');
+  const message  = input.value.trim();
+  const bookName = $('book').value;
+  const sCh      = $('chapter').value;
+  const sV       = $('verse').value;
+  if (!message) return;
+  if (!chatSessionId && (!bookName || !sCh || !sV)) {
+    alert('Please select a book, chapter & verse.');
+    return;
   }
+
+  const payload = chatSessionId
+    ? { sessionId: chatSessionId, message }
+    : {
+        message, book: bookName, startChapter: sCh, startVerse: sV,
+        endChapter: $('end-chapter').value || sCh, endVerse: $('end-verse').value || sV,
+        lang: $('lang').value
+      };
+  payload.links = true;
+  appendChatMessage('user', message);
+  input.value = '';
+  const pending = appendChatMessage('assistant', '…');
+  $('chat-send').disabled = true;
+  try {
+    const js = await safeFetchJson('/api/passage-chat', {
+      method: 'POST', headers: { 'Content-Type':'application/json' },
+      body: JSON.stringify(payload)
+    });
+    chatSessionId = js.sessionId;
+    showCitedText(pending, 'chat', { text: js.reply, citations: js.citations }, $('lang').value);
+  } catch (err) {
+    if (err.body?.code === 'CHAT_NOT_FOUND') chatSessionId = null;
+    pending.textContent = aiErrorText(err);
+  } finally {
+    $('chat-send').disabled = false;
+    refreshUsage();
+  }
+}
+
+// ─── Render /api/v2/verses one verse per line ───────────────────
+// Clicking a verse copies just that verse with its reference.
+function renderVerses(js) {
+  currentPassage = js;
+  const box = $('verses');
+  box.innerHTML = '';
+
+  const heading = document.createElement('p');
+  heading.className = 'passage-ref';
+  heading.textContent = js.reference;
+  box.append(heading);
+
+  const bookLabel = js.reference.replace(/\s+\d[\d:\-]*$/, '');
+  js.verses.forEach(v => {
+    const line = document.createElement('span');
+    line.className = 'verse';
+    line.title = 'Click to copy';
+    const num = document.createElement('sup');
+    num.textContent = `${v.chapter}:${v.verse}`;
+    line.append(num, ` ${v.text}`);
+    line.addEventListener('click', async () => {
+      try {
+        await navigator.clipboard.writeText(`${bookLabel} ${v.chapter}:${v.verse} ${v.text}`);
+        line.classList.add('copied');
+        setTimeout(() => line.classList.remove('copied'), 1200);
+      } catch (err) {
+        console.warn('Copy failed:', err);
+      }
+    });
+    box.append(line);
+  });
+}
+
+// ─── Render /api/parallel as a verse-by-verse table ──────────────
+function renderParallel(js, loc) {
+  const table = document.createElement('table');
+  table.className = 'parallel';
+
+  const head = table.insertRow();
+  head.insertCell().textContent = '';
+  js.translations.forEach(t => { head.insertCell().textContent = t.reference; });
+
+  js.verses.forEach(v => {
+    const row = table.insertRow();
+    row.insertCell().textContent = `${v.chapter}:${v.verse}`;
+    js.translations.forEach(t => {
+      const cell = row.insertCell();
+      if (v.texts[t.id] == null) {
+        cell.className = 'missing';
+        cell.textContent = labels[loc].missing;
+      } else {
+        cell.textContent = v.texts[t.id];
+      }
+    });
+  });
+
+  $('verses').innerHTML = '';
+  $('verses').append(table);
 }
 
-  
 // ─── Download all as PDF ───────────────────────────────
 async function onDownloadPDF() {
   // 1️⃣ Grab jsPDF
@@ -463,7 +1192,7 @@ async function onDownloadPDF() {
   }
 
   // 3️⃣ Tone & Level line
-  const loc = document.getElementById('lang').value;
+  const loc = uiLocale();
   doc.setFont('helvetica', 'bold').setFontSize(12);
   doc.text(`Tone: ${$('tone').value}`, 40, cursorY);
   doc.text(`Level: ${$('level').value}`, pageW - 40, cursorY, { align: 'right' });
@@ -474,16 +1203,35 @@ async function onDownloadPDF() {
   doc.setTextColor(0,0,0);
   doc.text(headingLabels[loc].verses, pageW/2, cursorY, { align: 'center' });
   cursorY += 20;
-  const verses = $('verses').textContent.split('\n');
-  verses.forEach(line => {
-    const lines = doc.splitTextToSize(line, pageW - 80);
-    doc.text(lines, 40, cursorY);
-    cursorY += lines.length * 14;
-    if (cursorY > pageH - 40) {
-      doc.addPage();
-      cursorY = 40;
-    }
-  });
+  if (currentPassage) {
+    // Structured verses: bold verse number in a gutter, wrapped text beside it
+    doc.setFont('helvetica', 'bold');
+    doc.text(currentPassage.reference, 40, cursorY);
+    cursorY += 18;
+    currentPassage.verses.forEach(v => {
+      const lines = doc.splitTextToSize(v.text, pageW - 120);
+      if (cursorY + lines.length * 14 > pageH - 40) {
+        doc.addPage();
+        cursorY = 40;
+      }
+      doc.setFont('helvetica', 'bold');
+      doc.text(`${v.chapter}:${v.verse}`, 40, cursorY);
+      doc.setFont('helvetica', 'normal');
+      doc.text(lines, 80, cursorY);
+      cursorY += lines.length * 14 + 4;
+    });
+  } else {
+    const verses = $('verses').innerText.split('\n'); // innerText keeps parallel table rows apart
+    verses.forEach(line => {
+      const lines = doc.splitTextToSize(line, pageW - 80);
+      doc.text(lines, 40, cursorY);
+      cursorY += lines.length * 14;
+      if (cursorY > pageH - 40) {
+        doc.addPage();
+        cursorY = 40;
+      }
+    });
+  }
   cursorY += 20;
 
   // 5️⃣ Commentary section
@@ -518,6 +1266,32 @@ async function onDownloadPDF() {
     }
   });
 
+  // 6️⃣½ Sermon outline and study guide, when generated
+  const extras = [
+    [currentOutline, headingLabels[loc].outline, outlineToLines],
+    [currentGuide,   headingLabels[loc].guide,   guideToLines]
+  ];
+  for (const [result, heading, toLines] of extras) {
+    if (!result) continue;
+    cursorY += 20;
+    if (cursorY > pageH - 60) {
+      doc.addPage();
+      cursorY = 40;
+    }
+    doc.setFont('helvetica', 'bold').setFontSize(12);
+    doc.text(heading, pageW/2, cursorY, { align: 'center' });
+    cursorY += 20;
+    doc.setFont('helvetica', 'normal').setFontSize(11);
+    toLines(result, loc).forEach(line => {
+      const lines = doc.splitTextToSize(line, pageW - 80);
+      doc.text(lines, 40, cursorY);
+      cursorY += lines.length * 14;
+      if (cursorY > pageH - 40) {
+        doc.addPage();
+        cursorY = 40;
+      }
+    });
+  }
 
   // 6️⃣ Save
   doc.save('preachpoint_commentary.pdf');
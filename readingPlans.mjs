@@ -0,0 +1,146 @@
+// readingPlans.mjs
+// Reading plan definitions and day arithmetic. Built-in plans are generated
+// from the chapter counts in bookRegistry.mjs; custom plans (authored by a
+// pastor and stored in Firestore `plans/{id}`) use the same shape:
+//
+//   { id, title, description, startDate?, days: [{ readings: [reading, …] }, …] }
+//   reading = { book, startChapter, startVerse, endChapter, endVerse }
+//
+// startVerse/endVerse are null for whole chapters. Days are 1-based everywhere
+// outside this module. A plan with a startDate runs on the same calendar for
+// every enrolled reader (congregation-wide); without one each reader's
+// enrollment date is day 1.
+import { BOOKS, getBook, bookName } from './bookRegistry.mjs';
+import { PassageError, resolveBook, parsePassageRef } from './passageParser.mjs';
+
+const DAY_MS = 86400000;
+
+// Every chapter of the matching books, in canonical order
+function chapterSequence(filter = () => true) {
+  return BOOKS.filter(filter).flatMap(b =>
+    Array.from({ length: b.chapters }, (_, i) => ({ book: b.id, chapter: i + 1 })));
+}
+
+// Spreads chapters as evenly as possible over `days`, merging consecutive
+// chapters of one book into a single reading ("Gen 1–3")
+function splitIntoDays(chapters, days) {
+  return Array.from({ length: days }, (_, d) => {
+    const slice = chapters.slice(Math.floor(d * chapters.length / days), Math.floor((d + 1) * chapters.length / days));
+    const readings = [];
+    for (const { book, chapter } of slice) {
+      const last = readings[readings.length - 1];
+      if (last && last.book === book && last.endChapter === chapter - 1) {
+        last.endChapter = chapter;
+      } else {
+        readings.push({ book, startChapter: chapter, startVerse: null, endChapter: chapter, endVerse: null });
+      }
+    }
+    return { readings };
+  });
+}
+
+export const BUILTIN_PLANS = new Map([
+  {
+    id: 'bible-in-a-year',
+    title: 'Bible in a year',
+    description: 'Genesis to Revelation in 365 days, three to four chapters a day.',
+    days: splitIntoDays(chapterSequence(), 365)
+  },
+  {
+    id: 'nt-90-days',
+    title: 'New Testament in 90 days',
+    description: 'Matthew to Revelation in 90 days, about three chapters a day.',
+    days: splitIntoDays(chapterSequence(b => b.testament === 'nt'), 90)
+  }
+].map(p => [p.id, { ...p, builtIn: true }]));
+
+// Listing shape (no day contents)
+export function planSummary(plan) {
+  return {
+    id: plan.id,
+    title: plan.title,
+    description: plan.description || '',
+    totalDays: plan.days.length,
+    startDate: plan.startDate || null,
+    builtIn: !!plan.builtIn
+  };
+}
+
+/**
+ * Validates a custom plan from a request body. `days` is a list of reference
+ * strings, one per day ("Gen 1-3", "Ps 23; John 10:1-18"). Book names resolve
+ * through `bookIndex`; chapters are checked against the registry.
+ * Throws PassageError 400 (INVALID_PLAN) or the parser's own errors, with
+ * `day` set on the error.
+ */
+export function parsePlanDefinition(body, bookIndex) {
+  const invalid = msg => new PassageError(msg, { status: 400, code: 'INVALID_PLAN' });
+  const { title, description = '', days, startDate = null } = body || {};
+
+  if (!title || typeof title !== 'string') throw invalid('A plan needs a title');
+  if (!Array.isArray(days) || !days.length) throw invalid('A plan needs at least one day of readings');
+  if (days.length > 730) throw invalid('Plans are limited to 730 days');
+  if (startDate != null && !parseDate(startDate)) throw invalid('startDate must be YYYY-MM-DD');
+
+  const parsedDays = days.map((ref, i) => {
+    try {
+      const readings = parsePassageRef(String(ref)).map(seg => {
+        const book = resolveBook(bookIndex, seg.bookQuery);
+        const { chapters } = getBook(book);
+        let { startChapter, startVerse, endChapter, endVerse } = seg;
+        // Single-chapter books: "Jude 5" means verse 5, not chapter 5
+        if (startVerse == null && chapters === 1) {
+          [startVerse, endVerse, startChapter, endChapter] = [startChapter, endChapter, 1, 1];
+        }
+        if (endChapter > chapters) {
+          throw invalid(`${seg.segment}: ${bookName(book)} has only ${chapters} chapters`);
+        }
+        return { book, startChapter, startVerse, endChapter, endVerse };
+      });
+      return { readings };
+    } catch (e) {
+      if (e instanceof PassageError) e.day = i + 1;
+      throw e;
+    }
+  });
+
+  return {
+    title: title.trim().slice(0, 120),
+    description: String(description).trim().slice(0, 1000),
+    startDate,
+    days: parsedDays
+  };
+}
+
+// "2026-01-31" → UTC midnight timestamp, or null
+export function parseDate(s) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(s))) return null;
+  const t = Date.parse(`${s}T00:00:00Z`);
+  return Number.isNaN(t) ? null : t;
+}
+
+export function formatDate(t) {
+  return new Date(t).toISOString().slice(0, 10);
+}
+
+/**
+ * Plan day for a calendar date: 1 on the start date. Values below 1 mean the
+ * plan hasn't started yet, above totalDays that it is over.
+ */
+export function dayFor(startDate, date) {
+  return Math.floor((parseDate(date) - parseDate(startDate)) / DAY_MS) + 1;
+}
+
+export function dateFor(startDate, day) {
+  return formatDate(parseDate(startDate) + (day - 1) * DAY_MS);
+}
+
+// Progress summary from an enrollment's completed day numbers
+export function progressOf(plan, completed = []) {
+  const done = new Set(completed.filter(d => d >= 1 && d <= plan.days.length));
+  return {
+    completedDays: done.size,
+    totalDays: plan.days.length,
+    percent: Math.round(done.size / plan.days.length * 100)
+  };
+}
@@ -0,0 +1,161 @@
+// searchIndex.mjs
+// In-memory inverted index over Bible verses. Built once at startup; queries
+// never scan the verse arrays.
+//
+// Query syntax:
+//   love world        → all words must appear (any order)
+//   "love one another" → exact phrase
+//   redeem*           → prefix match (redeem, redeemed, redeemer, …)
+
+const WORD_RE = /[\p{L}\p{N}]+/gu;
+
+export function normalizeWord(w) {
+  return w.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+export function tokenize(text) {
+  return (String(text || '').match(WORD_RE) || []).map(normalizeWord);
+}
+
+function escapeHtml(s) {
+  return s
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * docs: [{ translation, lang, book, chapter, verse, text, testament }]
+ * Doc ids are array positions, so results come back in load (canonical) order.
+ */
+export function buildSearchIndex(docs) {
+  const postings = new Map(); // token -> ascending doc ids
+  docs.forEach((doc, id) => {
+    for (const tok of new Set(tokenize(doc.text))) {
+      let list = postings.get(tok);
+      if (!list) postings.set(tok, (list = []));
+      list.push(id);
+    }
+  });
+  const terms = [...postings.keys()].sort();
+  return { docs, postings, terms };
+}
+
+// All indexed terms starting with `prefix` (binary search into sorted terms)
+function expandPrefix(index, prefix) {
+  const { terms } = index;
+  let lo = 0, hi = terms.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (terms[mid] < prefix) lo = mid + 1; else hi = mid;
+  }
+  const out = [];
+  for (let i = lo; i < terms.length && terms[i].startsWith(prefix); i++) out.push(terms[i]);
+  return out;
+}
+
+export function parseQuery(q) {
+  const phrases = [];
+  const rest = String(q || '').replace(/"([^"]*)"/g, (_, p) => {
+    const toks = tokenize(p);
+    if (toks.length) phrases.push(toks);
+    return ' ';
+  });
+  const words = [];
+  const prefixes = [];
+  for (const raw of rest.split(/\s+/).filter(Boolean)) {
+    const isPrefix = raw.endsWith('*');
+    const toks = tokenize(raw);
+    if (!toks.length) continue;
+    if (isPrefix) {
+      words.push(...toks.slice(0, -1));
+      prefixes.push(toks[toks.length - 1]);
+    } else {
+      words.push(...toks);
+    }
+  }
+  return { phrases, words, prefixes };
+}
+
+function intersect(a, b) {
+  const out = [];
+  let i = 0, j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) { out.push(a[i]); i++; j++; }
+    else if (a[i] < b[j]) i++;
+    else j++;
+  }
+  return out;
+}
+
+function containsSequence(tokens, seq) {
+  outer: for (let i = 0; i + seq.length <= tokens.length; i++) {
+    for (let j = 0; j < seq.length; j++) {
+      if (tokens[i + j] !== seq[j]) continue outer;
+    }
+    return true;
+  }
+  return false;
+}
+
+// Wrap matching words in <mark>, trimming long verses to a window around the first hit
+function highlight(text, isHit, maxLen = 200) {
+  let firstHit = -1;
+  let html = '';
+  let last = 0;
+  for (const m of text.matchAll(WORD_RE)) {
+    if (!isHit(normalizeWord(m[0]))) continue;
+    if (firstHit < 0) firstHit = m.index;
+    html += escapeHtml(text.slice(last, m.index)) + `<mark>${escapeHtml(m[0])}</mark>`;
+    last = m.index + m[0].length;
+  }
+  html += escapeHtml(text.slice(last));
+  if (text.length <= maxLen || firstHit < 0) return html;
+
+  // Re-run on a window so we never cut through a <mark> tag
+  const start = Math.max(0, firstHit - Math.floor(maxLen / 3));
+  const slice = text.slice(start, start + maxLen);
+  return (start > 0 ? '…' : '') + highlight(slice, isHit, Infinity) + (start + maxLen < text.length ? '…' : '');
+}
+
+/**
+ * Runs a query. filters: { translation, lang, book, testament } (each optional).
+ * Returns { total, page, pageSize, results: [{ ...doc, snippet }] }.
+ */
+export function searchIndex(index, q, { translation, lang, book, testament, page = 1, pageSize = 20 } = {}) {
+  const { phrases, words, prefixes } = parseQuery(q);
+  const exactTerms = [...new Set([...words, ...phrases.flat()])];
+  if (!exactTerms.length && !prefixes.length) {
+    return { total: 0, page, pageSize, results: [] };
+  }
+
+  const lists = exactTerms.map(t => index.postings.get(t) || []);
+  const prefixTerms = new Set();
+  for (const p of prefixes) {
+    const expanded = expandPrefix(index, p);
+    expanded.forEach(t => prefixTerms.add(t));
+    const merged = [...new Set(expanded.flatMap(t => index.postings.get(t)))].sort((a, b) => a - b);
+    lists.push(merged);
+  }
+  lists.sort((a, b) => a.length - b.length);
+  let ids = lists.reduce((acc, l) => (acc === null ? l : intersect(acc, l)), null) || [];
+
+  ids = ids.filter(id => {
+    const d = index.docs[id];
+    if (translation && d.translation !== translation) return false;
+    if (lang && d.lang !== lang) return false;
+    if (book && d.book !== book) return false;
+    if (testament && d.testament !== testament) return false;
+    return !phrases.length || phrases.every(p => containsSequence(tokenize(d.text), p));
+  });
+
+  const exactSet = new Set(exactTerms);
+  const isHit = w => exactSet.has(w) || prefixTerms.has(w);
+  const from = (page - 1) * pageSize;
+  const results = ids.slice(from, from + pageSize).map(id => {
+    const d = index.docs[id];
+    return { ...d, snippet: highlight(d.text, isHit) };
+  });
+  return { total: ids.length, page, pageSize, results };
+}
@@ -0,0 +1,89 @@
+// sermonOutline.mjs
+// Checks and normalizes the JSON sermon outline the model returns
+// (prompts/sermon-outline), so the client can rely on its shape:
+//
+//   { title, bigIdea,
+//     points: [{ heading, verses, explanation, illustration, application }],   3–5 of them
+//     callToResponse }
+//
+// `verses` must be a span inside the selected passage ("16-18", "3:16",
+// "3:16-4:2"); points citing verses outside it are kept but flagged in
+// `warnings`, since the preacher should see them before using the outline.
+
+export class OutlineError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OutlineError';
+    this.status = 502;
+    this.code = 'INVALID_OUTLINE';
+  }
+}
+
+const str = v => (typeof v === 'string' ? v.trim() : '');
+
+/**
+ * "16-18" / "3:16" / "John 3:16-4:2" → { startChapter, startVerse, endChapter, endVerse },
+ * bare verse numbers taken to be in `chapter`. Null when unreadable.
+ */
+export function parseVerseSpan(text, chapter) {
+  const m = String(text).replace(/[\u2010-\u2015\u2212]/g, '-')
+    .match(/(?:(\d+):)?(\d+)(?:\s*-\s*(?:(\d+):)?(\d+))?\s*$/);
+  if (!m) return null;
+  const startChapter = m[1] ? Number(m[1]) : chapter;
+  const startVerse = Number(m[2]);
+  const endChapter = m[3] ? Number(m[3]) : startChapter;
+  const endVerse = m[4] ? Number(m[4]) : startVerse;
+  return { startChapter, startVerse, endChapter, endVerse };
+}
+
+// Is span `s` inside passage `p` (both { startChapter, startVerse, endChapter, endVerse })?
+function within(s, p) {
+  const before = (c1, v1, c2, v2) => c1 < c2 || (c1 === c2 && v1 < v2);
+  return !before(s.startChapter, s.startVerse, p.startChapter, p.startVerse)
+    && !before(p.endChapter, p.endVerse, s.endChapter, s.endVerse);
+}
+
+/**
+ * Parses raw model output against the passage it was generated for.
+ * Returns { outline, warnings }; throws OutlineError when the JSON or its
+ * required fields are missing.
+ */
+export function parseOutline(raw, passage) {
+  let data;
+  try {
+    data = JSON.parse(String(raw).replace(/^```(?:json)?\s*|\s*```$/g, ''));
+  } catch {
+    throw new OutlineError('The outline was not valid JSON');
+  }
+
+  const warnings = [];
+  const points = (Array.isArray(data.points) ? data.points : [])
+    .map(p => ({
+      heading: str(p?.heading),
+      verses: str(String(p?.verses ?? '')),
+      explanation: str(p?.explanation),
+      illustration: str(p?.illustration),
+      application: str(p?.application)
+    }))
+    .filter(p => p.heading);
+
+  const outline = {
+    title: str(data.title),
+    bigIdea: str(data.bigIdea),
+    points: points.slice(0, 5),
+    callToResponse: str(data.callToResponse)
+  };
+  if (!outline.title || !outline.bigIdea) throw new OutlineError('The outline has no title or big idea');
+  if (points.length < 3) throw new OutlineError(`The outline has ${points.length} main points (3–5 expected)`);
+  if (points.length > 5) warnings.push(`Only the first 5 of ${points.length} points were kept`);
+
+  outline.points.forEach((p, i) => {
+    const span = parseVerseSpan(p.verses, passage.startChapter);
+    if (!span) {
+      warnings.push(`Point ${i + 1} is not tied to specific verses`);
+    } else if (!within(span, passage)) {
+      warnings.push(`Point ${i + 1} cites ${p.verses}, outside the selected passage`);
+    }
+  });
+  return { outline, warnings };
+}
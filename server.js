@@ -3,7 +3,7 @@
 import express from 'express';
 import fs from 'fs/promises';
 import path from 'path';
-import OpenAI from 'openai';
+import { setMaxListeners } from 'events';
 import NodeCache from 'node-cache';
 import dotenv from 'dotenv';
 import helmet from 'helmet';
@@ -14,6 +14,80 @@ import {
   buildPfParamStringSorted,
   generateSignatureSorted
 } from './buildPfParamString.mjs';
+import {
+  PassageError,
+  buildBookIndex,
+  resolveBook,
+  parsePassageRef,
+  formatReference
+} from './passageParser.mjs';
+import { buildSearchIndex, searchIndex } from './searchIndex.mjs';
+import { BOOKS, getBook, bookName } from './bookRegistry.mjs';
+import {
+  loadTranslations,
+  canonicalizeBooks,
+  findBook,
+  selectVerses,
+  countVerses
+} from './translationRegistry.mjs';
+import { loadPassageLimits, limitFor } from './passageLimits.mjs';
+import { validateTranslations, loadFailureResults, formatReport } from './bibleValidator.mjs';
+import { loadCrossRefs, crossRefsFor } from './crossRefs.mjs';
+import { createAiCache, passageId } from './aiCache.mjs';
+import { OutlineError, parseOutline } from './sermonOutline.mjs';
+import { StudyGuideError, parseStudyGuide, mapText } from './studyGuide.mjs';
+import { checkCitations, linkCitations } from './citationChecker.mjs';
+import { createLlm } from './llmProviders.mjs';
+import {
+  CONGREGATION_CONTEXTS,
+  ProfileError,
+  parseProfile,
+  profileInstructions,
+  profileKey
+} from './ministryProfile.mjs';
+import {
+  DEFAULT_LANGUAGE,
+  LanguageError,
+  loadLanguages,
+  resolveLanguage,
+  scriptureTranslation
+} from './languages.mjs';
+import {
+  PERIODS,
+  loadUsageQuotas,
+  quotaFor,
+  loadPrices,
+  periodsFor,
+  trackUsage,
+  recordUsage,
+  callStarted,
+  callsSettled,
+  estimateTokens,
+  summarizeTally
+} from './usageMeter.mjs';
+import {
+  PromptError,
+  loadPrompts,
+  selectPrompt,
+  renderPrompt,
+  describePrompts
+} from './promptRegistry.mjs';
+import {
+  openEventStream,
+  filterLines,
+  paragraphs,
+  proofreadPipeline
+} from './aiStream.mjs';
+import {
+  BUILTIN_PLANS,
+  planSummary,
+  parsePlanDefinition,
+  parseDate,
+  formatDate,
+  dayFor,
+  dateFor,
+  progressOf
+} from './readingPlans.mjs';
 
 import admin from 'firebase-admin';
 import { FieldValue } from 'firebase-admin/firestore';
@@ -133,15 +207,35 @@ function requireAuth(req, res, next) {
   if (!req.user?.uid) return res.status(401).json({ error: 'Sign in required' });
   next();
 }
-async function requireSubscriberDb(req, res, next) {
-  if (!req.user?.uid) return res.status(401).json({ error: 'Sign in required' });
+// Subscription plan from users/{uid} ('subscriber' unless a custom `plan` is set), or null
+async function subscriberPlan(uid) {
   try {
-    const snap = await db.doc(`users/${req.user.uid}`).get();
-    if (snap.exists && !!snap.data()?.subscriber) return next();
+    const snap = await db.doc(`users/${uid}`).get();
+    if (snap.exists && !!snap.data()?.subscriber) return snap.data().plan || 'subscriber';
   } catch (e) {
-    console.warn('requireSubscriberDb read failed:', e.message);
+    console.warn('subscriberPlan read failed:', e.message);
   }
-  return res.status(402).json({ error: 'Subscription required' });
+  return null;
+}
+async function requireSubscriberDb(req, res, next) {
+  if (!req.user?.uid) return res.status(401).json({ error: 'Sign in required' });
+  const plan = await subscriberPlan(req.user.uid);
+  if (!plan) return res.status(402).json({ error: 'Subscription required' });
+  req.plan = plan; // used by passage limits
+  next();
+}
+// Routes that keep their state in Firestore (plans, chats, …)
+function requireFirestore(_req, res, next) {
+  if (!db) return res.status(503).json({ error: 'This feature needs Firestore, which is not configured on this server' });
+  next();
+}
+
+// Admins: custom claim `admin: true`, or listed in ADMIN_UIDS (comma-separated)
+const ADMIN_UIDS = new Set((process.env.ADMIN_UIDS || '').split(',').map(s => s.trim()).filter(Boolean));
+function requireAdmin(req, res, next) {
+  if (!req.user?.uid) return res.status(401).json({ error: 'Sign in required' });
+  if (req.user.admin === true || ADMIN_UIDS.has(req.user.uid)) return next();
+  return res.status(403).json({ error: 'Admin access required' });
 }
 
 app.use(authOptional);
@@ -173,6 +267,44 @@ app.get('/api/me', requireAuth, async (req, res) => {
   res.json({ uid, email, subscriber });
 });
 
+// ─── Ministry profile (ministryProfile.mjs) ────────────────────────────────────
+// Stored as users/{uid}.ministryProfile; the applyMinistryProfile middleware
+// adds it to the system prompts of commentary, devotion and prayer.
+async function loadMinistryProfile(uid) {
+  const snap = await db.doc(`users/${uid}`).get();
+  return (snap.exists && snap.data().ministryProfile) || null;
+}
+
+function profileOptions() {
+  return {
+    contexts: CONGREGATION_CONTEXTS,
+    translations: [...translations.values()].map(t => ({ id: t.id, name: t.name, language: t.language }))
+  };
+}
+
+// GET /api/profile — the profile (null until saved) and the choices it offers
+app.get('/api/profile', requireFirestore, requireAuth, async (req, res) => {
+  try {
+    res.json({ profile: await loadMinistryProfile(req.user.uid), ...profileOptions() });
+  } catch (err) {
+    console.error('Error in GET /api/profile:', err);
+    res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+// PUT /api/profile — { tradition?, translation?, contexts?: [], style?, avoid? } (replaces the profile)
+app.put('/api/profile', requireFirestore, requireAuth, async (req, res) => {
+  try {
+    const profile = parseProfile(req.body, { translationIds: [...translations.keys()] });
+    await db.doc(`users/${req.user.uid}`).set({ ministryProfile: profile }, { merge: true });
+    res.json({ profile, ...profileOptions() });
+  } catch (err) {
+    if (err instanceof ProfileError) return res.status(err.status).json({ error: err.message, code: err.code });
+    console.error('Error in PUT /api/profile:', err);
+    res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
 // ---- DEBUG: show masked PayFast/Firebase envs (no secrets) --------------------
 app.get('/api/debug/env', (_req, res) => {
   const mask = v => (v ? (v.length > 6 ? v.slice(0,3) + '...' + v.slice(-3) : '***') : '(empty)');
@@ -239,211 +371,589 @@ app.get('/api/debug/subscribe-dry-run', (_req, res) => {
 
 
 // ─── (keep your remaining routes below: KJV/AFRI loads, PayFast subscribe, ITN, etc.) ──
-// ─── 2️⃣ Load kjv.json once at startup ──────────────────────────────────────────
-let kjvData = [];
+// ─── 2️⃣ Load Bible translations once at startup ───────────────────────────────
+// Any `<id>.translation.json` manifest in TRANSLATIONS_DIR is picked up (see
+// translationRegistry.mjs); every book is keyed by its OSIS id (bookRegistry.mjs).
+const TRANSLATIONS_DIR    = process.env.TRANSLATIONS_DIR || path.join(process.cwd(), 'data');
+const DEFAULT_TRANSLATION = (process.env.DEFAULT_TRANSLATION || 'kjv').toLowerCase();
+// Languages AI output can be written in (languages.mjs)
+const languages           = loadLanguages();
+
+let translations = new Map();
+let translationFailures = [];
 try {
-  const filePath = path.join(process.cwd(), 'data', 'kjv.json');
-  const raw      = await fs.readFile(filePath, 'utf8');
-  const parsed   = JSON.parse(raw);
-  kjvData = parsed.books;
-  console.log(`✅ Loaded ${kjvData.length} books from data/kjv.json`);
+  ({ translations, failures: translationFailures } = await loadTranslations(TRANSLATIONS_DIR));
+  for (const { file, message } of translationFailures) {
+    console.error(`❌ Failed to load translation ${file}:`, message);
+  }
 } catch (err) {
-  console.error('❌ Failed to load data/kjv.json:', err);
-  // We don’t exit here—your routes will return JSON errors if kjvData is empty
+  console.error(`❌ Failed to read translations from ${TRANSLATIONS_DIR}:`, err);
+  // We don’t exit here—your routes will return JSON errors if no translation loaded
+}
+if (!translations.has(DEFAULT_TRANSLATION)) {
+  console.error(`❌ Default translation "${DEFAULT_TRANSLATION}" is not loaded`);
+}
+
+// Alias index for book names (English/Afrikaans names, abbreviations, OSIS ids)
+const bookIndex = buildBookIndex(BOOKS);
+
+for (const t of translations.values()) {
+  const unmapped = canonicalizeBooks(t, name => resolveBook(bookIndex, name));
+  if (unmapped.length) console.warn(`⚠️  ${t.id}: books with no registry match:`, unmapped);
+  const verseCount = t.books.reduce((n, b) => n + b.chapters.reduce((m, c) => m + c.verses.length, 0), 0);
+  console.log(`✅ Loaded ${t.id} (${t.name}, ${t.language}): ${t.books.length} books, ${verseCount} verses`);
+}
+
+// Integrity check (same as `npm run validate:bible`); a translation that failed
+// to load counts as an error. BIBLE_STRICT=1 refuses to start on errors instead
+// of failing later with "No verses found".
+const bibleReport = [
+  ...loadFailureResults(translationFailures),
+  ...validateTranslations(translations, DEFAULT_TRANSLATION)
+];
+for (const r of bibleReport) {
+  if (r.errors || r.warnings) {
+    console.warn(`⚠️  ${r.id}: ${r.errors} integrity errors, ${r.warnings} warnings (run npm run validate:bible)`);
+  }
+}
+if (process.env.BIBLE_STRICT === '1' &&
+    (!translations.has(DEFAULT_TRANSLATION) || bibleReport.some(r => r.errors))) {
+  console.error(formatReport(bibleReport));
+  console.error('❌ BIBLE_STRICT=1: refusing to start with invalid Bible data');
+  process.exit(1);
+}
+
+for (const l of languages.values()) {
+  const t = scriptureTranslation(l, translations, DEFAULT_TRANSLATION);
+  if (t && t.language !== l.code) console.warn(`⚠️  ${l.label}: no ${l.code} translation loaded, AI routes read ${t.name}`);
+}
+
+// Translation for a request: explicit `translation`, else the scripture source
+// `lang` declares (languages.mjs) or the first one in `lang`, else the default
+function pickTranslation({ translation, lang } = {}) {
+  if (translation) {
+    const t = translations.get(String(translation).toLowerCase());
+    if (!t) throw new PassageError(`Unknown translation "${translation}"`, { code: 'UNKNOWN_TRANSLATION' });
+    return t;
+  }
+  const def = translations.get(DEFAULT_TRANSLATION);
+  const language = lang && languages.get(String(lang).toLowerCase());
+  if (language) {
+    const t = scriptureTranslation(language, translations, DEFAULT_TRANSLATION);
+    if (t) return t;
+  } else if (lang && def?.language !== lang) {
+    for (const t of translations.values()) if (t.language === lang) return t;
+  }
+  if (!def) throw new Error('No Bible translation loaded');
+  return def;
+}
+
+// Default parallel set: the default translation plus the first one in each other language
+function defaultParallelTranslations() {
+  const seen = new Set();
+  const out = [];
+  for (const t of [translations.get(DEFAULT_TRANSLATION), ...translations.values()]) {
+    if (t && !seen.has(t.language)) {
+      seen.add(t.language);
+      out.push(t.id);
+    }
+  }
+  return out;
+}
+
+// Any book name, alias or OSIS id → OSIS id (PassageError 404 if unknown)
+function toBookId(book) {
+  return resolveBook(bookIndex, book);
+}
+
+// Book name as shown to readers of a translation ("John" vs "Johannes")
+function displayBookName(bookId, translation) {
+  return bookName(bookId, translation.bookNames);
+}
+
+// ─── 2.1️⃣ Passage length limits (per endpoint scope and plan) ──────────────────
+const passageLimits = loadPassageLimits();
+
+// Plan for limit purposes: set from Firestore by requireSubscriberDb on AI routes,
+// otherwise taken from the token's custom claims.
+function planOf(req) {
+  if (req.plan) return req.plan;
+  if (!req.user?.uid) return 'anonymous';
+  return req.user.subscriber ? 'subscriber' : 'free';
+}
+
+/**
+ * Validates a book/chapter/verse range from req.body and counts its verses
+ * exactly (every chapter in between included).
+ * Throws PassageError 422 for impossible ranges.
+ */
+function measureRange(body) {
+  const { book, startChapter, startVerse, endChapter, endVerse } = body;
+  const sC = Number(startChapter);
+  const eC = Number(endChapter || startChapter);
+  const sV = Number(startVerse);
+  const eV = Number(endVerse || startVerse);
+  const invalid = msg => new PassageError(msg, { status: 422, code: 'INVALID_RANGE' });
+
+  if (![sC, eC, sV, eV].every(n => Number.isInteger(n) && n > 0)) {
+    throw invalid('Chapters and verses must be positive whole numbers');
+  }
+  if (eC < sC || (eC === sC && eV < sV)) throw invalid('The passage ends before it starts');
+
+  const t = pickTranslation(body);
+  const bookId = toBookId(book);
+  const bookObj = findBook(t, bookId);
+  if (!bookObj) throw invalid(`${bookName(bookId)} is not in ${t.name}`);
+  const lastChapter = bookObj.chapters[bookObj.chapters.length - 1].chapter;
+  if (eC > lastChapter) throw invalid(`${bookName(bookId)} has only ${lastChapter} chapters`);
+
+  return { bookId, translation: t, verses: countVerses(t, bookId, sC, sV, eC, eV) };
+}
+
+function passageTooLong(res, { verses, limit, scope, plan }) {
+  return res.status(413).json({
+    error: `Please limit your selection to ${limit} verses. You selected ${verses}.`,
+    code: 'PASSAGE_TOO_LONG',
+    verses, limit, scope, plan
+  });
+}
+
+// Middleware: reject ranges longer than the plan's limit for this scope.
+// Missing parameters are left for the route to report.
+function enforcePassageLimit(scope) {
+  return (req, res, next) => {
+    const { book, startChapter, startVerse } = req.body || {};
+    if (!book || !startChapter || !startVerse) return next();
+    let measured;
+    try {
+      measured = measureRange(req.body);
+    } catch (err) {
+      if (err instanceof PassageError) return res.status(err.status).json({ error: err.message, code: err.code });
+      return next(err);
+    }
+    const plan  = planOf(req);
+    const limit = limitFor(passageLimits, scope, plan);
+    if (measured.verses > limit) return passageTooLong(res, { verses: measured.verses, limit, scope, plan });
+    req.verseCount = measured.verses;
+    next();
+  };
 }
 
-// ─── 2.1️⃣ Load afri.json once at startup ──────────────────────────────────────────
-let afriData = [];
+// ─── 2.15️⃣ Cross-references (optional local dataset) ───────────────────────────
+const CROSSREFS_FILE = process.env.CROSSREFS_FILE || path.join(process.cwd(), 'data', 'cross_references.txt');
+let crossRefs = null;
 try {
-  const afriPath = path.join(process.cwd(), 'public', 'afri.json');
-  const raw = await fs.readFile(afriPath, 'utf8');
-  const parsed = JSON.parse(raw);
-  afriData = parsed.verses;
-  console.log(`✅ Loaded ${afriData.length} Afrikaans verses from public/afri.json`);
+  crossRefs = await loadCrossRefs(CROSSREFS_FILE);
+  console.log(`✅ Loaded cross-references for ${crossRefs.size} verses`);
 } catch (err) {
-  console.error('❌ Failed to load public/afri.json:', err);
-}
-// Global Afrikaans book name map
-const afBookNames = {
-  'Genesis': 'Genesis',
-  'Exodus': 'Eksodus',
-  'Leviticus': 'Levitikus',
-  'Numbers': 'Numeri',
-  'Deuteronomy': 'Deuteronomium',
-  'Joshua': 'Josua',
-  'Judges': 'Rigters',
-  'Ruth': 'Rut',
-  '1 Samuel': '1 Samuel',
-  'I Samuel': '1 Samuel',
-  '2 Samuel': '2 Samuel',
-  'II Samuel': '2 Samuel',
-  '1 Kings': '1 Konings',
-  'I Kings': '1 Konings',
-  '2 Kings': '2 Konings',
-  'II Kings': '2 Konings',
-  '1 Chronicles': '1 Kronieke',
-  'I Chronicles': '1 Kronieke',
-  '2 Chronicles': '2 Kronieke',
-  'II Chronicles': '2 Kronieke',
-  'Ezra': 'Esra',
-  'Nehemiah': 'Nehemia',
-  'Esther': 'Ester',
-  'Job': 'Job',
-  'Psalms': 'Psalms',
-  'Proverbs': 'Spreuke van Salomo',
-  'Ecclesiastes': 'Prediker',
-  'Song of Solomon': 'Hooglied van Salomo',
-  'Isaiah': 'Jesaja',
-  'Jeremiah': 'Jeremia',
-  'Lamentations': 'Klaagliedere van Jeremia',
-  'Ezekiel': 'Esegiël',
-  'Daniel': 'Daniël',
-  'Hosea': 'Hosea',
-  'Joel': 'Joël',
-  'Amos': 'Amos',
-  'Obadiah': 'Obadja',
-  'Jonah': 'Jona',
-  'Micah': 'Miga',
-  'Nahum': 'Nahum',
-  'Habakkuk': 'Habakuk',
-  'Zephaniah': 'Sefanja',
-  'Haggai': 'Haggai',
-  'Zechariah': 'Sagaria',
-  'Malachi': 'Maleagi',
-  'Matthew': 'Matteus',
-  'Mark': 'Markus',
-  'Luke': 'Lukas',
-  'John': 'Johannes',
-  'Acts': 'Die handelinge van die apostels',
-  'Romans': 'Romeine',
-  '1 Corinthians': '1 Korintiërs',
-  'I Corinthians': '1 Korintiërs',
-  '2 Corinthians': '2 Korintiërs',
-  'II Corinthians': '2 Korintiërs',
-  'Galatians': 'Galasiërs',
-  'Ephesians': 'Effesiërs',
-  'Philippians': 'Filippense',
-  'Colossians': 'Kolossense',
-  '1 Thessalonians': '1 Tessalonisense',
-  'I Thessalonians': '1 Tessalonisense',
-  '2 Thessalonians': '2 Tessalonisense',
-  'II Thessalonians': '2 Tessalonisense',
-  '1 Timothy': '1 Timoteus',
-  'I Timothy': '1 Timoteus',
-  '2 Timothy': '2 Timoteus',
-  'II Timothy': '2 Timoteus',
-  'Titus': 'Titus',
-  'Philemon': 'Filemon',
-  'Hebrews': 'Hebreërs',
-  'James': 'Jakobus',
-  '1 Peter': '1 Petrus',
-  'I Peter': '1 Petrus',
-  '2 Peter': '2 Petrus',
-  'II Peter': '2 Petrus',
-  '1 John': '1 Johannes',
-  'I John': '1 Johannes',
-  '2 John': '2 Johannes',
-  'II John': '2 Johannes',
-  '3 John': '3 Johannes',
-  'III John': '3 Johannes',
-  'Jude': 'Judas',
-  'Revelation of John': 'Die openbaring',
-'Revelation': 'Die openbaring',
-};
+  console.warn(`⚠️  No cross-reference data at ${CROSSREFS_FILE} (${err.code || err.message}); /api/crossrefs disabled (npm run fetch:crossrefs installs it)`);
+}
+
+// ─── 2.2️⃣ Full-text search index (built once, every translation) ──────────────
+const searchDocs = [];
+for (const t of translations.values()) {
+  for (const b of t.books) {
+    for (const c of b.chapters) {
+      for (const v of c.verses) {
+        searchDocs.push({
+          translation: t.id, lang: t.language, book: b.id, testament: getBook(b.id).testament,
+          chapter: c.chapter, verse: v.verse, text: v.text
+        });
+      }
+    }
+  }
+}
+const bibleSearch = buildSearchIndex(searchDocs);
+console.log(`✅ Search index: ${searchDocs.length} verses, ${bibleSearch.terms.length} terms`);
 
-// ─── 3️⃣ OpenAI client & in-memory cache ────────────────────────────────────────
-const key = process.env.OPENAI_KEY ?? process.env.OPENAI_API_KEY;
-if (!key) {
-  console.error('Missing OpenAI key! Please set OPENAI_KEY in your env.');
+// ─── 3️⃣ LLM provider (llmProviders.mjs) & in-memory cache ─────────────────────
+let llm;
+try {
+  llm = createLlm(process.env, { onUsage: recordUsage, onCall: callStarted });
+} catch (err) {
+  console.error(`❌ ${err.message}`);
   process.exit(1);
 }
-const openai = new OpenAI({ apiKey: key });
+console.log(`✅ LLM provider: ${llm.name} (commentary model: ${llm.modelFor('commentary')})`);
+if (llm.name === 'mock') console.warn('⚠️  AI routes return mock text (LLM_PROVIDER=mock)');
 const cache  = new NodeCache({ stdTTL: 86400 }); // cache responses for 24h
 
-// ✅ Proofread helper
-async function proofreadText(text, lang = 'af') {
-  if (lang !== 'af') return text; // only proof Afrikaans for now
+// Prompt templates (promptRegistry.mjs). The template version is part of every
+// cache key and result, so new wording never serves text made with the old.
+const PROMPTS_DIR = process.env.PROMPTS_DIR || path.join(process.cwd(), 'prompts');
+let prompts;
+try {
+  prompts = await loadPrompts(PROMPTS_DIR);
+  console.log(`✅ Loaded ${prompts.templates.length} prompt templates from ${PROMPTS_DIR}`);
+} catch (err) {
+  console.error(`❌ Could not load prompts: ${err.message}`);
+  process.exit(1);
+}
+
+const DEFAULT_AUDIENCE = 'a local church congregation';
 
-  const proofPrompt = `Please proofread the following text. Ensure it is 100% in Afrikaans — no English words or phrases. Fix grammar, spelling, and tone as needed. Return only the corrected Afrikaans text:\n\n${text}`;
+// Chat request for `feature` from the live (or `context.version`) template
+function buildPrompt(feature, vars, context = {}) {
+  return renderPrompt(selectPrompt(prompts, feature, context), vars);
+}
 
-  const result = await openai.chat.completions.create({
-    model: 'gpt-4o',
-    messages: [
-      { role: 'system', content: 'You are a professional Afrikaans language editor. You only reply in corrected Afrikaans. Do not explain or summarize anything.' },
-      { role: 'user', content: proofPrompt }
-    ],
-    temperature: 0.5,
-    max_tokens: 1000
-  });
+// Template variables describing the passage in `body`
+function passageVars(body, translation, scripture) {
+  const { book, startChapter, startVerse, endChapter, endVerse, lang } = body;
+  const bookId = toBookId(book);
+  return {
+    scripture,
+    passageRef: formatReference(
+      displayBookName(bookId, translation),
+      Number(startChapter), Number(startVerse),
+      Number(endChapter || startChapter), Number(endVerse || startVerse)
+    ),
+    audience: body.audience || DEFAULT_AUDIENCE,
+    language: resolveLanguage(languages, lang).label,
+    ministry: profileInstructions(body.ministryProfile)
+  };
+}
+
+// Generated text: memory first, then Firestore `aiCache` (memory only without Firestore)
+const aiCache = createAiCache({ memory: cache, db, ttlDays: Number(process.env.AI_CACHE_TTL_DAYS) || 30 });
+
+// Cached features whose prompts use {{audience}} (body.audience)
+const AUDIENCE_FEATURES = ['commentary', 'sermon-outline', 'study-guide', 'devotion'];
+
+// Cache key fields for one generated section (`request` from buildPrompt) of the
+// passage in `body`; `translation` is the one whose scripture went into the prompt
+function aiCacheFields(request, body, translation) {
+  const { feature } = request;
+  const bookId = toBookId(body.book);
+  const sC = Number(body.startChapter);
+  const eC = Number(body.endChapter || body.startChapter);
+  const sV = Number(body.startVerse);
+  const eV = Number(body.endVerse || body.startVerse);
+  const fields = {
+    feature,
+    book: bookId,
+    passage: passageId(bookId, sC, sV, eC, eV),
+    translation: translation.id,
+    promptVersion: request.promptVersion,
+    model: llm.modelFor(feature),
+    lang: resolveLanguage(languages, body.lang).code,
+    ministry: profileKey(body.ministryProfile)
+  };
+  if (feature === 'commentary') {
+    Object.assign(fields, { tone: body.tone, level: body.level, crossRefs: !!(body.crossRefs && crossRefs) });
+  } else if (feature === 'sermon-outline') {
+    fields.tone = body.tone;
+  }
+  if (AUDIENCE_FEATURES.includes(feature)) {
+    fields.audience = body.audience || DEFAULT_AUDIENCE;
+  }
+  return fields;
+}
 
-  return result.choices[0].message.content.trim();
+/**
+ * Cached text for `fields`, or produce() and cache the result. `regenerate`
+ * skips the lookup (the fresh text still replaces the cached one).
+ * Resolves with { text, cached, promptVersion }.
+ */
+async function cachedGeneration(fields, regenerate, produce) {
+  const { promptVersion } = fields;
+  if (!regenerate) {
+    const hit = await aiCache.get(fields);
+    if (hit) return { text: hit.text, cached: true, promptVersion };
+  }
+  const text = await produce();
+  if (text) {
+    aiCache.set(fields, text).catch(e => console.warn('aiCache write failed:', e.message));
+  }
+  return { text, cached: false, promptVersion };
 }
 
-// 4️⃣ Helper: extract verses across chapters
-function extractVerses(bookName, startChap, startV, endChap, endV) {
-  const bookObj = kjvData.find(b => b.name === bookName);
-  if (!bookObj) throw new Error(`Book "${bookName}" not found`);
+/**
+ * Scripture references in generated text, checked against the loaded
+ * translations (citationChecker.mjs): { references, warnings, html? }.
+ * `translation` is the one the text was written from; `context` { bookId,
+ * chapter } lets "(v. 16)" point into the passage; `links` adds `html` with
+ * each reference linked to /api/passage.
+ */
+function citationReport(text, translation, { context = null, links = false } = {}) {
+  const others = [...translations.values()].filter(t => t !== translation);
+  const report = checkCitations(text || '', { bookIndex, translations: [translation, ...others], context });
+  if (links) {
+    report.html = linkCitations(text || '', report.references, r =>
+      `/api/passage?ref=${encodeURIComponent(r.reference)}&translation=${r.translation || translation.id}`);
+  }
+  return report;
+}
 
-  const sC = Number(startChap), eC = Number(endChap);
-  const sV = Number(startV), eV = Number(endV);
-  const lines = [];
+// Every string in a structured result (sermon outline, study guide), so its
+// references can go through citationReport. Fields are kept a blank line apart:
+// a heading ending "his Son" and a point's verses "3:16" are no reference.
+function structuredText(value) {
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) return value.map(structuredText).join('\n\n');
+  if (value && typeof value === 'object') return Object.values(value).map(structuredText).join('\n\n');
+  return '';
+}
 
-  for (let chap = sC; chap <= eC; chap++) {
-    const chapObj = bookObj.chapters.find(c => c.chapter === chap);
-    if (!chapObj) throw new Error(`Chapter "${chap}" not found in ${bookName}`);
+// Citation context for the passage in a request body
+function passageContext(body) {
+  return { bookId: toBookId(body.book), chapter: Number(body.startChapter) };
+}
 
-    const verses = chapObj.verses.filter(v => {
-      if (sC === eC) {
-        return v.verse >= sV && v.verse <= eV;
-      } else if (chap === sC) {
-        return v.verse >= sV;
-      } else if (chap === eC) {
-        return v.verse <= eV;
-      } else {
-        return true;
+// ─── 3.5️⃣ Usage metering & quotas (usageMeter.mjs) ─────────────────────────────
+// Per user and period in users/{uid}/usage/{day-YYYY-MM-DD | month-YYYY-MM}:
+//   { period, requests, promptTokens, completionTokens, costUsd,
+//     features: { <feature>: { calls, promptTokens, … } }, routes: { <route>: n }, updatedAt }
+// Each request reserves one of the quota as it starts, in a transaction so that
+// parallel requests can't overshoot it. It keeps the reservation once it
+// succeeds (cache hits included), or when the client goes away after it made
+// model calls, and gives it back otherwise; tokens and cost come from every
+// model call made while handling it.
+const usageQuotas = loadUsageQuotas();
+const llmPrices   = loadPrices();
+
+function usageRef(uid, periodId) {
+  return db.doc(`users/${uid}/usage/${periodId}`);
+}
+
+// Adds a tally to `uid`'s usage in `periods`, changing `requests` by `requests`
+// (a count, or -1 to give a reservation back); `route` is listed when set
+async function saveUsage(uid, periods, tally, { requests, route }) {
+  const sum = summarizeTally(tally, llmPrices);
+  const inc = n => FieldValue.increment(n);
+  const features = Object.fromEntries(Object.entries(sum.features).map(([f, s]) => [f, {
+    calls: inc(s.calls),
+    promptTokens: inc(s.promptTokens),
+    completionTokens: inc(s.completionTokens),
+    costUsd: inc(s.costUsd)
+  }]));
+  const batch = db.batch();
+  for (const period of PERIODS) {
+    batch.set(usageRef(uid, periods[period].id), {
+      period,
+      requests: inc(requests),
+      promptTokens: inc(sum.promptTokens),
+      completionTokens: inc(sum.completionTokens),
+      costUsd: inc(sum.costUsd),
+      features,
+      ...(route && { routes: { [route]: inc(1) } }),
+      updatedAt: FieldValue.serverTimestamp()
+    }, { merge: true });
+  }
+  await batch.commit();
+}
+
+// Writes a request's tally (res.locals.usage) and settles its reservation: a
+// `counted` request keeps it (or counts now when it had none), any other gives
+// it back. Tokens are recorded either way.
+function meterUsage({ uid, periods, tally, route, reserved }, counted) {
+  const requests = (counted ? 1 : 0) - (reserved ? 1 : 0);
+  const used = counted || tally.calls.length > 0;
+  if (!used && !requests) return;
+  saveUsage(uid, periods, tally, { requests, route: used ? route : null })
+    .catch(e => console.warn('Usage write failed:', e.message));
+}
+
+// Reserves one request from `uid`'s daily and monthly allowance of `plan`:
+// { reserved: true }, or { exceeded } (the QUOTA_EXCEEDED error body) once
+// either is used up. When Firestore fails the request goes ahead unreserved ({}).
+async function reserveRequest(uid, plan, periods = periodsFor()) {
+  try {
+    return await db.runTransaction(async tx => {
+      const refs = PERIODS.map(period => usageRef(uid, periods[period].id));
+      const snaps = await tx.getAll(...refs);
+      for (const [i, period] of PERIODS.entries()) {
+        const limit = quotaFor(usageQuotas, period, plan);
+        const used = (snaps[i].exists && snaps[i].data().requests) || 0;
+        if (used >= limit) {
+          const { resetsAt } = periods[period];
+          return {
+            exceeded: {
+              error: `${period === 'daily' ? 'Daily' : 'Monthly'} AI limit reached (${limit} requests on your plan). It resets ${resetsAt.toISOString().slice(0, 10)} (UTC).`,
+              code: 'QUOTA_EXCEEDED',
+              period,
+              limit,
+              used,
+              resetsAt: resetsAt.toISOString()
+            }
+          };
+        }
       }
+      PERIODS.forEach((period, i) => tx.set(refs[i], {
+        period,
+        requests: FieldValue.increment(1),
+        updatedAt: FieldValue.serverTimestamp()
+      }, { merge: true }));
+      return { reserved: true };
     });
-
-    verses.forEach(v => lines.push(`${chap}:${v.verse} ${v.text}`));
+  } catch (e) {
+    console.warn('Usage quota check failed:', e.message); // metering trouble shouldn't block readers
+    return {};
   }
+}
 
-  if (lines.length === 0) {
-    throw new Error(`No verses found in range ${startChap}:${startV}–${endChap}:${endV}`);
+// Middleware (after requireSubscriberDb): 429 QUOTA_EXCEEDED once the plan's
+// daily or monthly allowance is used up; otherwise reserves the request and
+// meters it when its connection closes — sent or not, so a reader who disconnects mid-stream is
+// still metered. Routes whose work is metered elsewhere (jobs, by their
+// steps) set res.locals.usage.deferred and settle the reservation there.
+// Without Firestore nothing is metered.
+async function enforceQuota(req, res, next) {
+  if (!db) return next();
+  const uid = req.user.uid;
+  const periods = periodsFor();
+  const { exceeded, reserved = false } = await reserveRequest(uid, planOf(req), periods);
+  if (exceeded) {
+    res.set('Retry-After', String(Math.ceil((Date.parse(exceeded.resetsAt) - Date.now()) / 1000)));
+    return res.status(429).json(exceeded);
   }
 
-  return lines.join('\n');
+  trackUsage(tally => {
+    const route = req.path.replace(/^\/api\//, '').replace(/\//g, '-');
+    const usage = res.locals.usage = { uid, periods, tally, route, reserved, deferred: false };
+    res.on('close', () => {
+      if (usage.deferred) return;
+      if (res.writableFinished) return meterUsage(usage, res.statusCode < 400);
+      // Cut short: the calls wind down first, and the request counts if it made any
+      callsSettled(tally).then(() => meterUsage(usage, tally.calls.length > 0));
+    });
+    next();
+  });
 }
-const availableBooks = [...new Set(afriData.map(v => v.book_name.trim()))];
-console.log('Books in afriData:', availableBooks.sort());
 
-function extractVersesAF(bookName, startChap, startV, endChap, endV) {
-  const sC = Number(startChap), eC = Number(endChap);
-  const sV = Number(startV), eV = Number(endV);
+// ✅ Proofread helper: the "proofread" template variant for the language, with
+// room to return the whole text (a study guide is proofread in one piece)
+function proofreadRequest(text, lang) {
+  const request = buildPrompt('proofread', { text }, { lang });
+  if (request.max_tokens) request.max_tokens = Math.max(request.max_tokens, 2 * estimateTokens(text));
+  return request;
+}
 
-  
-  const normalizedBook = afBookNames[bookName] || bookName;
+// Proofread pass for languages that declare one (languages.mjs); others unchanged
+async function proofreadText(text, lang = DEFAULT_LANGUAGE) {
+  const language = resolveLanguage(languages, lang);
+  if (!language.proofread) return text;
+  return (await llm.complete(proofreadRequest(text, language.code))).trim();
+}
 
-  const verses = afriData.filter(v => {
-    const chap = v.chapter;
-    const verse = v.verse;
-    if (v.book_name.trim() !== normalizedBook) return false;
+// Streaming proofread of one paragraph (see proofreadPipeline in aiStream.mjs)
+function proofreadDeltas(paragraph, lang, signal) {
+  return llm.stream(proofreadRequest(paragraph, lang), { signal });
+}
 
-    if (sC === eC) {
-      return chap === sC && verse >= sV && verse <= eV;
-    } else if (chap === sC) {
-      return verse >= sV;
-    } else if (chap === eC) {
-      return verse <= eV;
-    } else {
-      return chap > sC && chap < eC;
+// Middleware for AI routes: 400 UNSUPPORTED_LANGUAGE for a `lang` that is not
+// enabled; otherwise body.lang is normalized ("AF" → "af", missing → "en")
+function requireLanguage(req, res, next) {
+  try {
+    if (req.body.lang != null || !(req.body.sessionId || req.body.studyId)) {
+      req.body.lang = resolveLanguage(languages, req.body.lang).code;
     }
-  });
+  } catch (err) {
+    return res.status(err.status).json({ error: err.message, code: err.code, languages: [...languages.keys()] });
+  }
+  next();
+}
+
+// Middleware (after requireLanguage): the caller's saved ministry profile as
+// body.ministryProfile for the prompt builders. For a passage that names no
+// translation, the profile's preferred one is used when it suits the language.
+async function applyMinistryProfile(req, res, next) {
+  delete req.body.ministryProfile; // only ever the stored one
+  if (!db) return next();
+  try {
+    const profile = await loadMinistryProfile(req.user.uid);
+    if (profile) {
+      req.body.ministryProfile = profile;
+      const preferred = translations.get(profile.translation);
+      if (req.body.book && !req.body.translation && preferred &&
+          resolveLanguage(languages, req.body.lang).scripture.includes(preferred.language)) {
+        req.body.translation = preferred.id;
+      }
+    }
+  } catch (e) {
+    console.warn('Ministry profile read failed:', e.message); // generate without it
+  }
+  next();
+}
 
+// 4️⃣ Helper: verses across chapters (any loaded translation) as
+// [{ book, chapter, verse, text }], book being the OSIS id
+function getVerses(bookId, startChap, startV, endChap, endV, translationId = DEFAULT_TRANSLATION) {
+  const t = pickTranslation({ translation: translationId });
+  const verses = selectVerses(t, bookId, startChap, startV, endChap, endV);
   if (!verses.length) {
-    throw new Error(`No Afrikaans verses found in ${bookName} ${startChap}:${startV}–${endChap}:${endV}`);
+    throw new Error(`No verses found in ${t.name} for ${bookName(bookId)} ${startChap}:${startV}–${endChap}:${endV}`);
+  }
+  return verses.map(v => ({ book: bookId, ...v }));
+}
+
+// Same range as the joined "chap:verse text" block used by v1 routes and prompts
+function extractVerses(bookId, startChap, startV, endChap, endV, translationId = DEFAULT_TRANSLATION) {
+  return getVerses(bookId, startChap, startV, endChap, endV, translationId)
+    .map(v => `${v.chapter}:${v.verse} ${v.text}`)
+    .join('\n');
+}
+
+// Cross-references for every verse of a range, with the referenced text
+// resolved in the same translation (null when that translation lacks it)
+function passageCrossRefs(bookId, sC, sV, eC, eV, translation, opts) {
+  return getVerses(bookId, sC, sV, eC, eV, translation.id).map(v => ({
+    chapter: v.chapter,
+    verse: v.verse,
+    crossrefs: crossRefsFor(crossRefs, bookId, v.chapter, v.verse, opts).map(r => {
+      let text = null;
+      try {
+        text = getVerses(r.book, r.startChapter, r.startVerse, r.endChapter, r.endVerse, translation.id)
+          .map(x => x.text)
+          .join(' ');
+      } catch {
+        // referenced book/verse not in this translation
+      }
+      return {
+        ...r,
+        reference: formatReference(displayBookName(r.book, translation), r.startChapter, r.startVerse, r.endChapter, r.endVerse),
+        text
+      };
+    })
+  }));
+}
+
+// Resolve one parsed reference segment against a translation: OSIS book id,
+// whole-chapter bounds filled in, chapters/verses range-checked.
+function resolveSegment(seg, translation) {
+  let book;
+  try {
+    book = resolveBook(bookIndex, seg.bookQuery);
+  } catch (e) {
+    if (e instanceof PassageError) e.segment = seg.segment;
+    throw e;
+  }
+  let { startChapter: sC, startVerse: sV, endChapter: eC, endVerse: eV } = seg;
+  const outOfRange = msg => new PassageError(msg, { status: 422, code: 'OUT_OF_RANGE', segment: seg.segment });
+  const bookObj = findBook(translation, book);
+  const name = bookName(book);
+  if (!bookObj) throw outOfRange(`${name} is not in ${translation.name}`);
+
+  // Single-chapter books: "Jude 5" means verse 5, not chapter 5
+  if (sV == null && bookObj.chapters.length === 1) {
+    [sV, eV, sC, eC] = [sC, eC, 1, 1];
+  }
+
+  const chapter = n => bookObj.chapters.find(c => c.chapter === n);
+  if (!chapter(sC)) throw outOfRange(`${name} has no chapter ${sC}`);
+  if (!chapter(eC)) throw outOfRange(`${name} has no chapter ${eC}`);
+  if (eC < sC) throw outOfRange(`Range ends before it starts in "${seg.segment}"`);
+
+  if (sV == null) {
+    const last = chapter(eC).verses;
+    sV = 1;
+    eV = last[last.length - 1].verse;
   }
+  if (!chapter(sC).verses.some(v => v.verse === sV)) throw outOfRange(`${name} ${sC} has no verse ${sV}`);
+  if (!chapter(eC).verses.some(v => v.verse === eV)) throw outOfRange(`${name} ${eC} has no verse ${eV}`);
+  if (sC === eC && eV < sV) throw outOfRange(`Range ends before it starts in "${seg.segment}"`);
 
-  return verses.map(v => `${v.chapter}:${v.verse} ${v.text}`).join('\n');
+  return { book, startChapter: sC, startVerse: sV, endChapter: eC, endVerse: eV };
 }
 
 //-------------------------------------------------------------------------------
@@ -615,21 +1125,60 @@ app.get('/api/chapters', (req, res) => {
     if (!book) {
       return res.status(400).json({ error: 'Missing book parameter' });
     }
-    const bookObj = kjvData.find(b => b.name === book);
+    const bookObj = findBook(pickTranslation(req.query), toBookId(book));
     if (!bookObj) {
       return res.status(404).json({ error: `Book not found: ${book}` });
     }
     return res.json({ chapters: bookObj.chapters.map(c => c.chapter) });
   } catch (err) {
+    if (err instanceof PassageError) return res.status(err.status).json({ error: err.message, code: err.code });
     console.error('Error in GET /api/chapters:', err);
     return res.status(500).json({ error: 'Internal server error' });
   }
 });
-// 5.5️⃣ GET /api/books
+// 5.5️⃣ GET /api/books?lang= — the canonical book registry (ids, order, names)
 app.get('/api/books', (req, res) => {
-  // send back exactly the names your JSON uses
-  const names = kjvData.map(b => b.name);
-  res.json({ books: names });
+  const lang = req.query.lang === 'af' ? 'af' : 'en';
+  res.json({
+    lang,
+    books: BOOKS.map(b => ({
+      id: b.id,
+      name: b[lang],
+      en: b.en,
+      af: b.af,
+      testament: b.testament,
+      order: b.order,
+      chapters: b.chapters,
+      aliases: b.aliases
+    }))
+  });
+});
+
+// 5.6️⃣ GET /api/translations
+app.get('/api/translations', (_req, res) => {
+  res.json({
+    default: DEFAULT_TRANSLATION,
+    translations: [...translations.values()].map(t => ({
+      id: t.id, name: t.name, language: t.language, bookNames: t.bookNames, format: t.format, books: t.books.length
+    }))
+  });
+});
+
+// 5.7️⃣ GET /api/languages — languages AI output can be written in, with the
+// translation each one reads its scripture from
+app.get('/api/languages', (_req, res) => {
+  res.json({
+    default: DEFAULT_LANGUAGE,
+    languages: [...languages.values()].map(l => {
+      const t = scriptureTranslation(l, translations, DEFAULT_TRANSLATION);
+      return {
+        code: l.code,
+        label: l.label,
+        proofread: l.proofread,
+        scripture: t && { id: t.id, name: t.name, language: t.language }
+      };
+    })
+  });
 });
 
 
@@ -638,7 +1187,12 @@ app.get('/api/versesCount', (req, res) => {
   const book = req.query.book;
   const chapter = Number(req.query.chapter);
   if (!book || !chapter) return res.status(400).json({ error: 'Missing book or chapter parameter' });
-  const bookObj = kjvData.find(b => b.name === book);
+  let bookObj;
+  try {
+    bookObj = findBook(pickTranslation(req.query), toBookId(book));
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
   if (!bookObj) return res.status(400).json({ error: `Book ${book} not found` });
   const chapObj = bookObj.chapters.find(c => c.chapter === chapter);
   if (!chapObj) return res.status(400).json({ error: `Chapter ${chapter} not found in ${book}` });
@@ -647,7 +1201,7 @@ app.get('/api/versesCount', (req, res) => {
 });
 
 // 7️⃣ Endpoint: fetch bible text (single or multi-chapter)
-app.post('/api/verses', (req, res) => {
+app.post('/api/verses', enforcePassageLimit('verses'), (req, res) => {
   try {
     const { book, startChapter, startVerse, endChapter, endVerse } = req.body;
     if (!book || !startChapter || !startVerse) {
@@ -658,32 +1212,152 @@ app.post('/api/verses', (req, res) => {
     const sV  = startVerse;
     const eV  = endVerse || startVerse;
 
-    const text = extractVerses(book, sCh, sV, eCh, eV);
+    const text = extractVerses(toBookId(book), sCh, sV, eCh, eV, pickTranslation(req.body).id);
     res.json({ text });
   } catch (err) {
+    if (err instanceof PassageError) return res.status(err.status).json({ error: err.message, code: err.code });
     console.error('Error in /api/verses:', err);
     res.status(400).json({ error: err.message });
   }
 });
 
+// 7.1️⃣ Endpoint (v2): structured verses instead of a joined string
+app.post('/api/v2/verses', enforcePassageLimit('verses'), (req, res) => {
+  try {
+    const { book, startChapter, startVerse, endChapter, endVerse } = req.body;
+    if (!book || !startChapter || !startVerse) {
+      return res.status(400).json({ error: 'Missing book, startChapter, or startVerse' });
+    }
+    const sCh = Number(startChapter);
+    const eCh = Number(endChapter || startChapter);
+    const sV  = Number(startVerse);
+    const eV  = Number(endVerse || startVerse);
+
+    const t = pickTranslation(req.body);
+    const bookId = toBookId(book);
+    const verses = getVerses(bookId, sCh, sV, eCh, eV, t.id);
+    res.json({
+      reference: formatReference(displayBookName(bookId, t), sCh, sV, eCh, eV),
+      translation: { id: t.id, name: t.name, language: t.language },
+      verses
+    });
+  } catch (err) {
+    if (err instanceof PassageError) return res.status(err.status).json({ error: err.message, code: err.code });
+    console.error('Error in /api/v2/verses:', err);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// 7.5️⃣ Endpoint: free-text reference ("Jn 3:16-18", "1 Kor 13:4–7; Ps 23")
+app.get('/api/passage', (req, res) => {
+  try {
+    const t = pickTranslation(req.query);
+    const resolved = parsePassageRef(req.query.ref).map(seg => resolveSegment(seg, t));
+
+    const plan   = planOf(req);
+    const limit  = limitFor(passageLimits, 'verses', plan);
+    const verses = resolved.reduce((n, r) =>
+      n + countVerses(t, r.book, r.startChapter, r.startVerse, r.endChapter, r.endVerse), 0);
+    if (verses > limit) return passageTooLong(res, { verses, limit, scope: 'verses', plan });
+
+    const segments = resolved.map(r => {
+      const text = extractVerses(r.book, r.startChapter, r.startVerse, r.endChapter, r.endVerse, t.id);
+      const displayBook = displayBookName(r.book, t);
+      return {
+        ...r,
+        reference: formatReference(displayBook, r.startChapter, r.startVerse, r.endChapter, r.endVerse),
+        text
+      };
+    });
+    res.json({ ref: req.query.ref, translation: t.id, lang: t.language, segments });
+  } catch (err) {
+    if (err instanceof PassageError) {
+      return res.status(err.status).json({ error: err.message, code: err.code, segment: err.segment });
+    }
+    console.error('Error in /api/passage:', err);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// 7.55️⃣ Endpoint: exact verse count + the caller's limits, so the UI can warn before generating.
+// `useJob`: the passage is long enough (JOB_MIN_VERSES) that AI output should be
+// generated as a job (1️⃣2️⃣) rather than in one request.
+const JOB_MIN_VERSES = Number(process.env.JOB_MIN_VERSES) || 20;
+
+app.post('/api/passage/check', (req, res) => {
+  try {
+    const { book, startChapter, startVerse } = req.body;
+    if (!book || !startChapter || !startVerse) {
+      return res.status(400).json({ error: 'Missing book, startChapter, or startVerse' });
+    }
+    const { verses } = measureRange(req.body);
+    const plan = planOf(req);
+    res.json({
+      verses,
+      plan,
+      limits: Object.fromEntries(Object.keys(passageLimits).map(scope => [scope, limitFor(passageLimits, scope, plan)])),
+      useJob: verses >= JOB_MIN_VERSES
+    });
+  } catch (err) {
+    if (err instanceof PassageError) return res.status(err.status).json({ error: err.message, code: err.code });
+    console.error('Error in /api/passage/check:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 7.6️⃣ Endpoint: full-text search ("phrase", all words, prefix*)
+app.get('/api/search', (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    if (!q) return res.status(400).json({ error: 'Missing q parameter' });
+
+    // Default: English only. `translation` narrows to one text; lang=all searches everything.
+    const translation = req.query.translation ? pickTranslation(req.query).id : null;
+    const lang = translation || req.query.lang === 'all' ? null : (req.query.lang || 'en');
+    const testament = req.query.testament ? String(req.query.testament).toLowerCase() : null;
+    if (testament && testament !== 'ot' && testament !== 'nt') {
+      return res.status(400).json({ error: 'testament must be "ot" or "nt"' });
+    }
+    const book     = req.query.book ? toBookId(req.query.book) : null;
+    const page     = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize, 10) || 20));
+
+    const found = searchIndex(bibleSearch, q, { translation, lang, book, testament, page, pageSize });
+    const results = found.results.map(r => ({
+      ...r,
+      reference: formatReference(displayBookName(r.book, translations.get(r.translation)), r.chapter, r.verse, r.chapter, r.verse)
+    }));
+    res.json({ q, ...found, results });
+  } catch (err) {
+    if (err instanceof PassageError) {
+      return res.status(err.status).json({ error: err.message, code: err.code });
+    }
+    console.error('Error in /api/search:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // 8️⃣ Endpoint: translate into Afrikaans
-app.post('/api/translate', async (req, res) => {
+app.post('/api/translate', enforcePassageLimit('verses'), async (req, res) => {
   try {
     const { book, startChapter, startVerse, endChapter, endVerse } = req.body;
     if (!book || !startChapter || !startVerse) {
       return res.status(400).json({ error: 'Missing required parameters' });
     }
 
-    const scripture = extractVersesAF(
-      book,
+    const t = pickTranslation({ translation: req.body.translation, lang: 'af' });
+    const bookId = toBookId(book);
+    const scripture = extractVerses(
+      bookId,
       startChapter,
       startVerse,
       endChapter || startChapter,
-      endVerse || startVerse
+      endVerse || startVerse,
+      t.id
     );
 
     // Normalize book name for display
-    const afRefBook = afBookNames[book] || book;
+    const afRefBook = displayBookName(bookId, t);
     const passageRef = `${afRefBook} ${startChapter}:${startVerse}-${endChapter || startChapter}:${endVerse || startVerse}`;
 
     res.json({ translation: scripture, passageRef });
@@ -692,141 +1366,1620 @@ app.post('/api/translate', async (req, res) => {
     res.status(500).json({ error: err.message });
   }
 });
-// 9️⃣ Endpoint: AI-only commentary
-app.post('/api/commentary', requireAuth, requireSubscriberDb, async (req, res) => {
+// 8.5️⃣ Endpoint: same passage in several translations, aligned verse-by-verse.
+// Verses one translation lacks (versification differences) come back as null
+// and are listed in `missing` instead of being dropped.
+app.post('/api/parallel', enforcePassageLimit('verses'), (req, res) => {
   try {
-    const { book, startChapter, startVerse, endChapter, endVerse, tone, level, lang } = req.body;
+    const { book, startChapter, startVerse, endChapter, endVerse } = req.body;
     if (!book || !startChapter || !startVerse) {
-      return res.status(400).json({ error: 'Missing required parameters' });
+      return res.status(400).json({ error: 'Missing book, startChapter, or startVerse' });
+    }
+    const sCh = Number(startChapter);
+    const eCh = Number(endChapter || startChapter);
+    const sV  = Number(startVerse);
+    const eV  = Number(endVerse || startVerse);
+
+    const ids = Array.isArray(req.body.translations) ? req.body.translations
+      : typeof req.body.translations === 'string' ? req.body.translations.split(',')
+      : defaultParallelTranslations();
+    const bookId = toBookId(book);
+    const list = [...new Set(ids.map(id => pickTranslation({ translation: String(id).trim() })))];
+    if (list.length < 2) {
+      return res.status(400).json({ error: 'Choose at least two translations' });
     }
-    const sCh = startChapter;
-    const eCh = endChapter || startChapter;
-    const sV  = startVerse;
-    const eV  = endVerse || startVerse;
 
-    const scripture = lang === 'af'
-      ? extractVersesAF(book, sCh, sV, eCh, eV)
-      : extractVerses(book, sCh, sV, eCh, eV);
-    const langLabel  = lang === 'af' ? 'Afrikaans' : 'English';
-    const afRefBook = afBookNames[book] || book;
-const passageRef = `${afRefBook} ${startChapter}:${startVerse}-${endChapter || startChapter}:${endVerse || startVerse}`;
-
-    const prompt = `Write a ${langLabel} commentary on this passage:\n\n${scripture}\n\nTone: ${tone}\nLevel: ${level}`;
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      messages: [
-        { 
-          role: 'system', 
-          content: 'You are Preach Point AI, an expert Bible commentary assistant. Only return commentary. Do not return prayers, introductions, or scripture text.' 
-        },
-        { role: 'user', content: prompt }
-      ],
-      temperature: 0.7,
-      max_tokens: 2500
-    });
+    const rows = new Map(); // "chapter:verse" -> { chapter, verse, texts }
+    for (const t of list) {
+      const verses = findBook(t, bookId) ? selectVerses(t, bookId, sCh, sV, eCh, eV) : [];
+      for (const v of verses) {
+        const key = `${v.chapter}:${v.verse}`;
+        if (!rows.has(key)) rows.set(key, { chapter: v.chapter, verse: v.verse, texts: {} });
+        rows.get(key).texts[t.id] = v.text;
+      }
+    }
+    if (!rows.size) {
+      return res.status(400).json({ error: `No verses found for ${bookName(bookId)} ${sCh}:${sV}–${eCh}:${eV}` });
+    }
+
+    const verses = [...rows.values()]
+      .sort((a, b) => a.chapter - b.chapter || a.verse - b.verse)
+      .map(row => {
+        const missing = list.filter(t => !(t.id in row.texts)).map(t => t.id);
+        missing.forEach(id => { row.texts[id] = null; });
+        return missing.length ? { ...row, missing } : row;
+      });
 
-    let commentary = completion.choices[0].message.content.trim();
-    commentary = await proofreadText(commentary, lang);
-    res.json({ commentary });
+    res.json({
+      reference: formatReference(bookName(bookId), sCh, sV, eCh, eV),
+      translations: list.map(t => ({
+        id: t.id,
+        name: t.name,
+        language: t.language,
+        reference: formatReference(displayBookName(bookId, t), sCh, sV, eCh, eV),
+        missing: verses.filter(v => v.texts[t.id] === null).length
+      })),
+      verses
+    });
   } catch (err) {
-    console.error('Error in /api/commentary:', err);
+    if (err instanceof PassageError) return res.status(err.status).json({ error: err.message, code: err.code });
+    console.error('Error in /api/parallel:', err);
     res.status(500).json({ error: err.message });
   }
 });
-// 9.5️⃣ Endpoint: AI-only devotion
-app.post('/api/devotion',  requireAuth, requireSubscriberDb, async (req, res) => {
+
+// 8.6️⃣ Endpoint: whether cross-references are installed, so the UI can offer them
+app.get('/api/crossrefs', (_req, res) => {
+  res.json({ available: !!crossRefs, verses: crossRefs ? crossRefs.size : 0 });
+});
+
+// Endpoint: cross-references (Treasury of Scripture Knowledge) per verse
+app.post('/api/crossrefs', enforcePassageLimit('verses'), (req, res) => {
   try {
-    const { book, startChapter, startVerse, endChapter, endVerse, lang } = req.body;
+    if (!crossRefs) {
+      return res.status(503).json({ error: 'Cross-reference data is not installed on this server', code: 'CROSSREFS_UNAVAILABLE' });
+    }
+    const { book, startChapter, startVerse, endChapter, endVerse } = req.body;
     if (!book || !startChapter || !startVerse) {
-      return res.status(400).json({ error: 'Missing required parameters' });
+      return res.status(400).json({ error: 'Missing book, startChapter, or startVerse' });
     }
-    const sCh = startChapter;
-    const eCh = endChapter || startChapter;
-    const sV  = startVerse;
-    const eV  = endVerse || startVerse;
-
-    const scripture = lang === 'af'
-      ? extractVersesAF(book, sCh, sV, eCh, eV)
-      : extractVerses(book, sCh, sV, eCh, eV);
-    const langLabel = lang === 'af' ? 'Afrikaans' : 'English';
-
-    const prompt = `Write a pastoral devotion in ${langLabel} based on the passage below. 
-- 3–5 concise paragraphs, warm and practical.
-- Faithful to the text; no speculative or controversial claims.
-- No headings or verse references in the body.
-- Include one clear application and one brief closing line of encouragement.
-Return only the devotion text.
-
-Passage:
-${scripture}`;
-
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      messages: [
-        { role: 'system', content: 'You are Preach Point AI. You write concise, pastoral devotions that are Biblically faithful and application-focused. Do not include headings, verse references, or introductions. Return only the devotion text.' },
-        { role: 'user', content: prompt }
-      ],
-      temperature: 0.4,
-      max_tokens: 1000
+    const sCh = Number(startChapter);
+    const eCh = Number(endChapter || startChapter);
+    const sV  = Number(startVerse);
+    const eV  = Number(endVerse || startVerse);
+
+    const t        = pickTranslation(req.body);
+    const bookId   = toBookId(book);
+    const limit    = Math.min(20, Math.max(1, parseInt(req.body.limit, 10) || 5));
+    const minVotes = req.body.minVotes != null && Number.isFinite(Number(req.body.minVotes)) ? Number(req.body.minVotes) : 1;
+
+    res.json({
+      reference: formatReference(displayBookName(bookId, t), sCh, sV, eCh, eV),
+      translation: { id: t.id, name: t.name, language: t.language },
+      verses: passageCrossRefs(bookId, sCh, sV, eCh, eV, t, { limit, minVotes })
     });
-
-    let devotion = (completion.choices?.[0]?.message?.content || '').trim();
-    if (lang === 'af' && devotion) {
-      devotion = await proofreadText(devotion, 'af');
-    }
-    res.json({ devotion });
   } catch (err) {
-    console.error('Error in /api/devotion:', err);
-    res.status(500).json({ error: err.message || 'Server error' });
+    if (err instanceof PassageError) return res.status(err.status).json({ error: err.message, code: err.code });
+    console.error('Error in /api/crossrefs:', err);
+    res.status(400).json({ error: err.message });
   }
 });
 
+// Chat request for a commentary on the passage in req.body (`scripture` when
+// the caller already extracted it). `promptVersion` picks an older template.
+function commentaryRequest(body, scripture = null) {
+  const { book, startChapter, startVerse, endChapter, endVerse, tone, level, lang } = body;
+  const sCh = startChapter;
+  const eCh = endChapter || startChapter;
+  const sV  = startVerse;
+  const eV  = endVerse || startVerse;
+
+  const t = pickTranslation(body);
+  const bookId = toBookId(book);
+  scripture ??= extractVerses(bookId, sCh, sV, eCh, eV, t.id);
+
+  // Optional: feed real cross-references so the model doesn't invent them
+  let crossRefBlock = '';
+  if (body.crossRefs && crossRefs) {
+    const lines = passageCrossRefs(bookId, sCh, sV, eCh, eV, t, { limit: 3 })
+      .filter(v => v.crossrefs.length)
+      .map(v => `${v.chapter}:${v.verse} → ` + v.crossrefs
+        .map(r => (r.text ? `${r.reference} "${r.text.slice(0, 200)}"` : r.reference))
+        .join('; '));
+    if (lines.length) {
+      crossRefBlock = `\n\nCross-references (Treasury of Scripture Knowledge):\n${lines.join('\n')}\n\nWhen you point to related passages, use only these cross-references.`;
+    }
+  }
 
-// 🔟 Endpoint: AI-only prayer
-app.post('/api/prayer',    requireAuth, requireSubscriberDb, async (req, res) => {
+  return buildPrompt('commentary', {
+    ...passageVars(body, t, scripture),
+    tone,
+    level,
+    crossReferences: crossRefBlock
+  }, { lang, tone, level, version: body.promptVersion });
+}
+
+// Commentary on the passage in `body`, as /api/commentary returns it
+async function generateCommentary(body) {
+  const request = commentaryRequest(body);
+  const t = pickTranslation(body);
+  const { text, cached, promptVersion } = await cachedGeneration(
+    aiCacheFields(request, body, t),
+    body.regenerate,
+    () => completeText(request, { lang: body.lang })
+  );
+  const citations = citationReport(text, t, { context: passageContext(body), links: body.links });
+  return { commentary: text, cached, promptVersion, citations };
+}
+
+// 9️⃣ Endpoint: AI-only commentary
+app.post('/api/commentary', requireAuth, requireSubscriberDb, requireLanguage, applyMinistryProfile, enforcePassageLimit('ai'), enforceQuota, async (req, res) => {
   try {
-    const { book, startChapter, startVerse, endChapter, endVerse, lang } = req.body;
+    const { book, startChapter, startVerse } = req.body;
     if (!book || !startChapter || !startVerse) {
       return res.status(400).json({ error: 'Missing required parameters' });
     }
+    res.json(await generateCommentary(req.body));
+  } catch (err) {
+    if (err instanceof PromptError) return res.status(err.status).json({ error: err.message, code: err.code });
+    console.error('Error in /api/commentary:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    const scripture = extractVerses(
-      book,
-      startChapter,
-      startVerse,
-      endChapter || startChapter,
-      endVerse   || startVerse
-    );
-    const langLabel = lang === 'af' ? 'Afrikaans' : 'English';
-
-    const prompt = `Write a prayer in ${langLabel} based on the following scripture.\n\nRespond ONLY in ${langLabel}.\n\nScripture:\n${scripture}`;
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      messages: [
-        { 
-          role: 'system', 
-          content: 'You are Preach Point AI, a spiritual assistant. ONLY return the body of a prayer. DO NOT include phrases like "Here is a prayer", "Inspired by the verses", "Prayer:", or any introductory lines. Only return the prayer content. No headings. No scripture. No reference. Just the prayer itself.'
-        },
-        { role: 'user', content: prompt }
-      ],
-      temperature: 0.7
-    });
+// Runs a chat request to completion: trimmed, unwanted lines dropped (`keepLine`)
+async function draftText(request, { keepLine } = {}) {
+  let text = (await llm.complete(request)).trim();
+  if (keepLine) {
+    text = text.split('\n').filter(keepLine).join('\n').trim();
+  }
+  return text;
+}
+
+// Same, proofread for languages that have a proofread pass
+async function completeText(request, { lang, keepLine } = {}) {
+  const text = await draftText(request, { keepLine });
+  return text ? proofreadText(text, lang) : text;
+}
+
+// Scripture block for the passage in req.body, from `translation` (by default the
+// one named in the body, else the scripture source of its `lang`)
+function requestScripture(body, translation = pickTranslation(body)) {
+  const { book, startChapter, startVerse, endChapter, endVerse } = body;
+  return extractVerses(
+    toBookId(book),
+    startChapter,
+    startVerse,
+    endChapter || startChapter,
+    endVerse   || startVerse,
+    translation.id
+  );
+}
 
-    let prayerText = completion.choices[0].message.content.trim();
-    prayerText = prayerText
-      .split('\n')
-      .filter(line => !/^Here is.*prayer/i.test(line) && !/^Hier is.*gebed/i.test(line))
-      .join('\n')
-      .trim();
+// Chat request for a devotion on a "chap:verse text" scripture block.
+// `context`: { lang, passageRef, audience?, ministryProfile?, promptVersion? }
+function devotionRequest(scripture, { lang, passageRef, audience, ministryProfile, promptVersion } = {}) {
+  return buildPrompt('devotion', {
+    scripture,
+    passageRef,
+    audience: audience || DEFAULT_AUDIENCE,
+    language: resolveLanguage(languages, lang).label,
+    ministry: profileInstructions(ministryProfile)
+  }, { lang, version: promptVersion });
+}
+
+// Same, for the passage in req.body
+function passageDevotionRequest(body, scripture = null) {
+  const t = pickTranslation(body);
+  scripture ??= requestScripture(body, t);
+  return devotionRequest(scripture, { ...body, passageRef: passageVars(body, t, scripture).passageRef });
+}
 
-    prayerText = await proofreadText(prayerText, lang);
-    res.json({ prayer: prayerText });
+// Devotion on the passage in `body`, as /api/devotion returns it
+async function generateDevotion(body) {
+  const request = passageDevotionRequest(body);
+  const t = pickTranslation(body);
+  const { text, cached, promptVersion } = await cachedGeneration(
+    aiCacheFields(request, body, t),
+    body.regenerate,
+    () => completeText(request, { lang: body.lang })
+  );
+  const citations = citationReport(text, t, { context: passageContext(body), links: body.links });
+  return { devotion: text, cached, promptVersion, citations };
+}
+
+// 9.5️⃣ Endpoint: AI-only devotion
+app.post('/api/devotion',  requireAuth, requireSubscriberDb, requireLanguage, applyMinistryProfile, enforcePassageLimit('ai'), enforceQuota, async (req, res) => {
+  try {
+    const { book, startChapter, startVerse } = req.body;
+    if (!book || !startChapter || !startVerse) {
+      return res.status(400).json({ error: 'Missing required parameters' });
+    }
+    res.json(await generateDevotion(req.body));
   } catch (err) {
+    if (err instanceof PromptError) return res.status(err.status).json({ error: err.message, code: err.code });
+    console.error('Error in /api/devotion:', err);
+    res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+
+// Chat request for a prayer on the passage in req.body
+function prayerRequest(body, scripture = null) {
+  const t = pickTranslation(body);
+  scripture ??= requestScripture(body, t);
+  return buildPrompt('prayer', passageVars(body, t, scripture), { lang: body.lang, version: body.promptVersion });
+}
+
+// The model sometimes opens with "Here is a prayer…" despite being told not to
+function isPrayerLine(line) {
+  return !/^Here is.*prayer/i.test(line) && !/^Hier is.*gebed/i.test(line);
+}
+
+// Prayer on the passage in `body`, as /api/prayer returns it
+async function generatePrayer(body) {
+  const request = prayerRequest(body);
+  const t = pickTranslation(body);
+  const { text, cached, promptVersion } = await cachedGeneration(
+    aiCacheFields(request, body, t),
+    body.regenerate,
+    () => completeText(request, { lang: body.lang, keepLine: isPrayerLine })
+  );
+  const citations = citationReport(text, t, { context: passageContext(body), links: body.links });
+  return { prayer: text, cached, promptVersion, citations };
+}
+
+// 🔟 Endpoint: AI-only prayer
+app.post('/api/prayer',    requireAuth, requireSubscriberDb, requireLanguage, applyMinistryProfile, enforcePassageLimit('ai'), enforceQuota, async (req, res) => {
+  try {
+    const { book, startChapter, startVerse } = req.body;
+    if (!book || !startChapter || !startVerse) {
+      return res.status(400).json({ error: 'Missing required parameters' });
+    }
+    res.json(await generatePrayer(req.body));
+  } catch (err) {
+    if (err instanceof PromptError) return res.status(err.status).json({ error: err.message, code: err.code });
     console.error('Error in /api/prayer:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
+// 🔟.1️⃣ Endpoint: sermon outline — structured JSON (see sermonOutline.mjs)
+function sermonOutlineRequest(body, translation) {
+  const scripture = requestScripture(body, translation);
+  return buildPrompt('sermon-outline', {
+    ...passageVars(body, translation, scripture),
+    tone: body.tone || ''
+  }, { lang: body.lang, tone: body.tone, version: body.promptVersion });
+}
+
+app.post('/api/sermon-outline', requireAuth, requireSubscriberDb, requireLanguage, enforcePassageLimit('ai'), enforceQuota, async (req, res) => {
+  try {
+    const { book, startChapter, startVerse, endChapter, endVerse } = req.body;
+    if (!book || !startChapter || !startVerse) {
+      return res.status(400).json({ error: 'Missing required parameters' });
+    }
+    const range = {
+      startChapter: Number(startChapter),
+      startVerse: Number(startVerse),
+      endChapter: Number(endChapter || startChapter),
+      endVerse: Number(endVerse || startVerse)
+    };
+    const t = pickTranslation(req.body);
+    const bookId = toBookId(book);
+    const request = sermonOutlineRequest(req.body, t);
+
+    // Only outlines that parse are cached; one retry for malformed JSON
+    const { text, cached, promptVersion } = await cachedGeneration(
+      aiCacheFields(request, req.body, t),
+      req.body.regenerate,
+      async () => {
+        for (let attempt = 1; ; attempt++) {
+          const raw = await llm.complete(request);
+          try {
+            parseOutline(raw, range);
+            return raw;
+          } catch (err) {
+            if (!(err instanceof OutlineError) || attempt === 2) throw err;
+            console.warn(`Sermon outline attempt ${attempt} rejected: ${err.message}`);
+          }
+        }
+      }
+    );
+    const { outline, warnings } = parseOutline(text, range);
+
+    res.json({
+      reference: formatReference(displayBookName(bookId, t), range.startChapter, range.startVerse, range.endChapter, range.endVerse),
+      translation: { id: t.id, name: t.name, language: t.language },
+      outline,
+      warnings,
+      citations: citationReport(structuredText(outline), t, { context: passageContext(req.body) }),
+      cached,
+      promptVersion
+    });
+  } catch (err) {
+    if (err instanceof PassageError || err instanceof PromptError || err instanceof OutlineError) {
+      return res.status(err.status).json({ error: err.message, code: err.code });
+    }
+    console.error('Error in /api/sermon-outline:', err);
+    res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+// 🔟.2️⃣ Endpoint: small-group study guide — structured JSON (see studyGuide.mjs)
+function studyGuideRequest(body, translation) {
+  const scripture = requestScripture(body, translation);
+  return buildPrompt('study-guide', passageVars(body, translation, scripture), { lang: body.lang, version: body.promptVersion });
+}
+
+app.post('/api/study-guide', requireAuth, requireSubscriberDb, requireLanguage, enforcePassageLimit('ai'), enforceQuota, async (req, res) => {
+  try {
+    const { book, startChapter, startVerse, endChapter, endVerse, lang } = req.body;
+    if (!book || !startChapter || !startVerse) {
+      return res.status(400).json({ error: 'Missing required parameters' });
+    }
+    const t = pickTranslation(req.body);
+    const bookId = toBookId(book);
+    const request = studyGuideRequest(req.body, t);
+
+    // The cached text is the guide after proofreading, re-serialized, so a hit
+    // costs no model calls; one retry for malformed JSON
+    const { text, cached, promptVersion } = await cachedGeneration(
+      aiCacheFields(request, req.body, t),
+      req.body.regenerate,
+      async () => {
+        for (let attempt = 1; ; attempt++) {
+          const raw = await llm.complete(request);
+          try {
+            const { guide } = parseStudyGuide(raw);
+            return JSON.stringify(await mapText(guide, field => proofreadText(field, lang)));
+          } catch (err) {
+            if (!(err instanceof StudyGuideError) || attempt === 2) throw err;
+            console.warn(`Study guide attempt ${attempt} rejected: ${err.message}`);
+          }
+        }
+      }
+    );
+    const { guide, warnings } = parseStudyGuide(text);
+
+    res.json({
+      reference: formatReference(
+        displayBookName(bookId, t),
+        Number(startChapter), Number(startVerse),
+        Number(endChapter || startChapter), Number(endVerse || startVerse)
+      ),
+      translation: { id: t.id, name: t.name, language: t.language },
+      guide,
+      warnings,
+      citations: citationReport(structuredText(guide), t, { context: passageContext(req.body) }),
+      cached,
+      promptVersion
+    });
+  } catch (err) {
+    if (err instanceof PassageError || err instanceof PromptError || err instanceof StudyGuideError) {
+      return res.status(err.status).json({ error: err.message, code: err.code });
+    }
+    console.error('Error in /api/study-guide:', err);
+    res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+// ─── 🔟.3️⃣ Passage chat: follow-up questions about one passage ─────────────────
+// Sessions live in users/{uid}/chats/{sessionId}:
+//   { book, startChapter, startVerse, endChapter, endVerse, translation, lang,
+//     reference, messages: [{ role, content, at }], createdAt, updatedAt }
+// The first message names the passage; later ones send only { sessionId, message }.
+// Every turn re-reads the passage into the system prompt, so answers stay
+// grounded however long the conversation runs.
+const CHAT_MAX_MESSAGE = 1000;  // characters per question
+const CHAT_CONTEXT_TURNS = 10;  // earlier question/answer pairs sent to the model
+const CHAT_MAX_STORED = 200;    // messages kept per session
+// Session ids are Firestore auto-ids; anything else (a "/" or "..") could
+// point the path outside users/{uid}/chats
+const CHAT_SESSION_ID = /^[A-Za-z0-9_-]{1,64}$/;
+
+// The session's document, or null when `sessionId` is no valid session id
+function chatRef(uid, sessionId) {
+  return CHAT_SESSION_ID.test(sessionId) ? db.doc(`users/${uid}/chats/${sessionId}`) : null;
+}
+
+function invalidSessionId(res) {
+  return res.status(400).json({ error: 'Invalid sessionId', code: 'INVALID_SESSION_ID' });
+}
+
+function chatSessionJson(id, s) {
+  return {
+    sessionId: id,
+    reference: s.reference,
+    book: s.book,
+    startChapter: s.startChapter,
+    startVerse: s.startVerse,
+    endChapter: s.endChapter,
+    endVerse: s.endVerse,
+    translation: s.translation,
+    lang: s.lang,
+    messages: (s.messages || []).map(m => ({ role: m.role, content: m.content, at: m.at?.toDate?.() ?? m.at }))
+  };
+}
+
+// Chat request: the passage-grounded system prompt, recent history, then the question
+function passageChatRequest(session, history, message) {
+  const t = pickTranslation({ translation: session.translation });
+  const scripture = requestScripture(session, t);
+  const request = buildPrompt('passage-chat', {
+    ...passageVars(session, t, scripture),
+    text: message
+  }, { lang: session.lang, version: session.promptVersion });
+  const recent = history.slice(-CHAT_CONTEXT_TURNS * 2).map(({ role, content }) => ({ role, content }));
+  request.messages.splice(-1, 0, ...recent);
+  return request;
+}
+
+// POST /api/passage-chat — { message, sessionId } or, to start, { message, book,
+// startChapter, startVerse, endChapter?, endVerse?, translation?, lang? }
+app.post('/api/passage-chat', requireFirestore, requireAuth, requireSubscriberDb, requireLanguage, enforcePassageLimit('ai'), enforceQuota, async (req, res) => {
+  try {
+    const message = String(req.body.message || '').trim();
+    if (!message) return res.status(400).json({ error: 'Missing message' });
+    if (message.length > CHAT_MAX_MESSAGE) {
+      return res.status(400).json({ error: `Questions are limited to ${CHAT_MAX_MESSAGE} characters` });
+    }
+
+    let ref, session;
+    if (req.body.sessionId) {
+      ref = chatRef(req.user.uid, String(req.body.sessionId));
+      if (!ref) return invalidSessionId(res);
+      const snap = await ref.get();
+      if (!snap.exists) return res.status(404).json({ error: 'Chat session not found', code: 'CHAT_NOT_FOUND' });
+      session = snap.data();
+    } else {
+      const { book, startChapter, startVerse, endChapter, endVerse, lang } = req.body;
+      if (!book || !startChapter || !startVerse) {
+        return res.status(400).json({ error: 'Missing sessionId, or book, startChapter and startVerse to start one' });
+      }
+      const t = pickTranslation(req.body);
+      const bookId = toBookId(book);
+      session = {
+        book: bookId,
+        startChapter: Number(startChapter),
+        startVerse: Number(startVerse),
+        endChapter: Number(endChapter || startChapter),
+        endVerse: Number(endVerse || startVerse),
+        translation: t.id,
+        lang,
+        messages: []
+      };
+      session.reference = formatReference(
+        displayBookName(bookId, t), session.startChapter, session.startVerse, session.endChapter, session.endVerse
+      );
+      ref = db.collection(`users/${req.user.uid}/chats`).doc();
+    }
+
+    const request = passageChatRequest(session, session.messages || [], message);
+    const reply = await completeText(request, { lang: session.lang });
+    if (!reply) return res.status(502).json({ error: 'The model returned no answer' });
+
+    const now = new Date();
+    const turn = [
+      { role: 'user', content: message, at: now },
+      { role: 'assistant', content: reply, at: now }
+    ];
+    if (req.body.sessionId) {
+      // Appended to the messages as stored now, so a turn answered meanwhile
+      // (another tab) is kept rather than overwritten
+      const found = await db.runTransaction(async tx => {
+        const snap = await tx.get(ref);
+        if (!snap.exists) return false;
+        const messages = [...(snap.data().messages || []), ...turn].slice(-CHAT_MAX_STORED);
+        tx.update(ref, { messages, updatedAt: FieldValue.serverTimestamp() });
+        return true;
+      });
+      if (!found) return res.status(404).json({ error: 'Chat session not found', code: 'CHAT_NOT_FOUND' });
+    } else {
+      await ref.set({ ...session, messages: turn, createdAt: FieldValue.serverTimestamp(), updatedAt: FieldValue.serverTimestamp() });
+    }
+
+    const citations = citationReport(reply, pickTranslation({ translation: session.translation }), {
+      context: { bookId: session.book, chapter: session.startChapter },
+      links: req.body.links
+    });
+    res.json({ sessionId: ref.id, reference: session.reference, reply, promptVersion: request.promptVersion, citations });
+  } catch (err) {
+    if (err instanceof PassageError || err instanceof PromptError) {
+      return res.status(err.status).json({ error: err.message, code: err.code });
+    }
+    console.error('Error in /api/passage-chat:', err);
+    res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+// GET /api/passage-chat/:id — the session and its messages
+app.get('/api/passage-chat/:id', requireFirestore, requireAuth, async (req, res) => {
+  try {
+    const ref = chatRef(req.user.uid, req.params.id);
+    if (!ref) return invalidSessionId(res);
+    const snap = await ref.get();
+    if (!snap.exists) return res.status(404).json({ error: 'Chat session not found', code: 'CHAT_NOT_FOUND' });
+    res.json(chatSessionJson(snap.id, snap.data()));
+  } catch (err) {
+    console.error('Error in GET /api/passage-chat/:id:', err);
+    res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+// DELETE /api/passage-chat/:id
+app.delete('/api/passage-chat/:id', requireFirestore, requireAuth, async (req, res) => {
+  try {
+    const ref = chatRef(req.user.uid, req.params.id);
+    if (!ref) return invalidSessionId(res);
+    await ref.delete();
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Error in DELETE /api/passage-chat/:id:', err);
+    res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+// ─── 🔟.5️⃣ Streaming variants (Server-Sent Events, see aiStream.mjs) ─────────────
+// Same inputs, middleware and prompts as the JSON routes above. Tokens arrive
+// as `delta` events; Afrikaans is proofread paragraph by paragraph while the
+// rest is still being generated, so only proofread text reaches the reader.
+
+// Streams one chat request through the same post-processing as completeText,
+// calling onDelta(text) as text arrives. Resolves with the full text.
+async function streamChat(request, { lang, keepLine, signal }, onDelta) {
+  let deltas = llm.stream(request, { signal });
+  if (keepLine) deltas = filterLines(deltas, keepLine);
+  const language = resolveLanguage(languages, lang);
+  if (language.proofread) deltas = proofreadPipeline(paragraphs(deltas), p => proofreadDeltas(p, language.code, signal));
+
+  let full = '';
+  for await (const text of deltas) {
+    full += text;
+    onDelta(text);
+  }
+  return full.trim();
+}
+
+// Aborts when the reader goes away, so we stop paying for tokens nobody sees.
+// Every model call (one per proofread paragraph) listens on it, hence no cap.
+function abortOnClose(res) {
+  const controller = new AbortController();
+  setMaxListeners(0, controller.signal);
+  res.on('close', () => controller.abort());
+  return controller;
+}
+
+// Cache hits arrive as a single delta
+async function streamCompletion(req, res, { field, request, lang, keepLine, cacheFields, translation }) {
+  const controller = abortOnClose(res);
+  const send = openEventStream(res);
+
+  try {
+    const { text, cached, promptVersion } = await cachedGeneration(cacheFields, req.body.regenerate, () =>
+      streamChat(request, { lang, keepLine, signal: controller.signal }, delta => send('delta', { text: delta })));
+    if (cached) send('delta', { text });
+    const citations = citationReport(text, translation, { context: passageContext(req.body), links: req.body.links });
+    send('done', { [field]: text, cached, promptVersion, citations });
+  } catch (err) {
+    if (!controller.signal.aborted) {
+      console.error(`Error in ${req.path}:`, err);
+      send('error', { error: err.message || 'Server error' });
+    }
+  }
+  res.end();
+}
+
+// Route handler streaming `build(req.body)`; validation errors are still plain JSON.
+// `translation(body)` names the translation the prompt's scripture comes from.
+function streamRoute(field, build, { translation = pickTranslation, ...opts } = {}) {
+  return async (req, res) => {
+    const { book, startChapter, startVerse, lang } = req.body;
+    if (!book || !startChapter || !startVerse) {
+      return res.status(400).json({ error: 'Missing required parameters' });
+    }
+    let request, cacheFields, t;
+    try {
+      request = build(req.body);
+      t = translation(req.body);
+      cacheFields = aiCacheFields(request, req.body, t);
+    } catch (err) {
+      if (err instanceof PassageError || err instanceof PromptError) return res.status(err.status).json({ error: err.message, code: err.code });
+      console.error(`Error in ${req.path}:`, err);
+      return res.status(500).json({ error: err.message || 'Server error' });
+    }
+    await streamCompletion(req, res, { field, request, lang, cacheFields, translation: t, ...opts });
+  };
+}
+
+app.post('/api/commentary/stream', requireAuth, requireSubscriberDb, requireLanguage, applyMinistryProfile, enforcePassageLimit('ai'), enforceQuota,
+  streamRoute('commentary', commentaryRequest));
+app.post('/api/devotion/stream',   requireAuth, requireSubscriberDb, requireLanguage, applyMinistryProfile, enforcePassageLimit('ai'), enforceQuota,
+  streamRoute('devotion', body => passageDevotionRequest(body)));
+app.post('/api/prayer/stream',     requireAuth, requireSubscriberDb, requireLanguage, applyMinistryProfile, enforcePassageLimit('ai'), enforceQuota,
+  streamRoute('prayer', prayerRequest, { keepLine: isPrayerLine }));
+
+// ─── 🔟.6️⃣ Study pack: commentary, devotion and prayer in one request ──────────
+// One auth/subscription check, one scripture lookup, three concurrent
+// generations. Each section reports on its own, so one failure doesn't cost
+// the others:
+//   { passage: { reference, translation, verses },
+//     sections: { commentary: { ok, text, cached, promptVersion, citations } | { ok: false, error }, … },
+//     studyId }
+// `studyId` is the copy saved to the caller's history (1️⃣3️⃣), null when
+// nothing was generated or saving failed. With `stream: true` (or ?stream=1) the same arrives as SSE:
+//   passage → { reference, translation, verses }
+//   delta   → { section, text }
+//   section → { section, ok, text, cached, promptVersion, citations | error }
+//   done    → the combined result above
+
+const STUDY_SECTIONS = {
+  commentary: { build: (body, scripture) => commentaryRequest(body, scripture) },
+  devotion:   { build: (body, scripture) => passageDevotionRequest(body, scripture) },
+  prayer:     { build: (body, scripture) => prayerRequest(body, scripture), keepLine: isPrayerLine }
+};
+
+// The study pack's passage block, plus the scripture and translation its
+// sections are written from; null when no verses match
+function studyPassage(body) {
+  const sCh = Number(body.startChapter);
+  const eCh = Number(body.endChapter || body.startChapter);
+  const sV  = Number(body.startVerse);
+  const eV  = Number(body.endVerse || body.startVerse);
+  const translation = pickTranslation(body);
+  const bookId = toBookId(body.book);
+  const verses = getVerses(bookId, sCh, sV, eCh, eV, translation.id);
+  if (!verses.length) return null;
+  return {
+    translation,
+    scripture: verses.map(v => `${v.chapter}:${v.verse} ${v.text}`).join('\n'),
+    passage: {
+      reference: formatReference(displayBookName(bookId, translation), sCh, sV, eCh, eV),
+      translation: { id: translation.id, name: translation.name, language: translation.language },
+      verses: verses.map(({ chapter, verse, text }) => ({ chapter, verse, text }))
+    }
+  };
+}
+
+// Generates every section concurrently: { <section>: { ok, … } }. With `send`
+// the text is streamed and each section reported as it finishes.
+async function studySections(body, { scripture, translation }, { send = null, signal } = {}) {
+  const { lang } = body;
+  const names = Object.keys(STUDY_SECTIONS);
+  const settled = await Promise.allSettled(names.map(async section => {
+    const { build, keepLine } = STUDY_SECTIONS[section];
+    const request = build(body, scripture);
+    const result = await cachedGeneration(aiCacheFields(request, body, translation), body.regenerate, () => (send
+      ? streamChat(request, { lang, keepLine, signal }, delta => send('delta', { section, text: delta }))
+      : completeText(request, { lang, keepLine })));
+    result.citations = citationReport(result.text, translation, { context: passageContext(body), links: body.links });
+    send?.('section', { section, ok: true, ...result });
+    return result;
+  }));
+
+  const sections = {};
+  settled.forEach((r, i) => {
+    const section = names[i];
+    if (r.status === 'fulfilled') {
+      sections[section] = { ok: true, ...r.value };
+    } else {
+      if (!signal?.aborted) console.error(`Study section ${section} failed:`, r.reason);
+      sections[section] = { ok: false, error: r.reason?.message || 'Generation failed' };
+      send?.('section', { section, ...sections[section] });
+    }
+  });
+  return sections;
+}
+
+app.post('/api/study', requireAuth, requireSubscriberDb, requireLanguage, applyMinistryProfile, enforcePassageLimit('ai'), enforceQuota, async (req, res) => {
+  const { book, startChapter, startVerse } = req.body;
+  if (!book || !startChapter || !startVerse) {
+    return res.status(400).json({ error: 'Missing required parameters' });
+  }
+
+  let study;
+  try {
+    study = studyPassage(req.body);
+    if (!study) return res.status(404).json({ error: 'No verses found' });
+  } catch (err) {
+    if (err instanceof PassageError) return res.status(err.status).json({ error: err.message, code: err.code });
+    console.error('Error in /api/study:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+
+  const stream = req.body.stream === true || req.query.stream === '1';
+  const controller = abortOnClose(res);
+  let send = null;
+  if (stream) {
+    send = openEventStream(res);
+    send('passage', study.passage);
+  }
+
+  const sections = await studySections(req.body, study, { send, signal: controller.signal });
+  const studyId = await saveStudy(req.user.uid, req.body, study, sections);
+  const result = { passage: study.passage, sections, studyId };
+  if (stream) {
+    send('done', result);
+    return res.end();
+  }
+  const anyOk = Object.values(sections).some(s => s.ok);
+  res.status(anyOk ? 200 : 502).json(result);
+});
+
+// 🔟.7️⃣ Admin: purge cached AI output. Body: any of { feature, book, passage,
+// translation, lang, promptVersion } (entries must match all), or { all: true }.
+app.post('/api/admin/cache/purge', requireAdmin, async (req, res) => {
+  try {
+    const filter = {};
+    for (const k of ['feature', 'passage', 'translation', 'lang']) {
+      if (req.body[k]) filter[k] = String(req.body[k]);
+    }
+    if (req.body.book) filter.book = toBookId(req.body.book);
+    if (req.body.promptVersion != null) filter.promptVersion = Number(req.body.promptVersion);
+    if (!Object.keys(filter).length && req.body.all !== true) {
+      return res.status(400).json({ error: 'Give at least one filter, or all: true to clear everything' });
+    }
+    const deleted = await aiCache.purge(filter);
+    console.log('🧹 AI cache purged by', req.user.uid, filter, deleted);
+    res.json({ filter, deleted });
+  } catch (err) {
+    if (err instanceof PassageError) return res.status(err.status).json({ error: err.message, code: err.code });
+    console.error('Error in /api/admin/cache/purge:', err);
+    res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+// 🔟.8️⃣ Admin: prompt templates — list, preview (rendered, nothing sent to
+// the model) and reload from disk after an edit
+app.get('/api/admin/prompts', requireAdmin, (_req, res) => {
+  res.json({ dir: prompts.dir, pinned: prompts.pinned, prompts: describePrompts(prompts) });
+});
+
+// Body: { feature, version?, lang, tone, level, text? (proofread), book, startChapter, … }
+const PREVIEW_BUILDERS = {
+  commentary: body => commentaryRequest(body),
+  devotion:   body => passageDevotionRequest(body),
+  prayer:     body => prayerRequest(body),
+  'sermon-outline': body => sermonOutlineRequest(body, pickTranslation(body)),
+  'study-guide':    body => studyGuideRequest(body, pickTranslation(body)),
+  'passage-chat':   body => passageChatRequest(body, [], body.text || ''),
+  revise:     body => revisionRequest(body, Object.hasOwn(STUDY_SECTIONS, body.section) ? body.section : 'commentary',
+    body.previous || '', body.instruction || body.text || ''),
+  proofread:  body => renderPrompt(selectPrompt(prompts, 'proofread', { lang: body.lang || 'af', version: body.promptVersion }), { text: body.text || '' })
+};
+
+app.post('/api/admin/prompts/preview', requireAdmin, (req, res) => {
+  try {
+    const { feature, version } = req.body;
+    const build = PREVIEW_BUILDERS[feature];
+    if (!build) return res.status(400).json({ error: `feature must be one of: ${Object.keys(PREVIEW_BUILDERS).join(', ')}` });
+    if (feature !== 'proofread' && (!req.body.book || !req.body.startChapter || !req.body.startVerse)) {
+      return res.status(400).json({ error: 'Missing book, startChapter, or startVerse' });
+    }
+    const request = build({ ...req.body, promptVersion: version ?? req.body.promptVersion });
+    res.json({ ...request, model: llm.modelFor(feature) });
+  } catch (err) {
+    if (err instanceof PassageError || err instanceof PromptError || err instanceof LanguageError) {
+      return res.status(err.status).json({ error: err.message, code: err.code });
+    }
+    console.error('Error in /api/admin/prompts/preview:', err);
+    res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+app.post('/api/admin/prompts/reload', requireAdmin, async (req, res) => {
+  try {
+    prompts = await loadPrompts(PROMPTS_DIR);
+    console.log(`🔁 Prompts reloaded by ${req.user.uid}: ${prompts.templates.length} templates`);
+    res.json({ prompts: describePrompts(prompts) });
+  } catch (err) {
+    // Keep serving the templates already loaded
+    res.status(400).json({ error: err.message, code: err.code || 'PROMPT_ERROR' });
+  }
+});
+
+// 🔟.9️⃣ GET /api/usage — the caller's AI usage today and this month, against their quotas
+app.get('/api/usage', requireFirestore, requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const plan = (await subscriberPlan(uid)) || 'free';
+    const periods = periodsFor();
+    const snaps = await Promise.all(PERIODS.map(period => usageRef(uid, periods[period].id).get()));
+    const out = { plan };
+    PERIODS.forEach((period, i) => {
+      const data = snaps[i].exists ? snaps[i].data() : {};
+      const limit = quotaFor(usageQuotas, period, plan);
+      const requests = data.requests || 0;
+      out[period] = {
+        id: periods[period].id,
+        requests,
+        promptTokens: data.promptTokens || 0,
+        completionTokens: data.completionTokens || 0,
+        costUsd: Math.round((data.costUsd || 0) * 1e6) / 1e6,
+        features: data.features || {},
+        routes: data.routes || {},
+        quota: Number.isFinite(limit) ? limit : null,
+        remaining: Number.isFinite(limit) ? Math.max(0, limit - requests) : null,
+        resetsAt: periods[period].resetsAt.toISOString()
+      };
+    });
+    res.json(out);
+  } catch (err) {
+    console.error('Error in /api/usage:', err);
+    res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+// ─── 1️⃣1️⃣ Reading plans ──────────────────────────────────────────────────────────
+// Built-in plans live in readingPlans.mjs; custom plans in Firestore `plans/{id}`
+// (createdBy, public). Enrollment and progress: users/{uid}/plans/{planId}
+// { planId, startDate, completed: [day, …] }.
+
+async function loadPlan(id) {
+  if (BUILTIN_PLANS.has(id)) return BUILTIN_PLANS.get(id);
+  if (!db) return null;
+  const snap = await db.doc(`plans/${id}`).get();
+  return snap.exists ? { id: snap.id, ...snap.data() } : null;
+}
+
+async function loadEnrollment(uid, planId) {
+  const snap = await db.doc(`users/${uid}/plans/${planId}`).get();
+  return snap.exists ? snap.data() : null;
+}
+
+// Congregation-wide plans share the plan's calendar; otherwise the reader's own
+function planStartDate(plan, enrollment) {
+  return plan.startDate || enrollment.startDate;
+}
+
+function planError(res, err, where) {
+  if (err instanceof PassageError) {
+    return res.status(err.status).json({ error: err.message, code: err.code, segment: err.segment, day: err.day });
+  }
+  console.error(`Error in ${where}:`, err);
+  res.status(500).json({ error: err.message || 'Server error' });
+}
+
+// GET /api/plans — built-in plans, public custom plans, and the caller's own
+app.get('/api/plans', async (req, res) => {
+  try {
+    const plans = [...BUILTIN_PLANS.values()].map(planSummary);
+    if (db) {
+      const seen = new Set(plans.map(p => p.id));
+      const queries = [db.collection('plans').where('public', '==', true).get()];
+      if (req.user?.uid) queries.push(db.collection('plans').where('createdBy', '==', req.user.uid).get());
+      for (const snap of await Promise.all(queries)) {
+        for (const doc of snap.docs) {
+          if (seen.has(doc.id)) continue;
+          seen.add(doc.id);
+          plans.push(planSummary({ id: doc.id, ...doc.data() }));
+        }
+      }
+    }
+    res.json({ plans });
+  } catch (err) {
+    planError(res, err, 'GET /api/plans');
+  }
+});
+
+// POST /api/plans — author a custom plan: { title, description, days: ["Gen 1-3", …], startDate?, public? }
+app.post('/api/plans', requireFirestore, requireAuth, requireSubscriberDb, async (req, res) => {
+  try {
+    const plan = parsePlanDefinition(req.body, bookIndex);
+    const ref = await db.collection('plans').add({
+      ...plan,
+      public: !!req.body.public,
+      createdBy: req.user.uid,
+      createdAt: FieldValue.serverTimestamp()
+    });
+    res.status(201).json({ plan: planSummary({ id: ref.id, ...plan }) });
+  } catch (err) {
+    planError(res, err, 'POST /api/plans');
+  }
+});
+
+// GET /api/plans/:id — definition (readings per day) plus the caller's progress
+app.get('/api/plans/:id', async (req, res) => {
+  try {
+    const plan = await loadPlan(req.params.id);
+    if (!plan) return res.status(404).json({ error: 'Plan not found' });
+    const enrollment = req.user?.uid && db ? await loadEnrollment(req.user.uid, plan.id) : null;
+    const scheme = req.query.lang === 'af' ? 'af' : 'en';
+    res.json({
+      ...planSummary(plan),
+      days: plan.days.map((d, i) => ({
+        day: i + 1,
+        readings: d.readings.map(r => ({
+          ...r,
+          reference: formatReference(bookName(r.book, scheme), r.startChapter, r.startVerse, r.endChapter, r.endVerse)
+        }))
+      })),
+      enrollment: enrollment && {
+        startDate: planStartDate(plan, enrollment),
+        completed: enrollment.completed || [],
+        ...progressOf(plan, enrollment.completed)
+      }
+    });
+  } catch (err) {
+    planError(res, err, 'GET /api/plans/:id');
+  }
+});
+
+// POST /api/plans/:id/enroll — { startDate? } (ignored for congregation-wide plans)
+app.post('/api/plans/:id/enroll', requireFirestore, requireAuth, async (req, res) => {
+  try {
+    const plan = await loadPlan(req.params.id);
+    if (!plan) return res.status(404).json({ error: 'Plan not found' });
+    const startDate = req.body.startDate || formatDate(Date.now());
+    if (!parseDate(startDate)) return res.status(400).json({ error: 'startDate must be YYYY-MM-DD' });
+
+    const enrollment = { planId: plan.id, startDate, completed: [] };
+    await db.doc(`users/${req.user.uid}/plans/${plan.id}`).set({
+      ...enrollment,
+      enrolledAt: FieldValue.serverTimestamp()
+    });
+    res.status(201).json({
+      planId: plan.id,
+      startDate: planStartDate(plan, enrollment),
+      ...progressOf(plan, [])
+    });
+  } catch (err) {
+    planError(res, err, 'POST /api/plans/:id/enroll');
+  }
+});
+
+// GET /api/plans/:id/today?lang=&translation=&date=YYYY-MM-DD&day=&devotion=1
+// The day's readings as structured verses; `date` is the reader's local date
+// (defaults to today in UTC), `day` jumps to a specific plan day. devotion=1
+// adds a generated devotion for subscribers, based on the first verses up to
+// the AI passage limit; it is metered and counts against the AI quota like the
+// AI routes (3.5️⃣). Once the quota is used up the day comes without it:
+// devotion null, devotionErrorCode QUOTA_EXCEEDED.
+app.get('/api/plans/:id/today', requireFirestore, requireAuth, async (req, res) => {
+  try {
+    const plan = await loadPlan(req.params.id);
+    if (!plan) return res.status(404).json({ error: 'Plan not found' });
+    const enrollment = await loadEnrollment(req.user.uid, plan.id);
+    if (!enrollment) return res.status(404).json({ error: 'Not enrolled in this plan', code: 'NOT_ENROLLED' });
+
+    const startDate = planStartDate(plan, enrollment);
+    const date = parseDate(req.query.date) ? req.query.date : formatDate(Date.now());
+    const day = req.query.day ? parseInt(req.query.day, 10) : dayFor(startDate, date);
+    if (!Number.isInteger(day)) return res.status(400).json({ error: 'day must be a whole number' });
+    const totalDays = plan.days.length;
+    const status = day < 1 ? 'upcoming' : day > totalDays ? 'finished' : 'active';
+    const completed = enrollment.completed || [];
+    const summary = { plan: planSummary(plan), day, date: dateFor(startDate, day), status, ...progressOf(plan, completed) };
+    if (status !== 'active') return res.json({ ...summary, completed: false, readings: [] });
+
+    const t = pickTranslation(req.query);
+    const readings = plan.days[day - 1].readings.map(r => {
+      // Whole chapters are filled in here so single-chapter books (Obadiah,
+      // Jude, …) aren't read as "verse 1" by resolveSegment
+      const lastChapter = findBook(t, r.book)?.chapters.find(c => c.chapter === r.endChapter);
+      const seg = r.startVerse == null && lastChapter
+        ? { ...r, startVerse: 1, endVerse: lastChapter.verses[lastChapter.verses.length - 1].verse }
+        : r;
+      const resolved = resolveSegment({
+        ...seg,
+        bookQuery: r.book,
+        segment: formatReference(bookName(r.book), r.startChapter, r.startVerse, r.endChapter, r.endVerse)
+      }, t);
+      return {
+        ...resolved,
+        reference: formatReference(displayBookName(resolved.book, t), resolved.startChapter, resolved.startVerse, resolved.endChapter, resolved.endVerse),
+        verses: selectVerses(t, resolved.book, resolved.startChapter, resolved.startVerse, resolved.endChapter, resolved.endVerse)
+      };
+    });
+
+    const readerPlan = planOf(req);
+    const limit = limitFor(passageLimits, 'verses', readerPlan);
+    const verses = readings.reduce((n, r) => n + r.verses.length, 0);
+    if (verses > limit) return passageTooLong(res, { verses, limit, scope: 'verses', plan: readerPlan });
+
+    const result = {
+      ...summary,
+      completed: completed.includes(day),
+      translation: { id: t.id, name: t.name, language: t.language },
+      readings
+    };
+
+    if (req.query.devotion === '1' || req.query.devotion === 'true') {
+      const subPlan = await subscriberPlan(req.user.uid);
+      const periods = periodsFor();
+      const { exceeded, reserved = false } = subPlan ? await reserveRequest(req.user.uid, subPlan, periods) : {};
+      if (!subPlan) {
+        result.devotion = null;
+        result.devotionError = 'Subscription required';
+      } else if (exceeded) {
+        result.devotion = null;
+        result.devotionError = exceeded.error;
+        result.devotionErrorCode = exceeded.code;
+      } else {
+        await trackUsage(async tally => {
+          const aiLimit = limitFor(passageLimits, 'ai', subPlan);
+          const scripture = readings
+            .flatMap(r => r.verses.map(v => `${v.chapter}:${v.verse} ${v.text}`))
+            .slice(0, aiLimit)
+            .join('\n');
+          try {
+            // Everyone on a plan reads the same day, so cache per plan day
+            const request = devotionRequest(scripture, {
+              lang: t.language,
+              passageRef: readings.map(r => r.reference).join('; ')
+            });
+            const { text, promptVersion } = await cachedGeneration({
+              feature: 'plan-devotion',
+              plan: plan.id,
+              book: readings[0]?.book,
+              passage: `${plan.id}#${day}`,
+              translation: t.id,
+              promptVersion: request.promptVersion,
+              model: llm.modelFor('devotion'),
+              lang: t.language
+            }, false, () => completeText(request, { lang: t.language }));
+            result.devotion = text;
+            result.devotionPromptVersion = promptVersion;
+            result.devotionCitations = citationReport(text, t, {
+              context: readings[0] && { bookId: readings[0].book, chapter: readings[0].startChapter }
+            });
+          } catch (e) {
+            console.error('Plan devotion failed:', e);
+            result.devotion = null;
+            result.devotionError = e.message || 'Devotion failed';
+          }
+          meterUsage({ uid: req.user.uid, periods, tally, route: 'plans-devotion', reserved }, result.devotion != null);
+        });
+      }
+    }
+    res.json(result);
+  } catch (err) {
+    planError(res, err, 'GET /api/plans/:id/today');
+  }
+});
+
+// POST /api/plans/:id/complete — { day?, date?, done = true }; day defaults to today's
+app.post('/api/plans/:id/complete', requireFirestore, requireAuth, async (req, res) => {
+  try {
+    const plan = await loadPlan(req.params.id);
+    if (!plan) return res.status(404).json({ error: 'Plan not found' });
+    const enrollment = await loadEnrollment(req.user.uid, plan.id);
+    if (!enrollment) return res.status(404).json({ error: 'Not enrolled in this plan', code: 'NOT_ENROLLED' });
+
+    const date = parseDate(req.body.date) ? req.body.date : formatDate(Date.now());
+    const day = req.body.day ? parseInt(req.body.day, 10) : dayFor(planStartDate(plan, enrollment), date);
+    if (!(day >= 1 && day <= plan.days.length)) {
+      return res.status(400).json({ error: `Day must be between 1 and ${plan.days.length}` });
+    }
+    const done = req.body.done !== false;
+
+    await db.doc(`users/${req.user.uid}/plans/${plan.id}`).update({
+      completed: done ? FieldValue.arrayUnion(day) : FieldValue.arrayRemove(day),
+      updatedAt: FieldValue.serverTimestamp()
+    });
+    const completed = new Set(enrollment.completed || []);
+    done ? completed.add(day) : completed.delete(day);
+    res.json({ planId: plan.id, day, done, ...progressOf(plan, [...completed]) });
+  } catch (err) {
+    planError(res, err, 'POST /api/plans/:id/complete');
+  }
+});
+
+// ─── 1️⃣2️⃣ Generation jobs: long runs in short steps, driven by polling ──────────
+// Large passages can outlast a serverless function's timeout, and nothing runs
+// once a function has responded, so a job advances only inside its own polls:
+// POST /api/jobs stores it and answers 202 with its id, and each
+// GET /api/jobs/:id takes at most one step — one model call: a section's draft,
+// or its proofread for languages that have one — before answering with the
+// status. State lives in Firestore `jobs/{id}`:
+//   { uid, kind, status: queued | running | done | error, input,
+//     sections: { <section>: { state: pending | draft | done | error, attempts,
+//                              draft?, text?, cached?, promptVersion?, error? } },
+//     leaseUntil, result?, error?: { message, code }, createdAt, updatedAt, finishedAt? }
+// `result` is what the matching route returns (study: the non-streamed pack).
+// A poll takes a step only while no other poll holds the lease; a step whose
+// instance was stopped is retried once JOB_STEP_LEASE_SECONDS have passed, and
+// a section is given up after JOB_STEP_ATTEMPTS tries.
+
+const JOB_KINDS = ['commentary', 'devotion', 'prayer', 'study'];
+const JOB_INPUT_FIELDS = [
+  'book', 'startChapter', 'startVerse', 'endChapter', 'endVerse', 'translation',
+  'lang', 'tone', 'level', 'crossRefs', 'audience', 'links', 'regenerate', 'promptVersion', 'ministryProfile'
+];
+const JOB_STEP_LEASE_MS = (Number(process.env.JOB_STEP_LEASE_SECONDS) || 300) * 1000;
+const JOB_STEP_ATTEMPTS = 3;
+
+function jobRef(id) {
+  return db.collection('jobs').doc(id);
+}
+
+function jobJson(id, job) {
+  const at = v => v?.toDate?.() ?? v ?? null;
+  const out = {
+    id,
+    kind: job.kind,
+    status: job.status,
+    createdAt: at(job.createdAt),
+    updatedAt: at(job.updatedAt),
+    finishedAt: at(job.finishedAt)
+  };
+  if (job.status === 'done') out.result = job.result;
+  if (job.status === 'error') out.error = job.error;
+  return out;
+}
+
+// Sections a job generates, in order (a study pack: every STUDY_SECTIONS entry)
+function jobSections(kind) {
+  return kind === 'study' ? Object.keys(STUDY_SECTIONS) : [kind];
+}
+
+// The job's next step { section, stage: 'draft' | 'proofread' }, null once every section is settled
+function nextJobStep({ kind, sections }) {
+  for (const section of jobSections(kind)) {
+    const { state } = sections[section];
+    if (state === 'pending') return { section, stage: 'draft' };
+    if (state === 'draft') return { section, stage: 'proofread' };
+  }
+  return null;
+}
+
+// Claims the next step of `uid`'s job for the calling poll: { job, step? }.
+// `job` is null when there is no such job; there is no step when the job is
+// finished or another poll holds the lease.
+function claimJobStep(ref, uid) {
+  return db.runTransaction(async tx => {
+    const snap = await tx.get(ref);
+    if (!snap.exists || snap.data().uid !== uid) return { job: null };
+    const job = snap.data();
+    const leaseUntil = job.leaseUntil?.toDate?.() ?? job.leaseUntil;
+    const step = (job.status === 'queued' || job.status === 'running') && nextJobStep(job);
+    if (!step || (leaseUntil && leaseUntil > Date.now())) return { job };
+
+    const section = job.sections[step.section];
+    const attempts = (section.attempts || 0) + 1;
+    job.sections = { ...job.sections, [step.section]: { ...section, attempts } };
+    tx.update(ref, {
+      status: 'running',
+      sections: job.sections,
+      leaseUntil: new Date(Date.now() + JOB_STEP_LEASE_MS),
+      updatedAt: FieldValue.serverTimestamp()
+    });
+    return { job, step: { ...step, exhausted: attempts > JOB_STEP_ATTEMPTS } };
+  });
+}
+
+// One step of a job section (`state`, updated in place): its draft, or the
+// cached text; then the proofread of the draft where the language has one
+async function advanceJobSection(state, section, stage, input) {
+  const { build, keepLine } = STUDY_SECTIONS[section];
+  const request = build(input);
+  const fields = aiCacheFields(request, input, pickTranslation(input));
+  state.promptVersion = request.promptVersion;
+  if (stage === 'proofread') {
+    state.text = await proofreadText(state.draft, input.lang);
+  } else {
+    const hit = !input.regenerate && await aiCache.get(fields);
+    if (hit) return Object.assign(state, { state: 'done', text: hit.text, cached: true });
+    const draft = await draftText(request, { keepLine });
+    if (draft && resolveLanguage(languages, input.lang).proofread) {
+      return Object.assign(state, { state: 'draft', draft });
+    }
+    state.text = draft;
+  }
+  Object.assign(state, { state: 'done', draft: null, cached: false });
+  if (state.text) {
+    aiCache.set(fields, state.text).catch(e => console.warn('aiCache write failed:', e.message));
+  }
+}
+
+// How a job whose sections are all settled ends: { status: 'done', result }
+// (a study pack is saved to the history) or { status: 'error', error } when
+// every section failed
+async function jobOutcome({ uid, kind, input }, sections) {
+  const translation = pickTranslation(input);
+  const names = jobSections(kind);
+  const failed = names.map(name => sections[name]).filter(s => s.state !== 'done');
+  if (failed.length === names.length) {
+    return { status: 'error', error: { message: failed[0].error, code: failed[0].code || 'JOB_FAILED' } };
+  }
+
+  const settled = Object.fromEntries(names.map(name => {
+    const { state, text, cached, promptVersion, error } = sections[name];
+    return [name, state === 'done'
+      ? { ok: true, text, cached, promptVersion, citations: citationReport(text, translation, { context: passageContext(input), links: input.links }) }
+      : { ok: false, error }];
+  }));
+  if (kind !== 'study') {
+    const { text, cached, promptVersion, citations } = settled[kind];
+    return { status: 'done', result: { [kind]: text, cached, promptVersion, citations } };
+  }
+  const study = studyPassage(input);
+  const studyId = await saveStudy(uid, input, study, settled);
+  return { status: 'done', result: { passage: study.passage, sections: settled, studyId } };
+}
+
+// Runs a claimed step and records it, finishing the job after its last
+// section. The step's model calls are metered; the job counts against the
+// quota once: the request reserved when it was posted (`reservedIn`, its
+// periods) is kept when the job is done and given back when it fails.
+// Without a reservation it counts with the step that completes it.
+async function runJobStep(ref, job, { section, stage, exhausted }) {
+  const { uid, kind, input } = job;
+  const state = { ...job.sections[section] };
+  await trackUsage(async tally => {
+    if (exhausted) {
+      Object.assign(state, { state: 'error', error: 'Generation did not finish; please try again.', code: 'JOB_INTERRUPTED' });
+    } else {
+      try {
+        await advanceJobSection(state, section, stage, input);
+      } catch (err) {
+        console.error(`Job ${ref.id} (${kind}) ${section} failed:`, err);
+        Object.assign(state, { state: 'error', error: err.message || 'Generation failed', code: err.code || 'JOB_FAILED' });
+      }
+    }
+
+    const sections = { ...job.sections, [section]: state };
+    const update = { sections, leaseUntil: null, updatedAt: FieldValue.serverTimestamp() };
+    try {
+      if (!nextJobStep({ kind, sections })) {
+        Object.assign(update, await jobOutcome(job, sections), { finishedAt: FieldValue.serverTimestamp() });
+      }
+      await ref.update(update);
+    } finally {
+      // Until the last step there is nothing to count or give back
+      const reserved = !!job.reservedIn && !!update.status;
+      meterUsage({ uid, periods: job.reservedIn || periodsFor(), tally, route: `jobs-${kind}`, reserved }, update.status === 'done');
+    }
+  });
+}
+
+// POST /api/jobs — body: { kind, …the fields the matching route takes }
+app.post('/api/jobs', requireFirestore, requireAuth, requireSubscriberDb, requireLanguage, applyMinistryProfile, enforcePassageLimit('ai'), enforceQuota, async (req, res) => {
+  try {
+    const { kind, book, startChapter, startVerse } = req.body;
+    if (!JOB_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `kind must be one of: ${JOB_KINDS.join(', ')}` });
+    }
+    if (!book || !startChapter || !startVerse) {
+      return res.status(400).json({ error: 'Missing required parameters' });
+    }
+    const input = Object.fromEntries(JOB_INPUT_FIELDS
+      .filter(f => req.body[f] !== undefined)
+      .map(f => [f, req.body[f]]));
+    if (kind === 'study' && !studyPassage(input)) {
+      return res.status(404).json({ error: 'No verses found' });
+    }
+
+    const ref = db.collection('jobs').doc();
+    const usage = res.locals.usage;
+    await ref.set({
+      uid: req.user.uid,
+      kind,
+      status: 'queued',
+      input,
+      sections: Object.fromEntries(jobSections(kind).map(s => [s, { state: 'pending', attempts: 0 }])),
+      leaseUntil: null,
+      reservedIn: usage?.reserved
+        ? Object.fromEntries(PERIODS.map(period => [period, { id: usage.periods[period].id }]))
+        : null,
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp()
+    });
+
+    if (usage) usage.deferred = true; // metered by the steps
+    res.status(202).location(`/api/jobs/${ref.id}`).json({ id: ref.id, kind, status: 'queued' });
+  } catch (err) {
+    if (err instanceof PassageError) return res.status(err.status).json({ error: err.message, code: err.code });
+    console.error('Error in POST /api/jobs:', err);
+    res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+// GET /api/jobs/:id — takes the job's next step (if no other poll is), then
+// answers with its status, plus `result` once done or `error` once failed
+app.get('/api/jobs/:id', requireFirestore, requireAuth, async (req, res) => {
+  try {
+    const ref = jobRef(req.params.id);
+    const { job, step } = await claimJobStep(ref, req.user.uid);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    if (!step) return res.json(jobJson(ref.id, job));
+    await runJobStep(ref, job, step);
+    res.json(jobJson(ref.id, (await ref.get()).data()));
+  } catch (err) {
+    console.error('Error in GET /api/jobs/:id:', err);
+    res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+// ─── 1️⃣3️⃣ Saved studies: every generated study pack, per user ──────────────────
+// users/{uid}/studies/{id}:
+//   { reference, book, startChapter, startVerse, endChapter, endVerse, translation,
+//     lang, tone, level, crossRefs, verses: [{ chapter, verse, text }],
+//     commentary, devotion, prayer (null for a section that failed), createdAt,
+//     versions?: { <section>: [{ text, instruction, createdAt }] },  ← once revised (1️⃣4️⃣)
+//     current?: { <section>: index into versions } }
+// The section fields always hold the current version's text.
+// Firestore has no text search, so ?q= filters the caller's STUDIES_SEARCH_SCAN
+// most recent studies by book (any name or abbreviation), reference and text.
+
+const STUDIES_PAGE = 20;
+const STUDIES_MAX_PAGE = 100;
+const STUDIES_SEARCH_SCAN = 300;
+
+function studiesRef(uid) {
+  return db.collection(`users/${uid}/studies`);
+}
+
+// Saves a study pack (🔟.6️⃣) to the history; resolves with its id, or null
+// when no section was generated or the write failed
+async function saveStudy(uid, body, { passage, translation }, sections) {
+  if (!db || !Object.values(sections).some(s => s.ok)) return null;
+  try {
+    const ref = await studiesRef(uid).add({
+      reference: passage.reference,
+      book: toBookId(body.book),
+      startChapter: Number(body.startChapter),
+      startVerse: Number(body.startVerse),
+      endChapter: Number(body.endChapter || body.startChapter),
+      endVerse: Number(body.endVerse || body.startVerse),
+      translation: translation.id,
+      lang: resolveLanguage(languages, body.lang).code,
+      tone: body.tone || null,
+      level: body.level || null,
+      crossRefs: !!body.crossRefs,
+      verses: passage.verses,
+      ...Object.fromEntries(Object.keys(STUDY_SECTIONS).map(section =>
+        [section, sections[section]?.ok ? sections[section].text : null])),
+      createdAt: FieldValue.serverTimestamp()
+    });
+    return ref.id;
+  } catch (e) {
+    console.warn('Saving study failed:', e.message);
+    return null;
+  }
+}
+
+// A section's versions, oldest (the generated original) first
+function sectionVersions(s, section) {
+  if (s.versions?.[section]) return s.versions[section];
+  return s[section] == null ? [] : [{ text: s[section], instruction: null, createdAt: s.createdAt }];
+}
+
+function versionsJson(versions, cite) {
+  return versions.map(v => ({
+    text: v.text,
+    instruction: v.instruction ?? null,
+    createdAt: v.createdAt?.toDate?.() ?? v.createdAt,
+    citations: cite(v.text)
+  }));
+}
+
+function studySummary(id, s) {
+  return {
+    id,
+    reference: s.reference,
+    book: s.book,
+    translation: s.translation,
+    lang: s.lang,
+    tone: s.tone,
+    level: s.level,
+    createdAt: s.createdAt?.toDate?.() ?? s.createdAt,
+    excerpt: (s.commentary || s.devotion || s.prayer || '').slice(0, 160)
+  };
+}
+
+// The saved study shaped like the study pack it came from, so clients can show
+// it the same way; citations are checked afresh (`links` as in 🔟.6️⃣)
+function studyJson(id, s, { links = false } = {}) {
+  const t = translations.get(s.translation) || pickTranslation({ lang: s.lang });
+  const { excerpt, ...summary } = studySummary(id, s);
+  return {
+    ...summary,
+    startChapter: s.startChapter,
+    startVerse: s.startVerse,
+    endChapter: s.endChapter,
+    endVerse: s.endVerse,
+    crossRefs: s.crossRefs,
+    passage: {
+      reference: s.reference,
+      translation: { id: t.id, name: t.name, language: t.language },
+      verses: s.verses || []
+    },
+    sections: Object.fromEntries(Object.keys(STUDY_SECTIONS).map(section => {
+      if (s[section] == null) return [section, { ok: false, error: 'Not generated' }];
+      const cite = text => citationReport(text, t, { context: passageContext(s), links });
+      const versions = sectionVersions(s, section);
+      return [section, {
+        ok: true,
+        text: s[section],
+        citations: cite(s[section]),
+        version: s.current?.[section] ?? versions.length - 1,
+        versions: versionsJson(versions, cite)
+      }];
+    }))
+  };
+}
+
+function studyMatches(s, query, bookId) {
+  if (bookId && s.book === bookId) return true;
+  return [s.reference, ...Object.keys(STUDY_SECTIONS).map(section => s[section])]
+    .some(text => text && text.toLowerCase().includes(query));
+}
+
+// GET /api/studies?q=&limit=&before= — newest first; pass `next` back as
+// `before` for the following page (null when there is none)
+app.get('/api/studies', requireFirestore, requireAuth, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || STUDIES_PAGE, 1), STUDIES_MAX_PAGE);
+    const q = String(req.query.q || '').trim().toLowerCase();
+    let query = studiesRef(req.user.uid).orderBy('createdAt', 'desc');
+    if (req.query.before) {
+      const before = new Date(req.query.before);
+      if (Number.isNaN(before.getTime())) return res.status(400).json({ error: 'before must be a date' });
+      query = query.where('createdAt', '<', before);
+    }
+
+    const snap = await query.limit(q ? STUDIES_SEARCH_SCAN : limit + 1).get();
+    let docs = snap.docs;
+    if (q) {
+      let bookId = null;
+      try { bookId = resolveBook(bookIndex, q); } catch { /* not a book name */ }
+      docs = docs.filter(d => studyMatches(d.data(), q, bookId));
+    }
+    const studies = docs.slice(0, limit).map(d => studySummary(d.id, d.data()));
+
+    let next = null;
+    if (docs.length > limit) next = studies.at(-1).createdAt;
+    else if (q && snap.size === STUDIES_SEARCH_SCAN) next = studySummary(null, snap.docs.at(-1).data()).createdAt;
+    res.json({ studies, next });
+  } catch (err) {
+    console.error('Error in GET /api/studies:', err);
+    res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+// GET /api/studies/:id?links=1
+app.get('/api/studies/:id', requireFirestore, requireAuth, async (req, res) => {
+  try {
+    const snap = await studiesRef(req.user.uid).doc(req.params.id).get();
+    if (!snap.exists) return res.status(404).json({ error: 'Study not found' });
+    res.json(studyJson(snap.id, snap.data(), { links: req.query.links === '1' || req.query.links === 'true' }));
+  } catch (err) {
+    console.error('Error in GET /api/studies/:id:', err);
+    res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+// PUT /api/studies/:id/sections/:section — { version }: switch the section back
+// (or forward) to one of its saved versions
+app.put('/api/studies/:id/sections/:section', requireFirestore, requireAuth, async (req, res) => {
+  try {
+    const { section } = req.params;
+    if (!Object.hasOwn(STUDY_SECTIONS, section)) return res.status(404).json({ error: 'Unknown section' });
+    const ref = studiesRef(req.user.uid).doc(req.params.id);
+    const snap = await ref.get();
+    if (!snap.exists) return res.status(404).json({ error: 'Study not found' });
+    const versions = sectionVersions(snap.data(), section);
+    const version = Number(req.body.version);
+    if (!Number.isInteger(version) || !versions[version]) {
+      return res.status(400).json({ error: `version must be 0-${versions.length - 1}` });
+    }
+    await ref.update({
+      [section]: versions[version].text,
+      [`current.${section}`]: version,
+      updatedAt: FieldValue.serverTimestamp()
+    });
+    res.json({ ok: true, section, version });
+  } catch (err) {
+    console.error('Error in PUT /api/studies/:id/sections/:section:', err);
+    res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+// DELETE /api/studies/:id
+app.delete('/api/studies/:id', requireFirestore, requireAuth, async (req, res) => {
+  try {
+    const ref = studiesRef(req.user.uid).doc(req.params.id);
+    if (!(await ref.get()).exists) return res.status(404).json({ error: 'Study not found' });
+    await ref.delete();
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Error in DELETE /api/studies/:id:', err);
+    res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+// ─── 1️⃣4️⃣ Section revisions: rewrite one section to an instruction ──────────────
+// POST /api/revise — { section: commentary | devotion | prayer, instruction } and either
+//   studyId    a saved study (1️⃣3️⃣): its current text is revised and the new
+//              version kept on the study beside the earlier ones, or
+//   previous   the text to revise, with the passage fields the section's route
+//              takes; nothing is stored and the client keeps the versions
+// → { section, text, citations, instruction, studyId?, version?, versions? }
+// The model sees the section's own prompt, the text it wrote and then the
+// instruction (prompts/revise), so the section's rules still hold; the new text
+// is cleaned up and proofread like a first draft.
+
+const REVISE_MAX_INSTRUCTION = 300;   // characters
+const REVISE_MAX_PREVIOUS = 20000;    // characters
+const REVISE_MAX_VERSIONS = 10;       // per section, the original included
+
+function revisionRequest(body, section, previous, instruction) {
+  const t = pickTranslation(body);
+  const scripture = requestScripture(body, t);
+  const request = STUDY_SECTIONS[section].build(body, scripture);
+  const revise = buildPrompt('revise', { ...passageVars(body, t, scripture), text: instruction }, { lang: body.lang });
+  return {
+    ...request,
+    messages: [...request.messages, { role: 'assistant', content: previous }, revise.messages.at(-1)],
+    temperature: revise.temperature ?? request.temperature,
+    max_tokens: revise.max_tokens ?? request.max_tokens
+  };
+}
+
+app.post('/api/revise', requireAuth, requireSubscriberDb, requireLanguage, applyMinistryProfile, enforcePassageLimit('ai'), enforceQuota, async (req, res) => {
+  try {
+    const { section, studyId } = req.body;
+    const instruction = String(req.body.instruction || '').trim();
+    if (!Object.hasOwn(STUDY_SECTIONS, section)) {
+      return res.status(400).json({ error: `section must be one of: ${Object.keys(STUDY_SECTIONS).join(', ')}` });
+    }
+    if (!instruction) return res.status(400).json({ error: 'Missing instruction' });
+    if (instruction.length > REVISE_MAX_INSTRUCTION) {
+      return res.status(400).json({ error: `Instructions are limited to ${REVISE_MAX_INSTRUCTION} characters` });
+    }
+
+    let body = req.body;
+    let previous, ref = null, study = null;
+    if (studyId) {
+      if (!db) return res.status(503).json({ error: 'Saved studies need Firestore, which is not configured on this server' });
+      ref = studiesRef(req.user.uid).doc(String(studyId));
+      const snap = await ref.get();
+      if (!snap.exists) return res.status(404).json({ error: 'Study not found' });
+      study = snap.data();
+      if (study[section] == null) return res.status(409).json({ error: `This study has no ${section} to revise` });
+      body = { ...study, links: req.body.links, ministryProfile: req.body.ministryProfile };
+      previous = study[section];
+    } else {
+      if (!body.book || !body.startChapter || !body.startVerse) {
+        return res.status(400).json({ error: 'Missing required parameters' });
+      }
+      previous = String(body.previous || '').trim();
+      if (!previous) return res.status(400).json({ error: 'Missing previous text' });
+      if (previous.length > REVISE_MAX_PREVIOUS) {
+        return res.status(400).json({ error: `The previous text is limited to ${REVISE_MAX_PREVIOUS} characters` });
+      }
+    }
+
+    const request = revisionRequest(body, section, previous, instruction);
+    const text = await completeText(request, { lang: body.lang, keepLine: STUDY_SECTIONS[section].keepLine });
+    if (!text) return res.status(502).json({ error: 'The model returned no text' });
+
+    const t = pickTranslation(body);
+    const cite = s => citationReport(s, t, { context: passageContext(body), links: body.links });
+    const out = { section, text, citations: cite(text), instruction };
+    if (ref) {
+      const versions = sectionVersions(study, section);
+      versions.push({ text, instruction, createdAt: new Date() });
+      versions.splice(1, Math.max(0, versions.length - REVISE_MAX_VERSIONS)); // the original stays
+      await ref.update({
+        [section]: text,
+        [`versions.${section}`]: versions,
+        [`current.${section}`]: versions.length - 1,
+        updatedAt: FieldValue.serverTimestamp()
+      });
+      Object.assign(out, { studyId: ref.id, version: versions.length - 1, versions: versionsJson(versions, cite) });
+    }
+    res.json(out);
+  } catch (err) {
+    if (err instanceof PassageError || err instanceof PromptError) {
+      return res.status(err.status).json({ error: err.message, code: err.code });
+    }
+    console.error('Error in /api/revise:', err);
+    res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
 // ─── Global error handler ───────────────────────────────────────────────────────
 app.use((err, req, res, next) => {
   console.error('Unhandled error:', err);
@@ -0,0 +1,121 @@
+// studyGuide.mjs
+// Checks and normalizes the JSON small-group guide the model returns
+// (prompts/study-guide):
+//
+//   { title, icebreaker,
+//     observation | interpretation | application: [{ question, answer }],   2–4 each
+//     leaderNotes, closingPrayer }
+//
+// `answer` is the suggested answer for the leader; the question sets are what
+// the group sees. Afrikaans guides are proofread as their text fields only
+// (mapText), so the JSON structure never passes through the proofreader.
+
+export const QUESTION_SETS = ['observation', 'interpretation', 'application'];
+const MIN_QUESTIONS = 2;
+const MAX_QUESTIONS = 4;
+
+// Parallel calls at most when mapText falls back to one call per field
+const FIELD_CONCURRENCY = 4;
+
+export class StudyGuideError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StudyGuideError';
+    this.status = 502;
+    this.code = 'INVALID_STUDY_GUIDE';
+  }
+}
+
+const str = v => (typeof v === 'string' ? v.trim() : '');
+
+/**
+ * Parses raw model output. Returns { guide, warnings }; throws StudyGuideError
+ * when the JSON, the title or a question set is missing.
+ */
+export function parseStudyGuide(raw) {
+  let data;
+  try {
+    data = JSON.parse(String(raw).replace(/^```(?:json)?\s*|\s*```$/g, ''));
+  } catch {
+    throw new StudyGuideError('The study guide was not valid JSON');
+  }
+
+  const warnings = [];
+  const guide = {
+    title: str(data.title),
+    icebreaker: str(data.icebreaker)
+  };
+  if (!guide.title) throw new StudyGuideError('The study guide has no title');
+
+  for (const set of QUESTION_SETS) {
+    const questions = (Array.isArray(data[set]) ? data[set] : [])
+      .map(q => (typeof q === 'string' ? { question: q } : q))
+      .map(q => ({ question: str(q?.question), answer: str(q?.answer) }))
+      .filter(q => q.question);
+    if (!questions.length) throw new StudyGuideError(`The study guide has no ${set} questions`);
+    if (questions.length < MIN_QUESTIONS) {
+      warnings.push(`Only ${questions.length} ${set} question (${MIN_QUESTIONS}–${MAX_QUESTIONS} expected)`);
+    }
+    if (questions.length > MAX_QUESTIONS) {
+      warnings.push(`Only the first ${MAX_QUESTIONS} of ${questions.length} ${set} questions were kept`);
+    }
+    guide[set] = questions.slice(0, MAX_QUESTIONS);
+    if (guide[set].some(q => !q.answer)) warnings.push(`Some ${set} questions have no suggested answer`);
+  }
+
+  guide.leaderNotes = str(data.leaderNotes);
+  guide.closingPrayer = str(data.closingPrayer);
+  if (!guide.icebreaker) warnings.push('The study guide has no icebreaker');
+  if (!guide.closingPrayer) warnings.push('The study guide has no closing prayer prompt');
+  return { guide, warnings };
+}
+
+// The guide's non-empty text fields, in order, as [{ text, set(value) }] on `guide`
+function textFields(guide) {
+  const fields = [];
+  const add = (obj, key) => {
+    if (obj[key]) fields.push({ text: obj[key], set: value => { obj[key] = value; } });
+  };
+  ['title', 'icebreaker'].forEach(key => add(guide, key));
+  for (const set of QUESTION_SETS) {
+    guide[set].forEach(q => { add(q, 'question'); add(q, 'answer'); });
+  }
+  ['leaderNotes', 'closingPrayer'].forEach(key => add(guide, key));
+  return fields;
+}
+
+// `count` texts back from one joined "[[n]]" text, or null when its markers
+// did not all come back in order
+function splitJoined(text, count) {
+  const parts = String(text).split(/^\[\[(\d+)\]\][ \t]*$/m);
+  if (parts.length !== 1 + 2 * count || parts[0].trim()) return null;
+  const texts = [];
+  for (let i = 0; i < count; i++) {
+    if (Number(parts[1 + 2 * i]) !== i + 1) return null;
+    texts.push(parts[2 + 2 * i].trim());
+  }
+  return texts;
+}
+
+/**
+ * Same guide with every non-empty text field passed through `fn(text)`
+ * (async) in a single call: the fields are joined into one text, each after
+ * a "[[n]]" line, and split apart again. Should the markers not survive, the
+ * fields go through `fn` one by one instead, FIELD_CONCURRENCY at a time.
+ */
+export async function mapText(guide, fn) {
+  const result = structuredClone(guide);
+  const fields = textFields(result);
+  if (!fields.length) return result;
+
+  const joined = fields.map((f, i) => `[[${i + 1}]]\n${f.text}`).join('\n\n');
+  let texts = splitJoined(await fn(joined), fields.length);
+  if (!texts) {
+    texts = [];
+    for (let i = 0; i < fields.length; i += FIELD_CONCURRENCY) {
+      texts.push(...await Promise.all(fields.slice(i, i + FIELD_CONCURRENCY).map(f => fn(f.text))));
+    }
+  }
+  fields.forEach((f, i) => f.set(texts[i] || f.text));
+  return result;
+}
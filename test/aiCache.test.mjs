@@ -0,0 +1,93 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import NodeCache from 'node-cache';
+import { passageId, cacheKey, createAiCache } from '../aiCache.mjs';
+
+// Just enough of Firestore for the cache: one collection of documents
+function fakeDb() {
+  const docs = new Map();
+  const query = (filters = []) => ({
+    where: (field, _op, value) => query([...filters, [field, value]]),
+    limit: n => ({
+      async get() {
+        const found = [...docs].filter(([, d]) => filters.every(([f, v]) => d[f] === v)).slice(0, n)
+          .map(([id]) => ({ ref: id }));
+        return { empty: !found.length, size: found.length, docs: found };
+      }
+    })
+  });
+  return {
+    docs,
+    collection: () => ({
+      ...query(),
+      doc: id => ({
+        get: async () => ({ exists: docs.has(id), data: () => docs.get(id) }),
+        set: async data => { docs.set(id, data); }
+      })
+    }),
+    batch: () => {
+      const ids = [];
+      return { delete: id => ids.push(id), commit: async () => ids.forEach(id => docs.delete(id)) };
+    }
+  };
+}
+
+const fields = { feature: 'commentary', passage: passageId('John', 3, 16, 3, 18), translation: 'kjv', promptVersion: 1, lang: 'en' };
+
+test('passageId writes an OSIS range', () => {
+  assert.equal(passageId('John', 3, 16, 4, 2), 'John.3.16-John.4.2');
+});
+
+test('cacheKey ignores field order, case and unset fields', () => {
+  const key = cacheKey(fields);
+  assert.match(key, /^[0-9a-f]{64}$/);
+  assert.equal(cacheKey({ lang: 'EN', translation: 'KJV', promptVersion: 1, passage: 'john.3.16-john.3.18', feature: 'Commentary' }), key);
+  assert.equal(cacheKey({ ...fields, tone: undefined, level: null, audience: '' }), key);
+  assert.notEqual(cacheKey({ ...fields, tone: 'pastoral' }), key);
+  assert.notEqual(cacheKey({ ...fields, promptVersion: 2 }), key);
+});
+
+test('entries are found again in memory and in Firestore', async () => {
+  const db = fakeDb();
+  const cache = createAiCache({ memory: new NodeCache(), db });
+  assert.equal(await cache.get(fields), null);
+  await cache.set({ ...fields, tone: undefined, book: 'John' }, 'For God so loved');
+
+  const [stored] = db.docs.values();
+  assert.equal(stored.book, 'john');
+  assert.ok(!('tone' in stored));
+  assert.equal((await cache.get({ ...fields, book: 'JOHN' })).text, 'For God so loved');
+
+  // Another instance (cold memory) reads it from Firestore
+  const other = createAiCache({ memory: new NodeCache(), db });
+  assert.equal((await other.get({ ...fields, book: 'John' })).text, 'For God so loved');
+});
+
+test('expired Firestore entries are misses', async () => {
+  const db = fakeDb();
+  db.docs.set(cacheKey(fields), { text: 'old', expiresAt: { toMillis: () => Date.now() - 1 } });
+  assert.equal(await createAiCache({ memory: new NodeCache(), db }).get(fields), null);
+});
+
+test('purge matches stored fields case-insensitively', async () => {
+  const db = fakeDb();
+  const memory = new NodeCache();
+  memory.set('other', 'kept');
+  const cache = createAiCache({ memory, db });
+  await cache.set({ ...fields, book: 'John' }, 'a');
+  await cache.set({ ...fields, book: 'John', feature: 'prayer' }, 'b');
+  await cache.set({ ...fields, book: 'Rom', passage: passageId('Rom', 8, 1, 8, 1) }, 'c');
+
+  assert.deepEqual(await cache.purge({ book: 'JOHN', feature: 'Prayer' }), { memory: 1, firestore: 1 });
+  assert.deepEqual(await cache.purge({ book: 'john' }), { memory: 1, firestore: 1 });
+  assert.deepEqual(await cache.purge(), { memory: 1, firestore: 1 });
+  assert.equal(memory.get('other'), 'kept');
+});
+
+test('without Firestore the cache lives in memory only', async () => {
+  const cache = createAiCache({ memory: new NodeCache(), db: null });
+  await cache.set(fields, 'text');
+  assert.equal((await cache.get(fields)).text, 'text');
+  assert.deepEqual(await cache.purge({ lang: 'en' }), { memory: 1, firestore: 0 });
+  assert.equal(await cache.get(fields), null);
+});
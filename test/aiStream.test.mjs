@@ -0,0 +1,77 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { openEventStream, textDeltas, filterLines, paragraphs, proofreadPipeline } from '../aiStream.mjs';
+
+async function* from(items) {
+  for (const item of items) {
+    await null;
+    yield item;
+  }
+}
+const collect = async iterable => {
+  const out = [];
+  for await (const item of iterable) out.push(item);
+  return out;
+};
+
+test('openEventStream writes SSE events', () => {
+  const res = {
+    written: [],
+    status(code) { this.code = code; return this; },
+    set(headers) { this.headers = headers; return this; },
+    flushHeaders() { this.flushed = true; },
+    write(chunk) { this.written.push(chunk); }
+  };
+  const send = openEventStream(res);
+  send('delta', { text: 'In' });
+  assert.equal(res.code, 200);
+  assert.equal(res.headers['Content-Type'], 'text/event-stream; charset=utf-8');
+  assert.ok(res.flushed);
+  assert.deepEqual(res.written, ['event: delta\ndata: {"text":"In"}\n\n']);
+});
+
+test('textDeltas keeps the content of chat completion chunks', async () => {
+  const chunks = [
+    { choices: [{ delta: { role: 'assistant' } }] },
+    { choices: [{ delta: { content: 'In' } }] },
+    { choices: [] },
+    { choices: [{ delta: { content: ' the beginning' } }] }
+  ];
+  assert.deepEqual(await collect(textDeltas(from(chunks))), ['In', ' the beginning']);
+});
+
+test('filterLines drops unwanted lines and the blank lines they leave', async () => {
+  const keep = line => !line.startsWith('Here is');
+  const out = await collect(filterLines(from(['Here is a pr', 'ayer:\n', '\nLord, ', 'hear us.\nAm', 'en']), keep));
+  assert.deepEqual(out, ['Lord, hear us.\n', 'Amen']);
+  assert.deepEqual(await collect(filterLines(from(['a\n\nb\nHere is']), keep)), ['a\n', '\n', 'b\n']);
+});
+
+test('paragraphs yields each paragraph once it is complete', async () => {
+  assert.deepEqual(await collect(paragraphs(from(['One', ' two.\n', '\nThree.\n\n\n\n', 'Four. ']))), ['One two.', 'Three.', 'Four.']);
+  assert.deepEqual(await collect(paragraphs(from(['  ']))), []);
+});
+
+test('proofreadPipeline proofreads paragraphs in order while generation runs', async () => {
+  const started = [];
+  async function* proofread(p) {
+    started.push(p);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    yield p.toUpperCase();
+  }
+  const out = await collect(proofreadPipeline(from(['one', 'two', 'three']), proofread));
+  assert.equal(out.join(''), 'ONE\n\nTWO\n\nTHREE');
+  assert.deepEqual(started, ['one', 'two', 'three']);
+});
+
+test('proofreadPipeline passes on a generation failure after what was proofread', async () => {
+  async function* failing() {
+    yield 'one';
+    throw new Error('stream cut');
+  }
+  const out = [];
+  await assert.rejects(async () => {
+    for await (const text of proofreadPipeline(failing(), async function* (p) { yield p; })) out.push(text);
+  }, /stream cut/);
+  assert.deepEqual(out, ['one']);
+});
@@ -0,0 +1,89 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { BOOKS } from '../bookRegistry.mjs';
+import {
+  validateTranslation, validateTranslations, loadFailureResults, formatReport
+} from '../bibleValidator.mjs';
+
+// Every book and chapter of the registry, `verses` verses each
+function completeTranslation(id, verses = 2) {
+  return {
+    id,
+    name: id.toUpperCase(),
+    books: BOOKS.map(b => ({
+      id: b.id,
+      name: b.en,
+      chapters: Array.from({ length: b.chapters }, (_, c) => ({
+        chapter: c + 1,
+        verses: Array.from({ length: verses }, (_, v) => ({ verse: v + 1, text: `${b.id} ${c + 1}:${v + 1}` }))
+      }))
+    }))
+  };
+}
+const chapter = (t, bookId, n) => t.books.find(b => b.id === bookId).chapters.find(c => c.chapter === n);
+const types = issues => issues.map(i => `${i.severity} ${i.type}`);
+
+test('a complete translation has no issues', () => {
+  assert.deepEqual(validateTranslation(completeTranslation('kjv')), []);
+});
+
+test('missing and extra books, chapters and verses are errors', () => {
+  const t = completeTranslation('kjv');
+  t.unmappedBooks = ['Tobit'];
+  t.books = t.books.filter(b => b.id !== 'Jude');
+  t.books.find(b => b.id === 'Obad').chapters.push({ chapter: 2, verses: [{ verse: 1, text: 'x' }] });
+  const john = t.books.find(b => b.id === 'John');
+  john.chapters = john.chapters.filter(c => c.chapter !== 21);
+  chapter(t, 'John', 3).verses.push({ verse: 4, text: 'gap' });
+
+  assert.deepEqual(types(validateTranslation(t)), [
+    'error unmapped-book', 'error extra-chapter', 'error missing-verse', 'error missing-chapter', 'error missing-book'
+  ]);
+  assert.match(validateTranslation(t).find(i => i.type === 'missing-verse').message, /^John 3:3 is missing$/);
+});
+
+test('duplicates and empty verses are errors', () => {
+  const t = completeTranslation('kjv');
+  t.books.push({ ...t.books[0], name: 'Genesis again' });
+  chapter(t, 'Ruth', 1).verses.push({ verse: 2, text: 'again' });
+  chapter(t, 'Ruth', 2).verses[0].text = '  ';
+  assert.deepEqual(types(validateTranslation(t)), [
+    'error duplicate-book', 'error duplicate-verse', 'error empty-text'
+  ]);
+});
+
+test('versification differences from the reference are warnings', () => {
+  const reference = completeTranslation('kjv');
+  const t = completeTranslation('afr');
+  chapter(t, 'Mal', 4).verses.pop();
+  const results = validateTranslations(new Map([['kjv', reference], ['afr', t]]), 'kjv');
+  assert.deepEqual(results.map(r => [r.id, r.errors, r.warnings]), [['kjv', 0, 0], ['afr', 0, 1]]);
+  assert.equal(results[1].issues[0].message, 'Malachi 4 has 1 verses, kjv has 2');
+  assert.deepEqual(validateTranslations(new Map([['afr', t]]), 'kjv')[0].issues, []);
+});
+
+test('manifests that failed to load become one error each', () => {
+  assert.deepEqual(loadFailureResults([{ file: 'bad.translation.json', message: 'boom' }]), [{
+    id: 'bad.translation.json',
+    name: 'not loaded',
+    errors: 1,
+    warnings: 0,
+    issues: [{ severity: 'error', type: 'load-failed', message: 'boom' }]
+  }]);
+});
+
+test('formatReport groups issues by type and caps the examples', () => {
+  const issues = Array.from({ length: 3 }, (_, i) => ({ severity: 'error', type: 'missing-verse', message: `m${i}` }));
+  const report = formatReport([
+    { id: 'kjv', name: 'KJV', errors: 0, warnings: 0, issues: [] },
+    { id: 'afr', name: 'AFR', errors: 3, warnings: 0, issues }
+  ], { perType: 2 });
+  assert.equal(report, [
+    '✅ kjv (KJV): 0 errors, 0 warnings',
+    '❌ afr (AFR): 3 errors, 0 warnings',
+    '   error · missing-verse (3)',
+    '      - m0',
+    '      - m1',
+    '      … and 1 more'
+  ].join('\n'));
+});
@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { BOOKS, getBook, bookName } from '../bookRegistry.mjs';
+import { buildBookIndex } from '../passageParser.mjs';
+
+test('BOOKS lists the 66 books in canonical order', () => {
+  assert.equal(BOOKS.length, 66);
+  assert.equal(new Set(BOOKS.map(b => b.id)).size, 66);
+  assert.deepEqual(BOOKS.map(b => b.order), BOOKS.map((_, i) => i + 1));
+  assert.equal(BOOKS.filter(b => b.testament === 'ot').length, 39);
+  assert.deepEqual([BOOKS[0].id, BOOKS[38].id, BOOKS[39].id, BOOKS[65].id], ['Gen', 'Mal', 'Matt', 'Rev']);
+  assert.ok(Object.isFrozen(BOOKS[0]) && Object.isFrozen(BOOKS[0].aliases));
+});
+
+test('every single-chapter book is marked as such', () => {
+  assert.deepEqual(BOOKS.filter(b => b.chapters === 1).map(b => b.id), ['Obad', 'Phlm', '2John', '3John', 'Jude']);
+});
+
+test('no alias names two books', () => {
+  const index = buildBookIndex(BOOKS);
+  const shared = [...index].filter(([, ids]) => ids.size > 1).map(([key]) => key);
+  assert.deepEqual(shared, []);
+});
+
+test('getBook and bookName look books up by id', () => {
+  assert.equal(getBook('Jude').af, 'Judas');
+  assert.deepEqual(getBook('Jude').aliases, ['jud']);
+  assert.equal(getBook('Nope'), null);
+  assert.equal(bookName('Rev', 'af'), 'Openbaring');
+  assert.equal(bookName('Rev'), 'Revelation');
+  assert.equal(bookName('Rev', 'xx'), 'Revelation');
+  assert.equal(bookName('Nope', 'af'), 'Nope');
+});
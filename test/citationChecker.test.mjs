@@ -0,0 +1,88 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { BOOKS } from '../bookRegistry.mjs';
+import { buildBookIndex } from '../passageParser.mjs';
+import { findCitations, checkCitations, linkCitations } from '../citationChecker.mjs';
+
+const bookIndex = buildBookIndex(BOOKS);
+
+const chapter = (n, verses) => ({ chapter: n, verses: Object.entries(verses).map(([verse, text]) => ({ verse: Number(verse), text })) });
+const kjv = {
+  id: 'kjv',
+  name: 'KJV',
+  bookNames: 'en',
+  books: [
+    { id: 'John', name: 'John', chapters: [
+      chapter(3, { 16: 'For God so loved the world, that he gave his only begotten Son', 17: 'For God sent not his Son into the world to condemn the world', 36: 'He that believeth on the Son hath everlasting life' }),
+      chapter(4, { 1: 'When therefore the Lord knew', 2: 'Though Jesus himself baptized not' })
+    ] },
+    { id: 'Jude', name: 'Jude', chapters: [chapter(1, { 1: 'a', 2: 'b', 3: 'Beloved', 4: 'c', 5: 'd' })] },
+    { id: 'Rom', name: 'Romans', chapters: [chapter(8, { 1: 'no condemnation' }), chapter(9, { 1: 'I say the truth' })] }
+  ]
+};
+const afr = { id: 'afr', name: 'AFR', bookNames: 'af', books: [kjv.books[0]] };
+
+const spans = (text, options) => findCitations(text, { bookIndex, ...options })
+  .map(c => `${c.bookId} ${c.startChapter}:${c.startVerse}-${c.endChapter}:${c.endVerse}`);
+
+test('findCitations reads English and Afrikaans references', () => {
+  assert.deepEqual(spans('See John 3:16, Johannes 3:16-18 and 1 Kor. 13:4-7.'), [
+    'John 3:16-3:16', 'John 3:16-3:18', '1Cor 13:4-13:7'
+  ]);
+  assert.deepEqual(spans('In 2020 he read Is 5 and Romans 8.'), ['Rom 8:null-8:null']);
+});
+
+test('findCitations reads ranges that cross chapters and chapter ranges', () => {
+  assert.deepEqual(spans('John 3:36-4:2 and Romans 8-9'), ['John 3:36-4:2', 'Rom 8:null-9:null']);
+});
+
+test('findCitations reads a bare number in a single-chapter book as a verse', () => {
+  assert.deepEqual(spans('Jude 3, Jude 3-5, Jud 5 and Obadiah 1:4'), [
+    'Jude 1:3-1:3', 'Jude 1:3-1:5', 'Jude 1:5-1:5', 'Obad 1:4-1:4'
+  ]);
+});
+
+test('findCitations reads bare references inside the passage and nearby quotations', () => {
+  const context = { bookId: 'John', chapter: 3 };
+  assert.deepEqual(spans('He came to save (v. 17), as (3:16) and (4:1-2) say.', { context }), [
+    'John 3:17-3:17', 'John 3:16-3:16', 'John 4:1-4:2'
+  ]);
+  assert.deepEqual(spans('(v. 17)'), []);
+  const [c] = findCitations('"For God so loved the world" (John 3:16)', { bookIndex });
+  assert.equal(c.quote, 'For God so loved the world');
+});
+
+test('checkCitations flags references that do not exist or are misquoted', () => {
+  const text = 'John 3:16 says "For God so loved the world". John 3:17: "God sent a plague on the earth". '
+    + 'John 22:1, John 3:99, Romans 8-9, John 3:18-16 and Genesis 1:1.';
+  const { references, warnings } = checkCitations(text, { bookIndex, translations: [kjv] });
+  assert.deepEqual(references.map(r => [r.reference, r.status, r.translation]), [
+    ['John 3:16', 'ok', 'kjv'],
+    ['John 3:17', 'misquoted', 'kjv'],
+    ['John 22:1', 'not-found', null],
+    ['John 3:99', 'not-found', null],
+    ['Romans 8-9', 'ok', 'kjv'],
+    ['John 3:18-16', 'not-found', null],
+    ['Genesis 1:1', 'unverified', null]
+  ]);
+  assert.deepEqual(warnings.map(w => w.message), [
+    'The quotation attributed to John 3:17 does not match its text',
+    'John 22:1 does not exist (John has 21 chapters)',
+    'John 3:99 was not found in KJV',
+    'John 3:18-16 does not exist (John has 21 chapters)'
+  ]);
+});
+
+test('checkCitations names books in the scheme of the first translation and falls back to the rest', () => {
+  const { references } = checkCitations('Johannes 3:16 en Romeine 8:1', { bookIndex, translations: [afr, kjv] });
+  assert.deepEqual(references.map(r => [r.reference, r.translation]), [['Johannes 3:16', 'afr'], ['Romeine 8:1', 'kjv']]);
+});
+
+test('linkCitations links what resolved and escapes the rest', () => {
+  const text = 'Read <John 3:16> & John 3:99.';
+  const { references } = checkCitations(text, { bookIndex, translations: [kjv] });
+  assert.equal(
+    linkCitations(text, references, r => `/read?ref=${encodeURIComponent(r.reference)}&t=kjv`),
+    'Read &lt;<a class="scripture-ref" href="/read?ref=John%203%3A16&amp;t=kjv" data-ref="John 3:16">John 3:16</a>&gt; &amp; John 3:99.'
+  );
+});
@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { loadCrossRefs, parseOsisRef, crossRefsFor } from '../crossRefs.mjs';
+
+const DATA = [
+  'From Verse\tTo Verse\tVotes\t#www.openbible.info CC-BY 2024-01-01',
+  'Gen.1.1\tProv.8.22-Prov.8.30\t40',
+  'Gen.1.1\tHeb.11.3\t52',
+  'Gen.1.1\tJohn.1.1-John.1.3\t-3',
+  'Gen.1.1\tIsa.45.18\t',
+  'John.3.16\tRom.5.8\t99',
+  'broken line',
+  ''
+].join('\n');
+
+async function load(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'crossrefs-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'cross_references.txt');
+  await fs.writeFile(file, DATA);
+  return loadCrossRefs(file);
+}
+
+test('loadCrossRefs groups references by source verse, strongest first', async t => {
+  const byVerse = await load(t);
+  assert.deepEqual([...byVerse.keys()], ['Gen.1.1', 'John.3.16']);
+  assert.deepEqual(byVerse.get('Gen.1.1'), [
+    ['Heb.11.3', 52], ['Prov.8.22-Prov.8.30', 40], ['Isa.45.18', 0], ['John.1.1-John.1.3', -3]
+  ]);
+});
+
+test('parseOsisRef reads single verses and ranges', () => {
+  assert.deepEqual(parseOsisRef('Heb.11.3'), { book: 'Heb', startChapter: 11, startVerse: 3, endChapter: 11, endVerse: 3 });
+  assert.deepEqual(parseOsisRef('Ps.23.6-Ps.24.2'), { book: 'Ps', startChapter: 23, startVerse: 6, endChapter: 24, endVerse: 2 });
+});
+
+test('crossRefsFor drops disputed links and caps the list', async t => {
+  const byVerse = await load(t);
+  assert.deepEqual(crossRefsFor(byVerse, 'Gen', 1, 1).map(r => `${r.book} ${r.votes}`), ['Heb 52', 'Prov 40']);
+  assert.deepEqual(crossRefsFor(byVerse, 'Gen', 1, 1, { limit: 1 }).map(r => r.book), ['Heb']);
+  assert.equal(crossRefsFor(byVerse, 'Gen', 1, 1, { minVotes: -10 }).length, 4);
+  assert.deepEqual(crossRefsFor(byVerse, 'Gen', 1, 2), []);
+});
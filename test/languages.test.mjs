@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  LANGUAGES, DEFAULT_LANGUAGE, LanguageError, loadLanguages, resolveLanguage, scriptureTranslation
+} from '../languages.mjs';
+
+test('every language is enabled unless AI_LANGUAGES limits them', () => {
+  assert.deepEqual([...loadLanguages('').keys()], LANGUAGES.map(l => l.code));
+  assert.deepEqual([...loadLanguages(' AF , zu ').keys()], ['en', 'af', 'zu']);
+});
+
+test('unknown AI_LANGUAGES codes are reported and ignored', t => {
+  const error = t.mock.method(console, 'error', () => {});
+  assert.deepEqual([...loadLanguages('af,fr').keys()], ['en', 'af']);
+  assert.match(error.mock.calls[0].arguments[0], /unknown AI_LANGUAGES: fr/);
+});
+
+test('resolveLanguage defaults to English and rejects what is not enabled', () => {
+  const languages = loadLanguages('af');
+  assert.equal(resolveLanguage(languages, undefined).code, DEFAULT_LANGUAGE);
+  assert.equal(resolveLanguage(languages, '').label, 'English');
+  assert.equal(resolveLanguage(languages, ' AF ').label, 'Afrikaans');
+  assert.throws(() => resolveLanguage(languages, 'zu'), err =>
+    err instanceof LanguageError && err.status === 400 && err.code === 'UNSUPPORTED_LANGUAGE'
+    && err.message === 'Unsupported language "zu" (supported: en, af)');
+});
+
+test('scriptureTranslation prefers the default translation, then falls back by language', () => {
+  const translations = new Map([
+    ['web', { id: 'web', language: 'en' }],
+    ['kjv', { id: 'kjv', language: 'en' }],
+    ['afr', { id: 'afr', language: 'af' }]
+  ]);
+  const languages = loadLanguages('');
+  assert.equal(scriptureTranslation(languages.get('en'), translations, 'kjv').id, 'kjv');
+  assert.equal(scriptureTranslation(languages.get('en'), translations, 'afr').id, 'web');
+  assert.equal(scriptureTranslation(languages.get('af'), translations, 'kjv').id, 'afr');
+  assert.equal(scriptureTranslation(languages.get('zu'), translations, 'kjv').id, 'kjv');
+  assert.equal(scriptureTranslation(languages.get('af'), new Map([['kjv', translations.get('kjv')]]), 'kjv'), null);
+});
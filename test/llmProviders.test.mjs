@@ -0,0 +1,61 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createLlm } from '../llmProviders.mjs';
+
+const mock = options => createLlm({ LLM_PROVIDER: 'mock' }, options);
+const user = content => [{ role: 'user', content }];
+
+test('the mock has to be chosen explicitly', () => {
+  assert.throws(() => createLlm({}), /OPENAI_KEY is not set/);
+  assert.throws(() => createLlm({ LLM_PROVIDER: 'nope' }), /Unknown LLM_PROVIDER/);
+  assert.equal(mock().name, 'mock');
+});
+
+test('mock text is deterministic per request', async () => {
+  const llm = mock();
+  const request = { feature: 'commentary', messages: user('John 3:16') };
+  const first = await llm.complete(request);
+  assert.match(first, /^Mock commentary \([0-9a-f]{8}\)\./);
+  assert.equal(await llm.complete(request), first);
+  assert.notEqual(await llm.complete({ feature: 'commentary', messages: user('John 3:17') }), first);
+});
+
+test('mock proofread returns the text after the first blank line', async () => {
+  const llm = mock();
+  assert.equal(await llm.complete({ feature: 'proofread', messages: user('Fix this:\n\nSome text.\n\nMore.') }), 'Some text.\n\nMore.');
+  assert.equal(await llm.complete({ feature: 'proofread', messages: user('Just one line.') }), 'Just one line.');
+});
+
+test('mock JSON requests return the prompt\'s example', async () => {
+  const llm = mock();
+  const messages = user('Answer like this:\n```json\n{"title":"x"}\n```');
+  assert.equal(await llm.complete({ feature: 'sermon-outline', messages, json: true }), '{"title":"x"}');
+  assert.equal(await llm.complete({ feature: 'sermon-outline', messages: user('no example'), json: true }), '{}');
+});
+
+test('mock streams the same text it completes', async () => {
+  const llm = mock();
+  const request = { feature: 'devotion', messages: user('Psalm 23') };
+  let streamed = '';
+  for await (const delta of llm.stream(request)) streamed += delta;
+  assert.equal(streamed, await llm.complete(request));
+});
+
+test('mock reports usage and brackets each call', async () => {
+  const usage = [];
+  const events = [];
+  const llm = mock({
+    onUsage: u => usage.push(u),
+    onCall: request => {
+      events.push(`start ${request.feature}`);
+      return () => events.push(`end ${request.feature}`);
+    }
+  });
+  await llm.complete({ feature: 'prayer', messages: user('Lord, teach us to pray.') });
+  assert.deepEqual(events, ['start prayer', 'end prayer']);
+  assert.equal(usage.length, 1);
+  assert.equal(usage[0].feature, 'prayer');
+  assert.equal(usage[0].model, 'mock');
+  assert.equal(usage[0].estimated, true);
+  assert.ok(usage[0].promptTokens > 0 && usage[0].completionTokens > 0);
+});
@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { CONGREGATION_CONTEXTS, ProfileError, parseProfile, profileInstructions, profileKey } from '../ministryProfile.mjs';
+
+const options = { translationIds: ['kjv', 'afr'] };
+
+test('parseProfile trims fields and fills in the unset ones', () => {
+  assert.deepEqual(parseProfile({
+    tradition: '  Reformed ',
+    translation: 'AFR',
+    contexts: ['Youth', 'rural'],
+    style: 'expository,\n  with stories   from farm life'
+  }, options), {
+    tradition: 'Reformed',
+    style: 'expository, with stories from farm life',
+    avoid: '',
+    translation: 'afr',
+    contexts: ['rural', 'youth']
+  });
+  assert.deepEqual(parseProfile({ contexts: 'township' }, options).contexts, ['township']);
+  assert.deepEqual(parseProfile({}, options), { tradition: '', style: '', avoid: '', translation: '', contexts: [] });
+});
+
+test('parseProfile rejects invalid profiles', () => {
+  const invalid = { name: 'ProfileError', status: 400, code: 'INVALID_PROFILE' };
+  assert.throws(() => parseProfile(null, options), { ...invalid, message: 'The profile must be an object' });
+  assert.throws(() => parseProfile(['Reformed'], options), invalid);
+  assert.throws(() => parseProfile({ tradition: 'x'.repeat(81) }, options), { ...invalid, message: 'tradition is limited to 80 characters' });
+  assert.throws(() => parseProfile({ translation: 'niv' }, options), /Unknown translation "niv" \(available: kjv, afr\)/);
+  assert.throws(() => parseProfile({ contexts: ['urban'] }, options), new RegExp(CONGREGATION_CONTEXTS.join(', ')));
+  assert.ok(new ProfileError('x') instanceof Error);
+});
+
+test('profileInstructions describes what the model can use', () => {
+  assert.equal(profileInstructions(null), '');
+  assert.equal(profileInstructions({ tradition: '', translation: 'afr', contexts: [] }), '');
+  assert.equal(profileInstructions({ tradition: 'Pentecostal', contexts: ['township', 'youth'], style: 'short', avoid: 'altar calls' }), [
+    '',
+    '',
+    'Write for this pastor\'s ministry:',
+    '- Tradition: Pentecostal. Stay within its theology and vocabulary.',
+    '- Congregation: a township congregation; young people.',
+    '- Preaching style: short',
+    '- Avoid: altar calls'
+  ].join('\n'));
+});
+
+test('profileKey changes only with what the prompts see', () => {
+  const profile = { tradition: 'Reformed', contexts: ['rural'] };
+  assert.match(profileKey(profile), /^[0-9a-f]{16}$/);
+  assert.equal(profileKey({ ...profile, translation: 'afr' }), profileKey(profile));
+  assert.notEqual(profileKey({ ...profile, contexts: ['youth'] }), profileKey(profile));
+  assert.equal(profileKey({ translation: 'afr' }), null);
+  assert.equal(profileKey(undefined), null);
+});
@@ -0,0 +1,29 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPassageLimits, limitFor } from '../passageLimits.mjs';
+
+test('the defaults apply to every plan', () => {
+  const limits = loadPassageLimits('');
+  assert.equal(limitFor(limits, 'verses', 'anonymous'), 250);
+  assert.equal(limitFor(limits, 'ai', 'subscriber'), 50);
+});
+
+test('PASSAGE_LIMITS is merged per scope', () => {
+  const limits = loadPassageLimits('{"ai":{"subscriber":60,"church":100},"verses":{"anonymous":100}}');
+  assert.equal(limitFor(limits, 'ai', 'subscriber'), 60);
+  assert.equal(limitFor(limits, 'ai', 'church'), 100);
+  assert.equal(limitFor(limits, 'ai', 'free'), 50);
+  assert.equal(limitFor(limits, 'verses', 'anonymous'), 100);
+  assert.equal(limitFor(limits, 'verses', 'subscriber'), 250);
+});
+
+test('a scope without limits is unlimited', () => {
+  assert.equal(limitFor(loadPassageLimits(''), 'export', 'free'), Infinity);
+  assert.equal(limitFor(loadPassageLimits('{"export":{"free":5}}'), 'export', 'subscriber'), Infinity);
+});
+
+test('invalid PASSAGE_LIMITS falls back to the defaults', t => {
+  const error = t.mock.method(console, 'error', () => {});
+  assert.deepEqual(loadPassageLimits('{ai:'), loadPassageLimits(''));
+  assert.equal(error.mock.callCount(), 1);
+});
@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { BOOKS } from '../bookRegistry.mjs';
+import {
+  PassageError, normalizeBookKey, buildBookIndex, resolveBook, parsePassageRef, formatReference
+} from '../passageParser.mjs';
+
+const index = buildBookIndex(BOOKS);
+
+test('normalizeBookKey folds case, accents, dots, spaces and Roman numerals', () => {
+  assert.equal(normalizeBookKey('I Corinthians'), '1corinthians');
+  assert.equal(normalizeBookKey('1 Kor.'), '1kor');
+  assert.equal(normalizeBookKey('Efe­siërs'), 'efesiers');
+  assert.equal(normalizeBookKey('III John'), '3john');
+  assert.equal(normalizeBookKey(' Isaiah '), 'isaiah');
+  assert.equal(normalizeBookKey(null), '');
+});
+
+test('resolveBook takes English and Afrikaans names, ids and abbreviations', () => {
+  for (const [query, id] of [
+    ['John', 'John'], ['Johannes', 'John'], ['Jn', 'John'], ['1Cor', '1Cor'], ['1 Kor', '1Cor'],
+    ['II Kings', '2Kgs'], ['Ps', 'Ps'], ['Psalm', 'Ps'], ['Spreuke van Salomo', 'Prov'],
+    ['Openb', 'Rev'], ['Handelinge', 'Acts'], ['Gen', 'Gen']
+  ]) {
+    assert.equal(resolveBook(index, query), id, query);
+  }
+});
+
+test('resolveBook reads the listed short forms before prefixes', () => {
+  assert.equal(resolveBook(index, 'Jud'), 'Jude');
+  assert.equal(resolveBook(index, 'Judas'), 'Jude');
+  assert.equal(resolveBook(index, 'Fil'), 'Phil');
+  assert.equal(resolveBook(index, 'Flm'), 'Phlm');
+  assert.equal(resolveBook(index, 'Filem'), 'Phlm');
+});
+
+test('resolveBook rejects ambiguous and unknown names', () => {
+  assert.throws(() => resolveBook(index, 'Ju'), { name: 'PassageError', code: 'AMBIGUOUS_BOOK', status: 404 });
+  assert.throws(() => resolveBook(index, 'Nope'), { code: 'UNKNOWN_BOOK', status: 404 });
+  assert.throws(() => resolveBook(index, ''), { code: 'UNKNOWN_BOOK' });
+});
+
+const ranges = ref => parsePassageRef(ref).map(({ bookQuery, startChapter, startVerse, endChapter, endVerse }) =>
+  [bookQuery, startChapter, startVerse, endChapter, endVerse]);
+
+test('parsePassageRef reads verses, verse ranges and whole chapters', () => {
+  assert.deepEqual(ranges('John 3:16'), [['John', 3, 16, 3, 16]]);
+  assert.deepEqual(ranges('Jn 3:16-18'), [['Jn', 3, 16, 3, 18]]);
+  assert.deepEqual(ranges('Rom 8'), [['Rom', 8, null, 8, null]]);
+  assert.deepEqual(ranges('Rom 8-9'), [['Rom', 8, null, 9, null]]);
+});
+
+test('parsePassageRef reads ranges that cross chapters', () => {
+  assert.deepEqual(ranges('Ps 23:1-24:2'), [['Ps', 23, 1, 24, 2]]);
+  assert.deepEqual(ranges('John 3:36 - 4:2'), [['John', 3, 36, 4, 2]]);
+});
+
+test('parsePassageRef splits segments and keeps the book across them', () => {
+  assert.deepEqual(ranges('1 Kor 13:4–7; Ps 23'), [['1 Kor', 13, 4, 13, 7], ['Ps', 23, null, 23, null]]);
+  assert.deepEqual(ranges('Ps 23; 24'), [['Ps', 23, null, 23, null], ['Ps', 24, null, 24, null]]);
+  assert.deepEqual(ranges('John 3:16, 18'), [['John', 3, 16, 3, 16], ['John', 3, 18, 3, 18]]);
+  assert.deepEqual(ranges('John 3.16'), [['John', 3, 16, 3, 16]]);
+});
+
+test('parsePassageRef rejects what it cannot read', () => {
+  assert.throws(() => parsePassageRef(''), PassageError);
+  assert.throws(() => parsePassageRef('John'), { code: 'INVALID_REFERENCE', segment: 'John' });
+  assert.throws(() => parsePassageRef('3:16'), /Missing book name/);
+  assert.throws(() => parsePassageRef('John 3-4:2'), /Could not understand/);
+  assert.throws(() => parsePassageRef('John 3:16-17-18'), /Could not understand/);
+});
+
+test('formatReference writes the shortest form', () => {
+  assert.equal(formatReference('John', 3, 16, 3, 16), 'John 3:16');
+  assert.equal(formatReference('John', 3, 16, 3, 18), 'John 3:16-18');
+  assert.equal(formatReference('Psalms', 23, 1, 24, 2), 'Psalms 23:1-24:2');
+  assert.equal(formatReference('Romans', 8, null, 8, null), 'Romans 8');
+  assert.equal(formatReference('Romans', 8, null, 9, null), 'Romans 8-9');
+});
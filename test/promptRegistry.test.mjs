@@ -0,0 +1,113 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  PromptError, parseTemplate, loadPrompts, activeVersion, selectPrompt, fillTemplate, renderPrompt, describePrompts
+} from '../promptRegistry.mjs';
+
+const PROMPTS_DIR = fileURLToPath(new URL('../prompts', import.meta.url));
+
+const template = (front, body = '# system\nYou help.\n# user\nPray over {{scripture}} in {{language}}.') =>
+  `---\n${front}\n---\n${body}\n`;
+
+async function promptsDir(t, files) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'prompts-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  for (const [file, raw] of Object.entries(files)) {
+    await fs.mkdir(path.join(dir, path.dirname(file)), { recursive: true });
+    await fs.writeFile(path.join(dir, file), raw);
+  }
+  return dir;
+}
+
+test('parseTemplate reads front matter and sections', () => {
+  const t = parseTemplate(template('version: 2\ntemperature: 0.4\nformat: JSON\nlang: AF'), { feature: 'prayer', file: 'prayer/v2.af.md' });
+  assert.deepEqual(t, {
+    id: 'prayer/v2.af',
+    feature: 'prayer',
+    file: 'prayer/v2.af.md',
+    version: 2,
+    match: { lang: 'af' },
+    temperature: 0.4,
+    max_tokens: undefined,
+    json: true,
+    system: 'You help.',
+    user: 'Pray over {{scripture}} in {{language}}.'
+  });
+});
+
+test('parseTemplate rejects malformed templates', () => {
+  const parse = raw => parseTemplate(raw, { feature: 'prayer', file: 'prayer/v1.md' });
+  assert.throws(() => parse('# user\nHi'), { name: 'PromptError', message: 'prayer/v1.md: missing front matter' });
+  assert.throws(() => parse(template('version: 0')), /positive whole "version"/);
+  assert.throws(() => parse(template('version: 1', '# system\nOnly a system part')), /missing "# user" section/);
+  assert.throws(() => parse(template('version: 1', '# user\n{{passage}}')), /unknown variable \{\{passage\}\}/);
+});
+
+test('the shipped prompts load and use only known variables', async () => {
+  const registry = await loadPrompts(PROMPTS_DIR, '');
+  const features = new Set(registry.templates.map(t => t.feature));
+  for (const feature of ['commentary', 'devotion', 'prayer', 'proofread', 'sermon-outline', 'study-guide', 'passage-chat', 'revise']) {
+    assert.ok(features.has(feature), feature);
+  }
+  for (const feature of ['commentary', 'devotion', 'sermon-outline', 'study-guide']) {
+    const { user } = selectPrompt(registry, feature);
+    assert.match(user, /\{\{passageRef\}\}/, feature);
+    assert.match(user, /\{\{audience\}\}/, feature);
+  }
+});
+
+test('the newest version is live unless PROMPT_VERSIONS pins one', async t => {
+  const dir = await promptsDir(t, {
+    'prayer/v1.md': template('version: 1'),
+    'prayer/v2.md': template('version: 2'),
+    'prayer/v2.af.md': template('version: 2\nlang: af'),
+    'prayer/v2.af-formal.md': template('version: 2\nlang: af\ntone: formal'),
+    'prayer/notes.txt': 'ignored'
+  });
+  const registry = await loadPrompts(dir, '');
+  assert.equal(registry.templates.length, 4);
+  assert.equal(activeVersion(registry, 'prayer'), 2);
+  assert.equal(activeVersion(registry, 'devotion'), null);
+  assert.equal(selectPrompt(registry, 'prayer').id, 'prayer/v2');
+  assert.equal(selectPrompt(registry, 'prayer', { lang: 'AF' }).id, 'prayer/v2.af');
+  assert.equal(selectPrompt(registry, 'prayer', { lang: 'af', tone: 'formal' }).id, 'prayer/v2.af-formal');
+  assert.equal(selectPrompt(registry, 'prayer', { lang: 'af', version: '1' }).id, 'prayer/v1');
+  assert.throws(() => selectPrompt(registry, 'prayer', { version: 3 }), { status: 404, code: 'PROMPT_NOT_FOUND' });
+
+  const pinned = await loadPrompts(dir, '{"prayer":1}');
+  assert.equal(selectPrompt(pinned, 'prayer').id, 'prayer/v1');
+  assert.deepEqual(describePrompts(pinned).map(p => [p.id, p.active]),
+    [['prayer/v1', true], ['prayer/v2.af-formal', false], ['prayer/v2.af', false], ['prayer/v2', false]]);
+
+  t.mock.method(console, 'error', () => {});
+  assert.deepEqual((await loadPrompts(dir, '{prayer')).pinned, {});
+});
+
+test('loadPrompts rejects two templates for the same version and match', async t => {
+  const dir = await promptsDir(t, {
+    'prayer/v1.md': template('version: 1'),
+    'prayer/v1-copy.md': template('version: 1')
+  });
+  await assert.rejects(loadPrompts(dir, ''), err => err instanceof PromptError && /both define prayer v1/.test(err.message));
+});
+
+test('renderPrompt fills the variables into a chat request', () => {
+  assert.equal(fillTemplate('{{ scripture }}|{{language}}|{{tone}}', { scripture: 'Ps 23', language: 0 }), 'Ps 23|0|');
+  const t = parseTemplate(template('version: 1\ntemperature: 0.7\nmax_tokens: 500'), { feature: 'prayer', file: 'prayer/v1.md' });
+  assert.deepEqual(renderPrompt(t, { scripture: '23:1 The LORD is my shepherd', language: 'English' }), {
+    feature: 'prayer',
+    promptId: 'prayer/v1',
+    promptVersion: 1,
+    messages: [
+      { role: 'system', content: 'You help.' },
+      { role: 'user', content: 'Pray over 23:1 The LORD is my shepherd in English.' }
+    ],
+    temperature: 0.7,
+    max_tokens: 500,
+    json: false
+  });
+});
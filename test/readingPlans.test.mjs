@@ -0,0 +1,88 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { BOOKS } from '../bookRegistry.mjs';
+import { buildBookIndex } from '../passageParser.mjs';
+import {
+  BUILTIN_PLANS, planSummary, parsePlanDefinition, parseDate, formatDate, dayFor, dateFor, progressOf
+} from '../readingPlans.mjs';
+
+const index = buildBookIndex(BOOKS);
+const chaptersIn = plan => plan.days.flatMap(d => d.readings).reduce((n, r) => n + r.endChapter - r.startChapter + 1, 0);
+
+test('the built-in plans cover their books once, evenly', () => {
+  const year = BUILTIN_PLANS.get('bible-in-a-year');
+  assert.equal(year.days.length, 365);
+  assert.equal(chaptersIn(year), 1189);
+  assert.deepEqual(year.days[0].readings, [{ book: 'Gen', startChapter: 1, startVerse: null, endChapter: 3, endVerse: null }]);
+  const perDay = year.days.map(d => d.readings.reduce((n, r) => n + r.endChapter - r.startChapter + 1, 0));
+  assert.ok(Math.min(...perDay) >= 3 && Math.max(...perDay) <= 4);
+  assert.equal(year.days.at(-1).readings.at(-1).endChapter, 22);
+
+  const nt = BUILTIN_PLANS.get('nt-90-days');
+  assert.equal(nt.days.length, 90);
+  assert.equal(chaptersIn(nt), 260);
+  assert.equal(nt.days[0].readings[0].book, 'Matt');
+});
+
+test('planSummary leaves out the days', () => {
+  assert.deepEqual(planSummary(BUILTIN_PLANS.get('nt-90-days')), {
+    id: 'nt-90-days',
+    title: 'New Testament in 90 days',
+    description: 'Matthew to Revelation in 90 days, about three chapters a day.',
+    totalDays: 90,
+    startDate: null,
+    builtIn: true
+  });
+});
+
+test('parsePlanDefinition resolves each day\'s references', () => {
+  const plan = parsePlanDefinition({
+    title: '  Lent  ',
+    startDate: '2026-02-18',
+    days: ['Gen 1-3', 'Ps 23; Joh 10:1-18', 'Jude 5', 'Obad 1-4', 'Rom 8:38-9:5']
+  }, index);
+  assert.equal(plan.title, 'Lent');
+  assert.equal(plan.startDate, '2026-02-18');
+  assert.deepEqual(plan.days.map(d => d.readings), [
+    [{ book: 'Gen', startChapter: 1, startVerse: null, endChapter: 3, endVerse: null }],
+    [
+      { book: 'Ps', startChapter: 23, startVerse: null, endChapter: 23, endVerse: null },
+      { book: 'John', startChapter: 10, startVerse: 1, endChapter: 10, endVerse: 18 }
+    ],
+    // Single-chapter books: a bare number is a verse
+    [{ book: 'Jude', startChapter: 1, startVerse: 5, endChapter: 1, endVerse: 5 }],
+    [{ book: 'Obad', startChapter: 1, startVerse: 1, endChapter: 1, endVerse: 4 }],
+    [{ book: 'Rom', startChapter: 8, startVerse: 38, endChapter: 9, endVerse: 5 }]
+  ]);
+});
+
+test('parsePlanDefinition rejects invalid plans, naming the day', () => {
+  const invalid = { name: 'PassageError', status: 400, code: 'INVALID_PLAN' };
+  assert.throws(() => parsePlanDefinition({ days: ['Gen 1'] }, index), invalid);
+  assert.throws(() => parsePlanDefinition({ title: 'x', days: [] }, index), invalid);
+  assert.throws(() => parsePlanDefinition({ title: 'x', days: Array(731).fill('Gen 1') }, index), invalid);
+  assert.throws(() => parsePlanDefinition({ title: 'x', days: ['Gen 1'], startDate: '18/02/2026' }, index), invalid);
+  assert.throws(() => parsePlanDefinition({ title: 'x', days: ['Gen 1', 'John 22'] }, index),
+    { ...invalid, day: 2, message: 'John 22: John has only 21 chapters' });
+  assert.throws(() => parsePlanDefinition({ title: 'x', days: ['Nope 1'] }, index), { code: 'UNKNOWN_BOOK', day: 1 });
+});
+
+test('dates and plan days convert both ways', () => {
+  assert.equal(parseDate('2026-01-31'), Date.UTC(2026, 0, 31));
+  assert.equal(parseDate('2026-1-31'), null);
+  assert.equal(parseDate('2026-13-01'), null);
+  assert.equal(formatDate(Date.UTC(2026, 0, 31, 23)), '2026-01-31');
+
+  assert.equal(dayFor('2026-01-01', '2026-01-01'), 1);
+  assert.equal(dayFor('2026-01-01', '2026-12-31'), 365);
+  assert.equal(dayFor('2024-02-28', '2024-03-01'), 3); // leap day
+  assert.equal(dayFor('2026-01-10', '2026-01-09'), 0); // not started
+  assert.equal(dateFor('2026-01-01', 1), '2026-01-01');
+  assert.equal(dateFor('2026-12-30', 4), '2027-01-02');
+});
+
+test('progressOf counts each valid day once', () => {
+  const plan = { days: Array(4).fill({ readings: [] }) };
+  assert.deepEqual(progressOf(plan, [1, 2, 2, 0, 9]), { completedDays: 2, totalDays: 4, percent: 50 });
+  assert.deepEqual(progressOf(plan), { completedDays: 0, totalDays: 4, percent: 0 });
+});
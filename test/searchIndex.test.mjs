@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeWord, tokenize, parseQuery, buildSearchIndex, searchIndex } from '../searchIndex.mjs';
+
+const doc = (translation, lang, book, testament, chapter, verse, text) =>
+  ({ translation, lang, book, testament, chapter, verse, text });
+const index = buildSearchIndex([
+  doc('kjv', 'en', 'Gen', 'ot', 1, 1, 'In the beginning God created the heaven and the earth.'),
+  doc('kjv', 'en', 'John', 'nt', 3, 16, 'For God so loved the world, that he gave his only begotten Son'),
+  doc('kjv', 'en', 'John', 'nt', 13, 34, 'That ye love one another; as I have loved you, that ye also love one another.'),
+  doc('kjv', 'en', '1John', 'nt', 4, 8, 'He that loveth not knoweth not God; for God is love.'),
+  doc('afr', 'af', 'John', 'nt', 3, 16, 'Want so lief het God die wêreld gehad'),
+  doc('kjv', 'en', 'Ps', 'ot', 23, 1, 'The LORD is my shepherd; I shall not want. <b>'),
+]);
+const refs = result => result.results.map(r => `${r.translation} ${r.book} ${r.chapter}:${r.verse}`);
+
+test('tokenize lowercases and strips accents', () => {
+  assert.equal(normalizeWord('Wêreld'), 'wereld');
+  assert.deepEqual(tokenize('God so loved the world,'), ['god', 'so', 'loved', 'the', 'world']);
+  assert.deepEqual(tokenize(null), []);
+});
+
+test('parseQuery separates phrases, words and prefixes', () => {
+  assert.deepEqual(parseQuery('"love one another" God redeem*'), {
+    phrases: [['love', 'one', 'another']],
+    words: ['god'],
+    prefixes: ['redeem']
+  });
+  assert.deepEqual(parseQuery('  '), { phrases: [], words: [], prefixes: [] });
+});
+
+test('every word has to appear, in any order', () => {
+  assert.deepEqual(refs(searchIndex(index, 'world god')), ['kjv John 3:16']);
+  assert.deepEqual(refs(searchIndex(index, 'wereld')), ['afr John 3:16']);
+  assert.equal(searchIndex(index, 'god unicorn').total, 0);
+  assert.equal(searchIndex(index, '').total, 0);
+});
+
+test('phrases must appear in sequence', () => {
+  assert.deepEqual(refs(searchIndex(index, '"love one another"')), ['kjv John 13:34']);
+  assert.equal(searchIndex(index, '"another one love"').total, 0);
+});
+
+test('prefixes match every word that starts with them', () => {
+  assert.deepEqual(refs(searchIndex(index, 'lov*')), ['kjv John 3:16', 'kjv John 13:34', 'kjv 1John 4:8']);
+  assert.deepEqual(refs(searchIndex(index, 'god lov*', { book: '1John' })), ['kjv 1John 4:8']);
+});
+
+test('filters narrow by translation, language, book and testament', () => {
+  assert.deepEqual(refs(searchIndex(index, 'god', { lang: 'af' })), ['afr John 3:16']);
+  assert.deepEqual(refs(searchIndex(index, 'god', { translation: 'kjv', testament: 'ot' })), ['kjv Gen 1:1']);
+  assert.deepEqual(refs(searchIndex(index, 'god', { book: 'John' })), ['kjv John 3:16', 'afr John 3:16']);
+});
+
+test('results are paged in canonical order', () => {
+  const page2 = searchIndex(index, 'god', { page: 2, pageSize: 2 });
+  assert.equal(page2.total, 4);
+  assert.deepEqual(refs(page2), ['kjv 1John 4:8', 'afr John 3:16']);
+});
+
+test('snippets mark the hits and escape the text', () => {
+  const [hit] = searchIndex(index, 'shepherd').results;
+  assert.equal(hit.snippet, 'The LORD is my <mark>shepherd</mark>; I shall not want. &lt;b&gt;');
+  const [long] = searchIndex(index, 'loveth').results;
+  assert.match(long.snippet, /<mark>loveth<\/mark>/);
+});
@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { OutlineError, parseVerseSpan, parseOutline } from '../sermonOutline.mjs';
+
+const passage = { startChapter: 3, startVerse: 14, endChapter: 4, endVerse: 2 };
+const point = (heading, verses) => ({ heading, verses, explanation: ' e ', illustration: 'i', application: 'a' });
+const outline = points => JSON.stringify({ title: 'Loved into Life', bigIdea: 'God gives life.', points, callToResponse: 'Believe.' });
+
+test('parseVerseSpan reads verses, spans and ranges across chapters', () => {
+  assert.deepEqual(parseVerseSpan('16-18', 3), { startChapter: 3, startVerse: 16, endChapter: 3, endVerse: 18 });
+  assert.deepEqual(parseVerseSpan('3:16', 1), { startChapter: 3, startVerse: 16, endChapter: 3, endVerse: 16 });
+  assert.deepEqual(parseVerseSpan('John 3:36–4:2', 3), { startChapter: 3, startVerse: 36, endChapter: 4, endVerse: 2 });
+  assert.equal(parseVerseSpan('the whole passage', 3), null);
+});
+
+test('parseOutline trims the fields and checks verses against the passage', () => {
+  const { outline: o, warnings } = parseOutline('```json\n' + outline([
+    point(' The source ', '3:16'),
+    point('The gift', 16),
+    point('The answer', '3:36-4:2'),
+    point('', '3:17')
+  ]) + '\n```', passage);
+  assert.equal(o.title, 'Loved into Life');
+  assert.deepEqual(o.points.map(p => [p.heading, p.verses]), [['The source', '3:16'], ['The gift', '16'], ['The answer', '3:36-4:2']]);
+  assert.equal(o.points[0].explanation, 'e');
+  assert.equal(o.callToResponse, 'Believe.');
+  assert.deepEqual(warnings, []);
+});
+
+test('parseOutline keeps five points and flags verses outside the passage', () => {
+  const { outline: o, warnings } = parseOutline(outline([
+    point('One', '3:1-3'), point('Two', '3:20'), point('Three', 'the text'), point('Four', '4:1'), point('Five', '4:3'), point('Six', '4:1')
+  ]), passage);
+  assert.equal(o.points.length, 5);
+  assert.deepEqual(warnings, [
+    'Only the first 5 of 6 points were kept',
+    'Point 1 cites 3:1-3, outside the selected passage',
+    'Point 3 is not tied to specific verses',
+    'Point 5 cites 4:3, outside the selected passage'
+  ]);
+});
+
+test('parseOutline rejects output it cannot use', () => {
+  const invalid = { name: 'OutlineError', status: 502, code: 'INVALID_OUTLINE' };
+  assert.throws(() => parseOutline('Here is your outline:', passage), { ...invalid, message: 'The outline was not valid JSON' });
+  assert.throws(() => parseOutline(JSON.stringify({ title: 'x', points: [] }), passage), /no title or big idea/);
+  assert.throws(() => parseOutline(outline([point('One', '3:16'), point('Two', '3:17')]), passage), /2 main points \(3–5 expected\)/);
+  assert.ok(new OutlineError('x') instanceof Error);
+});
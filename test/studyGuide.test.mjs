@@ -0,0 +1,94 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { QUESTION_SETS, StudyGuideError, parseStudyGuide, mapText } from '../studyGuide.mjs';
+
+const qa = (n, prefix = 'Q') => Array.from({ length: n }, (_, i) => ({ question: `${prefix}${i + 1}?`, answer: `A${i + 1}.` }));
+const guideJson = (overrides = {}) => JSON.stringify({
+  title: ' Born Again ',
+  icebreaker: 'When did you start over?',
+  observation: qa(2),
+  interpretation: qa(3),
+  application: qa(4),
+  leaderNotes: 'Keep it short.',
+  closingPrayer: 'Pray for new life.',
+  ...overrides
+});
+
+test('parseStudyGuide keeps a well-formed guide as it is', () => {
+  const { guide, warnings } = parseStudyGuide('```json\n' + guideJson() + '\n```');
+  assert.equal(guide.title, 'Born Again');
+  assert.deepEqual(QUESTION_SETS.map(set => guide[set].length), [2, 3, 4]);
+  assert.deepEqual(guide.observation[0], { question: 'Q1?', answer: 'A1.' });
+  assert.deepEqual(warnings, []);
+});
+
+test('parseStudyGuide keeps 2-4 questions per set', () => {
+  const { guide, warnings } = parseStudyGuide(guideJson({ observation: qa(1), application: qa(6) }));
+  assert.equal(guide.observation.length, 1);
+  assert.equal(guide.application.length, 4);
+  assert.deepEqual(guide.application.map(q => q.question), ['Q1?', 'Q2?', 'Q3?', 'Q4?']);
+  assert.deepEqual(warnings, [
+    'Only 1 observation question (2–4 expected)',
+    'Only the first 4 of 6 application questions were kept'
+  ]);
+});
+
+test('parseStudyGuide takes bare questions and warns about what is missing', () => {
+  const { guide, warnings } = parseStudyGuide(guideJson({
+    observation: ['What happens?', '  ', { question: 'Who speaks?' }],
+    icebreaker: '',
+    closingPrayer: null
+  }));
+  assert.deepEqual(guide.observation, [{ question: 'What happens?', answer: '' }, { question: 'Who speaks?', answer: '' }]);
+  assert.deepEqual(warnings, [
+    'Some observation questions have no suggested answer',
+    'The study guide has no icebreaker',
+    'The study guide has no closing prayer prompt'
+  ]);
+});
+
+test('parseStudyGuide rejects output it cannot use', () => {
+  const invalid = { name: 'StudyGuideError', status: 502, code: 'INVALID_STUDY_GUIDE' };
+  assert.throws(() => parseStudyGuide('{'), { ...invalid, message: 'The study guide was not valid JSON' });
+  assert.throws(() => parseStudyGuide(guideJson({ title: ' ' })), /has no title/);
+  assert.throws(() => parseStudyGuide(guideJson({ interpretation: [] })), /has no interpretation questions/);
+  assert.ok(new StudyGuideError('x') instanceof Error);
+});
+
+test('mapText passes every text field through one joined call', async () => {
+  const { guide } = parseStudyGuide(guideJson({ leaderNotes: '' }));
+  const calls = [];
+  const mapped = await mapText(guide, async text => {
+    calls.push(text);
+    return text.toUpperCase().replace(/\[\[(\d+)\]\]/g, '[[$1]]');
+  });
+  assert.equal(calls.length, 1);
+  assert.match(calls[0], /^\[\[1\]\]\nBorn Again\n\n\[\[2\]\]\nWhen did you start over\?/);
+  assert.equal(mapped.title, 'BORN AGAIN');
+  assert.equal(mapped.application[3].answer, 'A4.');
+  assert.equal(mapped.leaderNotes, '');
+  assert.equal(mapped.closingPrayer, 'PRAY FOR NEW LIFE.');
+  assert.equal(guide.title, 'Born Again'); // the input is left alone
+});
+
+test('mapText falls back to one call per field when the markers are lost', async () => {
+  const { guide } = parseStudyGuide(guideJson());
+  let joinedCalls = 0;
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const mapped = await mapText(guide, async text => {
+    if (text.startsWith('[[1]]')) {
+      joinedCalls++;
+      return 'The markers are gone.';
+    }
+    maxInFlight = Math.max(maxInFlight, ++inFlight);
+    await new Promise(resolve => setTimeout(resolve, 1));
+    inFlight--;
+    return text === 'Keep it short.' ? '' : `*${text}`;
+  });
+  assert.equal(joinedCalls, 1);
+  assert.ok(maxInFlight <= 4);
+  assert.equal(mapped.title, '*Born Again');
+  assert.equal(mapped.interpretation[2].question, '*Q3?');
+  assert.equal(mapped.leaderNotes, 'Keep it short.'); // an empty answer keeps the original
+});
@@ -0,0 +1,81 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { BOOKS } from '../bookRegistry.mjs';
+import { buildBookIndex, resolveBook } from '../passageParser.mjs';
+import {
+  loadTranslations, canonicalizeBooks, findBook, selectVerses, countVerses
+} from '../translationRegistry.mjs';
+
+const index = buildBookIndex(BOOKS);
+
+async function dataDir(files) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'translations-'));
+  for (const [name, content] of Object.entries(files)) {
+    await fs.writeFile(path.join(dir, name), JSON.stringify(content));
+  }
+  return dir;
+}
+
+const john = {
+  name: 'John',
+  chapters: [
+    { chapter: 3, verses: [{ verse: 35, text: 'a' }, { verse: 36, text: 'b' }] },
+    { chapter: 4, verses: [{ verse: 1, text: 'c' }, { verse: 2, text: 'd' }, { verse: 3, text: 'e' }] }
+  ]
+};
+
+test('loadTranslations reads both layouts and reports broken manifests', async t => {
+  const dir = await dataDir({
+    'kjv.translation.json': { id: 'KJV', name: 'King James Version', format: 'books', file: 'kjv.json' },
+    'kjv.json': { books: [john] },
+    'afr.translation.json': { name: 'Afrikaans', language: 'af', bookNames: 'af', format: 'verses', file: 'afr.json' },
+    'afr.json': { verses: [
+      { book_name: 'Johannes', chapter: 3, verse: 16, text: 'Want so lief' },
+      { book_name: 'Johannes', chapter: 3, verse: 17, text: 'Want God' },
+      { book_name: 'Romeine', chapter: 8, verse: 1, text: 'Daar is dus' }
+    ] },
+    'bad.translation.json': { format: 'lines', file: 'bad.txt' },
+    'gone.translation.json': { format: 'books', file: 'missing.json' }
+  });
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  const { translations, failures } = await loadTranslations(dir);
+  assert.deepEqual([...translations.keys()], ['afr', 'kjv']);
+
+  const kjv = translations.get('kjv');
+  assert.equal(kjv.name, 'King James Version');
+  assert.equal(kjv.language, 'en');
+  assert.equal(kjv.bookNames, 'en');
+
+  const afr = translations.get('afr');
+  assert.equal(afr.language, 'af');
+  assert.deepEqual(afr.books.map(b => b.name), ['Johannes', 'Romeine']);
+  assert.deepEqual(afr.books[0].chapters, [{ chapter: 3, verses: [{ verse: 16, text: 'Want so lief' }, { verse: 17, text: 'Want God' }] }]);
+
+  assert.deepEqual(failures.map(f => f.file), ['bad.translation.json', 'gone.translation.json']);
+  assert.match(failures[0].message, /unknown format "lines"/);
+});
+
+test('canonicalizeBooks tags books with ids and sets aside the unknown ones', () => {
+  const translation = { books: [{ name: 'Johannes', chapters: [] }, { name: 'Bel and the Dragon', chapters: [] }] };
+  assert.deepEqual(canonicalizeBooks(translation, name => resolveBook(index, name)), ['Bel and the Dragon']);
+  assert.deepEqual(translation.books.map(b => b.id), ['John']);
+  assert.deepEqual(translation.unmappedBooks, ['Bel and the Dragon']);
+  assert.equal(findBook(translation, 'John').name, 'Johannes');
+  assert.equal(findBook(translation, 'Rom'), null);
+});
+
+test('selectVerses and countVerses follow ranges across chapters', () => {
+  const translation = { name: 'Test', books: [{ ...john, id: 'John' }] };
+  assert.deepEqual(selectVerses(translation, 'John', 3, 36, 4, 2).map(v => `${v.chapter}:${v.verse}`), ['3:36', '4:1', '4:2']);
+  assert.deepEqual(selectVerses(translation, 'John', '4', '2', '4', '2'), [{ chapter: 4, verse: 2, text: 'd' }]);
+  assert.deepEqual(selectVerses(translation, 'John', 5, 1, 5, 9), []);
+  assert.throws(() => selectVerses(translation, 'Rom', 1, 1, 1, 1), /Book "Rom" not found in Test/);
+
+  assert.equal(countVerses(translation, 'John', 3, 35, 4, 3), 5);
+  assert.equal(countVerses(translation, 'John', 3, 36, 3, 36), 1);
+  assert.equal(countVerses(translation, 'Rom', 1, 1, 1, 1), 0);
+});
@@ -0,0 +1,100 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PERIODS, loadUsageQuotas, quotaFor, loadPrices, estimateCost, estimateTokens, periodsFor,
+  trackUsage, recordUsage, callStarted, callsSettled, summarizeTally
+} from '../usageMeter.mjs';
+
+test('quotas default per period and merge USAGE_QUOTAS per plan', t => {
+  assert.deepEqual(PERIODS, ['daily', 'monthly']);
+  const defaults = loadUsageQuotas('');
+  assert.equal(quotaFor(defaults, 'daily', 'subscriber'), 100);
+  assert.equal(quotaFor(defaults, 'monthly', 'church'), 1500);
+
+  const quotas = loadUsageQuotas('{"daily":{"subscriber":150,"church":500},"monthly":{"default":2000},"weekly":{"default":1}}');
+  assert.equal(quotaFor(quotas, 'daily', 'church'), 500);
+  assert.equal(quotaFor(quotas, 'daily', 'free'), 100);
+  assert.equal(quotaFor(quotas, 'monthly', 'subscriber'), 2000);
+  assert.equal(quotaFor(quotas, 'weekly', 'subscriber'), Infinity);
+
+  t.mock.method(console, 'error', () => {});
+  assert.deepEqual(loadUsageQuotas('nope'), defaults);
+});
+
+test('cost comes from the per-model prices', t => {
+  const prices = loadPrices('{"llama3.1":{"input":0,"output":0},"gpt-4o":{"input":5,"output":15}}');
+  assert.equal(estimateCost(prices, 'gpt-4o', 1e6, 2e6), 35);
+  assert.equal(estimateCost(prices, 'gpt-4o-mini', 1e6, 1e6), 0.75);
+  assert.equal(estimateCost(prices, 'llama3.1', 1e6, 1e6), 0);
+  assert.equal(estimateCost(prices, 'unknown', 1e6, 1e6), 0);
+
+  t.mock.method(console, 'error', () => {});
+  assert.deepEqual(loadPrices('{'), loadPrices(''));
+});
+
+test('estimateTokens counts about four characters a token', () => {
+  assert.equal(estimateTokens('12345678'), 2);
+  assert.equal(estimateTokens('123456789'), 3);
+  assert.equal(estimateTokens(null), 0);
+});
+
+test('periodsFor names the UTC day and month and when they reset', () => {
+  const { daily, monthly } = periodsFor(new Date('2025-12-31T23:30:00Z'));
+  assert.equal(daily.id, 'day-2025-12-31');
+  assert.equal(daily.resetsAt.toISOString(), '2026-01-01T00:00:00.000Z');
+  assert.equal(monthly.id, 'month-2025-12');
+  assert.equal(monthly.resetsAt.toISOString(), '2026-01-01T00:00:00.000Z');
+  assert.equal(periodsFor(new Date('2024-02-29T12:00:00Z')).monthly.resetsAt.toISOString(), '2024-03-01T00:00:00.000Z');
+});
+
+const call = (feature, model, promptTokens, completionTokens) => ({ feature, model, promptTokens, completionTokens, estimated: false });
+
+test('trackUsage attributes calls to the request that made them', async () => {
+  recordUsage(call('prayer', 'mock', 1, 1)); // outside any request: dropped
+  const [a, b] = await Promise.all([
+    trackUsage(async tally => {
+      await new Promise(resolve => setTimeout(resolve, 2));
+      recordUsage(call('commentary', 'gpt-4o', 10, 20));
+      return tally;
+    }),
+    trackUsage(async tally => {
+      recordUsage(call('prayer', 'gpt-4o-mini', 5, 5));
+      await null;
+      recordUsage(call('proofread', 'gpt-4o-mini', 5, 5));
+      return tally;
+    })
+  ]);
+  assert.deepEqual(a.calls.map(c => c.feature), ['commentary']);
+  assert.deepEqual(b.calls.map(c => c.feature), ['prayer', 'proofread']);
+});
+
+test('callsSettled waits for calls still in flight', async () => {
+  const tally = await trackUsage(async tally => {
+    const end = callStarted();
+    setTimeout(() => {
+      recordUsage(call('commentary', 'mock', 1, 1));
+      end();
+    }, 5);
+    return tally;
+  });
+  assert.equal(tally.inFlight.size, 1);
+  await callsSettled(tally);
+  assert.equal(tally.inFlight.size, 0);
+  assert.equal(tally.calls.length, 1);
+  assert.doesNotThrow(() => callStarted()()); // outside any request
+});
+
+test('summarizeTally sums tokens and cost per feature', () => {
+  const prices = loadPrices('');
+  const sum = summarizeTally({ calls: [
+    call('commentary', 'gpt-4o', 1000, 2000),
+    call('proofread', 'gpt-4o-mini', 1000, 1000),
+    call('commentary', 'gpt-4o', 1000, 0)
+  ] }, prices);
+  assert.equal(sum.promptTokens, 3000);
+  assert.equal(sum.completionTokens, 3000);
+  assert.equal(sum.features.commentary.calls, 2);
+  assert.ok(Math.abs(sum.features.commentary.costUsd - 0.025) < 1e-12);
+  assert.ok(Math.abs(sum.costUsd - 0.02575) < 1e-12);
+  assert.deepEqual(summarizeTally({ calls: [] }, prices), { promptTokens: 0, completionTokens: 0, costUsd: 0, features: {} });
+});
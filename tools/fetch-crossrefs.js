@@ -0,0 +1,63 @@
+// tools/fetch-crossrefs.js
+// Downloads the OpenBible.info cross-reference export (Treasury of Scripture
+// Knowledge, public domain) and writes cross_references.txt where the server
+// looks for it (CROSSREFS_FILE, default data/cross_references.txt), which
+// turns on /api/crossrefs and the commentary's cross-reference option.
+//
+// Usage:
+//   node tools/fetch-crossrefs.js [--out data/cross_references.txt] [--url …]
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+import { loadCrossRefs } from '../crossRefs.mjs';
+
+const DEFAULT_URL = 'https://a.openbible.info/data/cross-references.zip';
+const ENTRY = 'cross_references.txt';
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(name);
+  return i > -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+const url = arg('--url', process.env.CROSSREFS_URL || DEFAULT_URL);
+const out = path.resolve(arg('--out', process.env.CROSSREFS_FILE || path.join('data', ENTRY)));
+
+// One file out of a zip archive, found through its central directory
+function unzipEntry(zip, name) {
+  const eocd = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (eocd < 0) throw new Error('not a zip archive');
+  const count = zip.readUInt16LE(eocd + 10);
+  let p = zip.readUInt32LE(eocd + 16);
+  for (let i = 0; i < count; i++) {
+    const method = zip.readUInt16LE(p + 10);
+    const size = zip.readUInt32LE(p + 20);
+    const nameLength = zip.readUInt16LE(p + 28);
+    const extraLength = zip.readUInt16LE(p + 30);
+    const commentLength = zip.readUInt16LE(p + 32);
+    const offset = zip.readUInt32LE(p + 42);
+    const entry = zip.toString('utf8', p + 46, p + 46 + nameLength);
+    p += 46 + nameLength + extraLength + commentLength;
+    if (path.basename(entry) !== name) continue;
+
+    const start = offset + 30 + zip.readUInt16LE(offset + 26) + zip.readUInt16LE(offset + 28);
+    const data = zip.subarray(start, start + size);
+    if (method === 0) return data;
+    if (method === 8) return zlib.inflateRawSync(data);
+    throw new Error(`${entry}: unsupported compression method ${method}`);
+  }
+  throw new Error(`${name} is not in the archive`);
+}
+
+console.log(`Downloading ${url} …`);
+const res = await fetch(url);
+if (!res.ok) {
+  console.error(`❌ Download failed: HTTP ${res.status}`);
+  process.exit(1);
+}
+const body = Buffer.from(await res.arrayBuffer());
+const text = url.endsWith('.zip') ? unzipEntry(body, ENTRY) : body;
+
+await fs.mkdir(path.dirname(out), { recursive: true });
+await fs.writeFile(out, text);
+const byVerse = await loadCrossRefs(out);
+console.log(`✅ Wrote ${out}: cross-references for ${byVerse.size} verses`);
@@ -0,0 +1,42 @@
+// tools/validate-bible.js
+// Checks every translation in the data directory for missing books/chapters/
+// verses, duplicates, empty text, unmapped book names and versification
+// differences. A translation that fails to load is an error too. Exits 1 when
+// any error is found.
+//
+// Usage:
+//   node tools/validate-bible.js [--dir data] [--reference kjv] [--json] [--all]
+import path from 'path';
+import { loadTranslations, canonicalizeBooks } from '../translationRegistry.mjs';
+import { buildBookIndex, resolveBook } from '../passageParser.mjs';
+import { BOOKS } from '../bookRegistry.mjs';
+import { validateTranslations, loadFailureResults, formatReport } from '../bibleValidator.mjs';
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(name);
+  return i > -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+const dir       = path.resolve(arg('--dir', process.env.TRANSLATIONS_DIR || 'data'));
+const reference = arg('--reference', process.env.DEFAULT_TRANSLATION || 'kjv').toLowerCase();
+const asJson    = process.argv.includes('--json');
+const showAll   = process.argv.includes('--all');
+
+const { translations, failures } = await loadTranslations(dir);
+if (!translations.size && !failures.length) {
+  console.error(`❌ No translations found in ${dir} (expected *.translation.json manifests)`);
+  process.exit(1);
+}
+
+const bookIndex = buildBookIndex(BOOKS);
+for (const t of translations.values()) {
+  canonicalizeBooks(t, name => resolveBook(bookIndex, name));
+}
+
+const results = [...loadFailureResults(failures), ...validateTranslations(translations, reference)];
+if (asJson) {
+  console.log(JSON.stringify(results, null, 2));
+} else {
+  console.log(formatReport(results, { perType: showAll ? Infinity : 10 }));
+}
+process.exit(results.some(r => r.errors) ? 1 : 0);
@@ -0,0 +1,151 @@
+// translationRegistry.mjs
+// Discovers Bible translations from manifest files (`<id>.translation.json`)
+// in a data directory. Each manifest declares how its text file is laid out,
+// so routes never need to know which translation they are reading:
+//
+//   {
+//     "id": "kjv",                 // used as ?translation=kjv
+//     "name": "King James Version",
+//     "language": "en",            // language of the text
+//     "bookNames": "en",           // naming scheme for display ("en" | "af", see bookRegistry.mjs)
+//     "format": "books",           // "books": { books:[{ name, chapters:[{ chapter, verses:[{ verse, text }] }] }] }
+//                                  // "verses": { verses:[{ book_name, chapter, verse, text }] }
+//     "file": "kjv.json"           // path relative to the manifest
+//   }
+//
+// Every translation is normalized to the "books" shape in memory, and each
+// book is tagged with its OSIS id (canonicalizeBooks) so lookups are by id.
+import fs from 'fs/promises';
+import path from 'path';
+
+const MANIFEST_SUFFIX = '.translation.json';
+const FORMATS = ['books', 'verses'];
+
+// { verses:[{ book_name, chapter, verse, text }] } → [{ name, chapters:[…] }], file order kept
+function booksFromFlatVerses(verses) {
+  const books = new Map();
+  for (const v of verses) {
+    const name = String(v.book_name ?? v.book).trim();
+    if (!books.has(name)) books.set(name, new Map());
+    const chapters = books.get(name);
+    const chap = Number(v.chapter);
+    if (!chapters.has(chap)) chapters.set(chap, []);
+    chapters.get(chap).push({ verse: Number(v.verse), text: v.text });
+  }
+  return [...books].map(([name, chapters]) => ({
+    name,
+    chapters: [...chapters].map(([chapter, vs]) => ({ chapter, verses: vs }))
+  }));
+}
+
+async function loadOne(dir, manifestFile) {
+  const manifestPath = path.join(dir, manifestFile);
+  const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+  const id = String(manifest.id || manifestFile.slice(0, -MANIFEST_SUFFIX.length)).toLowerCase();
+  if (!FORMATS.includes(manifest.format)) {
+    throw new Error(`${manifestFile}: unknown format "${manifest.format}" (expected ${FORMATS.join(' | ')})`);
+  }
+  if (!manifest.file) throw new Error(`${manifestFile}: missing "file"`);
+
+  const raw = JSON.parse(await fs.readFile(path.resolve(dir, manifest.file), 'utf8'));
+  const books = manifest.format === 'books' ? raw.books : booksFromFlatVerses(raw.verses);
+  if (!Array.isArray(books)) throw new Error(`${manifestFile}: ${manifest.file} has no ${manifest.format} array`);
+
+  return {
+    id,
+    name: manifest.name || id,
+    language: manifest.language || 'en',
+    bookNames: manifest.bookNames || 'en',
+    format: manifest.format,
+    file: manifest.file,
+    books
+  };
+}
+
+/**
+ * Loads every `*.translation.json` manifest in `dir`.
+ * A broken translation is skipped so the others still load.
+ * Returns { translations: Map(id → translation) in manifest filename order,
+ * failures: [{ file, message }] } — callers decide whether failures are fatal.
+ */
+export async function loadTranslations(dir) {
+  const files = (await fs.readdir(dir)).filter(f => f.endsWith(MANIFEST_SUFFIX)).sort();
+  const translations = new Map();
+  const failures = [];
+  for (const f of files) {
+    try {
+      const t = await loadOne(dir, f);
+      translations.set(t.id, t);
+    } catch (err) {
+      failures.push({ file: f, message: err.message });
+    }
+  }
+  return { translations, failures };
+}
+
+/**
+ * Tags a translation's books with OSIS ids using `resolve(name)`; the file's
+ * own name is kept in `name`. Books that do not resolve are dropped, kept in
+ * `translation.unmappedBooks` for validation, and returned.
+ */
+export function canonicalizeBooks(translation, resolve) {
+  const unmapped = [];
+  translation.books = translation.books.filter(b => {
+    try {
+      b.id = resolve(b.name);
+      return true;
+    } catch {
+      unmapped.push(b.name);
+      return false;
+    }
+  });
+  translation.unmappedBooks = unmapped;
+  return unmapped;
+}
+
+export function findBook(translation, bookId) {
+  return translation.books.find(b => b.id === bookId) || null;
+}
+
+/**
+ * Verses of a (possibly multi-chapter) range as [{ chapter, verse, text }].
+ * Chapters missing from the translation are skipped; callers decide whether
+ * an empty result is an error.
+ */
+export function selectVerses(translation, bookId, startChap, startV, endChap, endV) {
+  const bookObj = findBook(translation, bookId);
+  if (!bookObj) throw new Error(`Book "${bookId}" not found in ${translation.name}`);
+
+  const sC = Number(startChap), eC = Number(endChap);
+  const sV = Number(startV), eV = Number(endV);
+  const out = [];
+  for (const chapObj of bookObj.chapters) {
+    const chap = chapObj.chapter;
+    if (chap < sC || chap > eC) continue;
+    for (const v of chapObj.verses) {
+      if (chap === sC && v.verse < sV) continue;
+      if (chap === eC && v.verse > eV) continue;
+      out.push({ chapter: chap, verse: v.verse, text: v.text });
+    }
+  }
+  return out;
+}
+
+// Exact number of verses the translation has in a range (chapters spanned in full)
+export function countVerses(translation, bookId, startChap, startV, endChap, endV) {
+  const bookObj = findBook(translation, bookId);
+  if (!bookObj) return 0;
+  const sC = Number(startChap), eC = Number(endChap);
+  const sV = Number(startV), eV = Number(endV);
+  let n = 0;
+  for (const chapObj of bookObj.chapters) {
+    const chap = chapObj.chapter;
+    if (chap < sC || chap > eC) continue;
+    for (const v of chapObj.verses) {
+      if (chap === sC && v.verse < sV) continue;
+      if (chap === eC && v.verse > eV) continue;
+      n++;
+    }
+  }
+  return n;
+}
@@ -0,0 +1,140 @@
+// usageMeter.mjs
+// Per-user AI usage: what each request cost, and how much a plan may use.
+//
+// Quotas are AI requests per period and plan, in the same shape as
+// PASSAGE_LIMITS ("default" covers plans not listed). Override with
+// USAGE_QUOTAS (JSON, merged per period), e.g.
+//   USAGE_QUOTAS='{"daily":{"subscriber":150,"church":500},"monthly":{"default":2000}}'
+//
+// Cost estimates use USD per million tokens per model; override or extend with
+// LLM_PRICES, e.g. '{"llama3.1":{"input":0,"output":0}}'. Unknown models cost 0.
+//
+// Model calls made while a request is being handled are attributed to it
+// through AsyncLocalStorage: trackUsage() opens a tally for the request and
+// recordUsage() (called by the LLM providers) adds to whichever tally is open.
+import { AsyncLocalStorage } from 'async_hooks';
+
+const DEFAULT_QUOTAS = {
+  daily:   { default: 100 },
+  monthly: { default: 1500 }
+};
+
+const DEFAULT_PRICES = {
+  'gpt-4o':      { input: 2.5,  output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1':     { input: 2,    output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  mock:          { input: 0,    output: 0 }
+};
+
+export const PERIODS = ['daily', 'monthly'];
+
+export function loadUsageQuotas(raw = process.env.USAGE_QUOTAS) {
+  const quotas = structuredClone(DEFAULT_QUOTAS);
+  if (!raw) return quotas;
+  try {
+    for (const [period, plans] of Object.entries(JSON.parse(raw))) {
+      if (PERIODS.includes(period)) quotas[period] = { ...quotas[period], ...plans };
+    }
+  } catch (e) {
+    console.error('❌ Ignoring invalid USAGE_QUOTAS:', e.message);
+  }
+  return quotas;
+}
+
+export function quotaFor(quotas, period, plan) {
+  const perPlan = quotas[period] || {};
+  return perPlan[plan] ?? perPlan.default ?? Infinity;
+}
+
+export function loadPrices(raw = process.env.LLM_PRICES) {
+  const prices = { ...DEFAULT_PRICES };
+  if (!raw) return prices;
+  try {
+    Object.assign(prices, JSON.parse(raw));
+  } catch (e) {
+    console.error('❌ Ignoring invalid LLM_PRICES:', e.message);
+  }
+  return prices;
+}
+
+export function estimateCost(prices, model, promptTokens, completionTokens) {
+  const p = prices[model];
+  if (!p) return 0;
+  return (promptTokens * (p.input || 0) + completionTokens * (p.output || 0)) / 1e6;
+}
+
+// Rough token count for providers that report none (~4 characters a token)
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Period document ids and reset times for `date` (UTC):
+ * { daily: { id: 'day-2025-03-01', resetsAt }, monthly: { id: 'month-2025-03', resetsAt } }
+ */
+export function periodsFor(date = new Date()) {
+  const y = date.getUTCFullYear();
+  const m = date.getUTCMonth();
+  const d = date.getUTCDate();
+  const day = date.toISOString().slice(0, 10);
+  return {
+    daily:   { id: `day-${day}`, resetsAt: new Date(Date.UTC(y, m, d + 1)) },
+    monthly: { id: `month-${day.slice(0, 7)}`, resetsAt: new Date(Date.UTC(y, m + 1, 1)) }
+  };
+}
+
+const tallies = new AsyncLocalStorage();
+
+/**
+ * Runs fn(tally) with a fresh tally for one request; model calls made
+ * anywhere inside it (awaits included) are added to the tally:
+ * { calls: [{ feature, model, promptTokens, completionTokens, estimated }], inFlight }.
+ */
+export function trackUsage(fn) {
+  const tally = { calls: [], inFlight: new Set() };
+  return tallies.run(tally, () => fn(tally));
+}
+
+// Called by the providers after every completion or stream
+export function recordUsage(call) {
+  tallies.getStore()?.calls.push(call);
+}
+
+// Called by the providers as a call starts; the returned function marks it
+// ended (after its usage was recorded). See callsSettled().
+export function callStarted() {
+  const tally = tallies.getStore();
+  if (!tally) return () => {};
+  let end;
+  const call = new Promise(resolve => { end = resolve; });
+  tally.inFlight.add(call);
+  return () => {
+    tally.inFlight.delete(call);
+    end();
+  };
+}
+
+// Resolves once no call of `tally` is in flight: a stream cut short by a
+// disconnect records its usage only as it winds down
+export async function callsSettled(tally) {
+  while (tally.inFlight.size) await Promise.all([...tally.inFlight]);
+}
+
+/**
+ * Sums a tally: { promptTokens, completionTokens, costUsd, features: { <feature>: {…same} } }.
+ */
+export function summarizeTally(tally, prices) {
+  const sum = { promptTokens: 0, completionTokens: 0, costUsd: 0, features: {} };
+  for (const c of tally.calls) {
+    const cost = estimateCost(prices, c.model, c.promptTokens, c.completionTokens);
+    const f = sum.features[c.feature] ??= { calls: 0, promptTokens: 0, completionTokens: 0, costUsd: 0 };
+    f.calls++;
+    for (const target of [sum, f]) {
+      target.promptTokens += c.promptTokens;
+      target.completionTokens += c.completionTokens;
+      target.costUsd += cost;
+    }
+  }
+  return sum;
+}